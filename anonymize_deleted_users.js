@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const User = require("./src/models/User");
+const PersonalDataService = require("./src/services/personalDataService");
+
+// Accounts deleted before erasure existed only have deleted_at set: anonymize
+// them like a deletion does today (which also frees their email for a new
+// registration).
+// Usage: node anonymize_deleted_users.js          # list them
+//        node anonymize_deleted_users.js --apply  # anonymize them
+async function anonymizeDeletedUsers(apply) {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("✅ Connected to MongoDB");
+
+    const users = await User.find({
+      deleted_at: { $ne: null },
+      email: { $not: /@deleted\.invalid$/ },
+    }).select("_id deleted_at");
+    console.log(`${users.length} deleted account(s) still hold personal data`);
+
+    if (!apply) {
+      console.log("Dry run. Use --apply to anonymize them.");
+      return;
+    }
+
+    for (const user of users) {
+      try {
+        await PersonalDataService.erase(user._id);
+        console.log(`✅ ${user._id} anonymized`);
+      } catch (error) {
+        console.error(`❌ ${user._id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error("❌ Error:", error.message);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+anonymizeDeletedUsers(process.argv.includes("--apply"));
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const User = require("./src/models/User");
+
+// Usage: node make_admin.js user@example.com
+async function makeAdmin(email) {
+  if (!email) {
+    console.log("Usage: node make_admin.js <email>");
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("✅ Connected to MongoDB");
+
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase().trim(), deleted_at: null },
+      { role: "admin" },
+      { new: true },
+    );
+
+    if (!user) {
+      console.log(`❌ No user found with email: ${email}`);
+    } else {
+      console.log(`✅ ${user.email} is now an admin`);
+    }
+  } catch (error) {
+    console.error("❌ Error:", error.message);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+makeAdmin(process.argv[2]);
@@ -2,9 +2,18 @@
 require("dotenv").config();
 
 // 2. Import the Application and DB Connection
+const http = require("http");
 const { connectDB } = require("./src/config/database");
 const app = require("./src/app");
 const RatingSchedulerService = require("./src/services/ratingSchedulerService");
+const RideLifecycleService = require("./src/services/rideLifecycleService");
+const RideReminderService = require("./src/services/rideReminderService");
+const FlightTrackingService = require("./src/services/flightTrackingService");
+const FlightStatusService = require("./src/services/flightStatusService");
+const RideSeriesService = require("./src/services/rideSeriesService");
+const ReconciliationService = require("./src/services/reconciliationService");
+const JobSchedulerService = require("./src/services/jobSchedulerService");
+const SocketService = require("./src/services/socketService");
 const mongoose = require("mongoose");
 
 // 3. Define the Port
@@ -20,11 +29,54 @@ async function startServer() {
     await mongoose.connection.syncIndexes();
     console.log("✅ Database indexes synced");
 
-    // Start the rating notification scheduler
-    RatingSchedulerService.start();
+    // Start the background jobs (persistent, locked across instances)
+    JobSchedulerService.register("rating_prompts", {
+      intervalMs: 5 * 60 * 1000,
+      handler: () => RatingSchedulerService.checkAndSendRatingNotifications(),
+    });
+    JobSchedulerService.register("ride_completion", {
+      intervalMs: 5 * 60 * 1000,
+      handler: () => RideLifecycleService.run(),
+    });
+    JobSchedulerService.register("request_expiry", {
+      intervalMs: 5 * 60 * 1000,
+      handler: () => RideLifecycleService.expireRequests(),
+    });
+    JobSchedulerService.register("ride_reminders", {
+      intervalMs: 5 * 60 * 1000,
+      handler: () => RideReminderService.sendDueReminders(),
+    });
+    // Without a flight data provider (warned about) flights aren't tracked
+    if (FlightStatusService.isEnabled()) {
+      JobSchedulerService.register("flight_status", {
+        intervalMs: 10 * 60 * 1000,
+        handler: () => FlightTrackingService.checkFlights(),
+      });
+    }
+    JobSchedulerService.register("ride_series", {
+      intervalMs: 60 * 60 * 1000,
+      handler: () => RideSeriesService.generateAll(),
+    });
+    JobSchedulerService.register("stripe_reconciliation", {
+      intervalMs: 6 * 60 * 60 * 1000,
+      lockMs: 30 * 60 * 1000,
+      handler: async () => {
+        const report = await ReconciliationService.run({ trigger: "job" });
+        if (report.error) throw new Error(report.error);
+        return {
+          report_id: report._id,
+          discrepancies: report.discrepancy_count,
+          healed: report.healed_count,
+        };
+      },
+    });
+    await JobSchedulerService.start();
+
+    // Start Express server with WebSockets (real-time chat) on the same port
+    const server = http.createServer(app);
+    SocketService.init(server);
 
-    // Start Express server
-    app.listen(PORT, () => {
+    server.listen(PORT, () => {
       console.log(`
     🚀 Server is running!
     📡 Port: ${PORT}
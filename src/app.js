@@ -1,6 +1,7 @@
 const express = require("express");
 const cors = require("cors");
 const { errorHandler, notFoundHandler } = require("./middleware/errorHandler");
+const requestIdMiddleware = require("./middleware/requestId");
 
 // Import Route files
 const authRoutes = require("./routes/authRoutes");
@@ -16,10 +17,19 @@ const stripeRoutes = require("./routes/stripeRoutes");
 const chatRoutes = require("./routes/chatRoutes");
 const ratingRoutes = require("./routes/ratingRoutes");
 const geocodingRoutes = require("./routes/geocodingRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const MapService = require("./services/mapService");
 
 const app = express();
 
+// Client IP (used by per-IP quotas and lockouts). X-Forwarded-For is only
+// trusted with TRUST_PROXY_HOPS set to the number of proxies in front of the
+// app: without a proxy, clients could send any IP in it.
+const trustProxyHops = parseInt(process.env.TRUST_PROXY_HOPS || "0", 10);
+app.set("trust proxy", trustProxyHops > 0 ? trustProxyHops : false);
+
 // --- MIDDLEWARE ---
+app.use(requestIdMiddleware);
 app.use(cors());
 
 // IMPORTANT: Stripe webhook must be before express.json() middleware
@@ -71,10 +81,15 @@ app.use("/api/v1/wallet", walletRoutes);
 app.use("/api/v1/chat", chatRoutes);
 app.use("/api/v1/ratings", ratingRoutes);
 app.use("/api/v1/geocoding", geocodingRoutes);
+app.use("/api/v1/admin", adminRoutes);
 
 // Health check
 app.get("/health", (req, res) => {
-  res.json({ status: "OK", timestamp: new Date().toISOString() });
+  res.json({
+    status: "OK",
+    timestamp: new Date().toISOString(),
+    routing: MapService.getMetrics(),
+  });
 });
 
 // --- ERROR HANDLING ---
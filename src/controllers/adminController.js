@@ -0,0 +1,579 @@
+const User = require("../models/User");
+const Ride = require("../models/Ride");
+const Booking = require("../models/Booking");
+const Wallet = require("../models/Wallet");
+const Transaction = require("../models/Transaction");
+const AuditLog = require("../models/AuditLog");
+const ReconciliationReport = require("../models/ReconciliationReport");
+const AuditService = require("../services/auditService");
+const RideCancellationService = require("../services/rideCancellationService");
+const ReconciliationService = require("../services/reconciliationService");
+const IdentityVerificationService = require("../services/identityVerificationService");
+
+// Never sent to the back-office
+const USER_HIDDEN_FIELDS = "-password_hash";
+
+// What a reviewer needs to check an ID
+const IDENTITY_REVIEW_FIELDS =
+  "first_name last_name email phone date_of_birth avatar_url id_image_front_url id_image_back_url identity_verification createdAt";
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+class AdminController {
+  /**
+   * Page, limit and skip from the query string (max 100 per page)
+   */
+  static pagination(query) {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+    return { page, limit, skip: (page - 1) * limit };
+  }
+
+  static dateRange(query, field, filter) {
+    if (query.from || query.to) {
+      filter[field] = {};
+      if (query.from) filter[field].$gte = new Date(query.from);
+      if (query.to) filter[field].$lte = new Date(query.to);
+    }
+  }
+
+  static async paginate(Model, filter, query, { sort, populate, select } = {}) {
+    const { page, limit, skip } = this.pagination(query);
+    let find = Model.find(filter)
+      .sort(sort || { createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    if (select) find = find.select(select);
+    for (const p of populate || []) find = find.populate(p);
+
+    const [data, total] = await Promise.all([
+      find,
+      Model.countDocuments(filter),
+    ]);
+    return { data, pagination: { page, limit, total } };
+  }
+
+  /**
+   * Search users by name, email or phone
+   * GET /api/v1/admin/users?q=&role=&suspended=true
+   */
+  static async searchUsers(req, res, next) {
+    try {
+      const { q, role, suspended } = req.query;
+      const filter = { deleted_at: null };
+      if (q) {
+        const pattern = new RegExp(escapeRegex(q.trim()), "i");
+        filter.$or = [
+          { email: pattern },
+          { first_name: pattern },
+          { last_name: pattern },
+          { phone: pattern },
+        ];
+      }
+      if (role) filter.role = role;
+      if (suspended === "true") filter.suspended_at = { $ne: null };
+      if (suspended === "false") filter.suspended_at = null;
+
+      const result = await AdminController.paginate(User, filter, req.query, {
+        select: USER_HIDDEN_FIELDS,
+      });
+      res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * User details with wallet and activity counts
+   * GET /api/v1/admin/users/:id
+   */
+  static async getUser(req, res, next) {
+    try {
+      const user = await User.findById(req.params.id).select(USER_HIDDEN_FIELDS);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const [wallet, rides, bookings] = await Promise.all([
+        Wallet.findOne({ user_id: user._id }),
+        Ride.countDocuments({ driver_id: user._id }),
+        Booking.countDocuments({ passenger_id: user._id }),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          user,
+          wallet,
+          counts: { rides, bookings },
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Suspend an account: it can no longer log in or call the API
+   * POST /api/v1/admin/users/:id/suspend
+   */
+  static async suspendUser(req, res, next) {
+    try {
+      const { reason } = req.validatedBody;
+      if (req.params.id === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot suspend your own account",
+        });
+      }
+
+      const user = await User.findOneAndUpdate(
+        { _id: req.params.id, deleted_at: null, suspended_at: null },
+        { suspended_at: new Date(), suspension_reason: reason },
+        { new: true },
+      ).select(USER_HIDDEN_FIELDS);
+
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: "User not found or already suspended",
+        });
+      }
+
+      await AuditService.record({
+        req,
+        action: "user.suspend",
+        target_type: "user",
+        target_id: user._id,
+        before: { suspended_at: null },
+        after: { suspended_at: user.suspended_at },
+        reason,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "User suspended",
+        data: user,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Lift a suspension
+   * POST /api/v1/admin/users/:id/unsuspend
+   */
+  static async unsuspendUser(req, res, next) {
+    try {
+      const { reason } = req.validatedBody;
+      const existing = await User.findOne({
+        _id: req.params.id,
+        suspended_at: { $ne: null },
+      });
+      if (!existing) {
+        return res.status(400).json({
+          success: false,
+          message: "User not found or not suspended",
+        });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        existing._id,
+        { suspended_at: null, suspension_reason: null },
+        { new: true },
+      ).select(USER_HIDDEN_FIELDS);
+
+      await AuditService.record({
+        req,
+        action: "user.unsuspend",
+        target_type: "user",
+        target_id: user._id,
+        before: {
+          suspended_at: existing.suspended_at,
+          suspension_reason: existing.suspension_reason,
+        },
+        after: { suspended_at: null },
+        reason,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "User unsuspended",
+        data: user,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * ID verification queue, oldest submission first
+   * GET /api/v1/admin/identity-verifications?status=
+   * (defaults to submitted and in_review)
+   */
+  static async searchIdentityVerifications(req, res, next) {
+    try {
+      const { status } = req.query;
+      const filter = {
+        deleted_at: null,
+        "identity_verification.status": status || { $in: ["submitted", "in_review"] },
+      };
+
+      const result = await AdminController.paginate(User, filter, req.query, {
+        sort: { "identity_verification.submitted_at": 1 },
+        select: IDENTITY_REVIEW_FIELDS,
+      });
+      res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Apply a review transition and send the updated user
+   */
+  static async reviewIdentity(req, res, next, action, message) {
+    try {
+      const { user } = await IdentityVerificationService.transition(req.params.id, action, {
+        reason: req.validatedBody?.reason || null,
+        reviewerId: req.user.id,
+      });
+      res.status(200).json({ success: true, message, data: user });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Take a submitted ID for review
+   * POST /api/v1/admin/identity-verifications/:id/start-review
+   */
+  static async startIdentityReview(req, res, next) {
+    return AdminController.reviewIdentity(req, res, next, "start_review", "Review started");
+  }
+
+  /**
+   * Approve a user's ID: they get the verified badge
+   * POST /api/v1/admin/identity-verifications/:id/approve
+   */
+  static async approveIdentity(req, res, next) {
+    return AdminController.reviewIdentity(req, res, next, "approve", "Identity verified");
+  }
+
+  /**
+   * Reject a user's ID with a reason shown to them (also revokes an approval)
+   * POST /api/v1/admin/identity-verifications/:id/reject
+   */
+  static async rejectIdentity(req, res, next) {
+    return AdminController.reviewIdentity(req, res, next, "reject", "Identity verification rejected");
+  }
+
+  /**
+   * Search rides
+   * GET /api/v1/admin/rides?status=&driver_id=&airport_id=&from=&to=
+   */
+  static async searchRides(req, res, next) {
+    try {
+      const { status, driver_id, airport_id } = req.query;
+      const filter = {};
+      if (status) filter.status = status;
+      if (driver_id) filter.driver_id = driver_id;
+      if (airport_id) filter.airport_id = airport_id;
+      AdminController.dateRange(req.query, "datetime_start", filter);
+
+      const result = await AdminController.paginate(Ride, filter, req.query, {
+        sort: { datetime_start: -1 },
+        select: "-route",
+        populate: [
+          { path: "driver_id", select: "first_name last_name email" },
+          { path: "airport_id", select: "name iata_code" },
+        ],
+      });
+      res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel a ride on the driver's behalf, refunding paid passengers.
+   * Unlike driver cancellations there is no 12-hour limit.
+   * POST /api/v1/admin/rides/:id/cancel
+   */
+  static async cancelRide(req, res, next) {
+    try {
+      const { reason } = req.validatedBody;
+      const ride = await Ride.findById(req.params.id).populate("airport_id");
+      if (!ride) {
+        return res.status(404).json({
+          success: false,
+          message: "Ride not found",
+        });
+      }
+
+      const cancellation = await RideCancellationService.cancelRide(ride, {
+        cancelledBy: "admin",
+      });
+      if (!cancellation) {
+        return res.status(400).json({
+          success: false,
+          message: "Only active rides can be cancelled",
+        });
+      }
+
+      await AuditService.record({
+        req,
+        action: "ride.cancel",
+        target_type: "ride",
+        target_id: ride._id,
+        before: { status: ride.status },
+        after: { status: "cancelled" },
+        reason,
+        metadata: {
+          cancelled_bookings: cancellation.cancelled_bookings,
+          refunds: cancellation.refunds,
+        },
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Ride cancelled",
+        data: cancellation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Search bookings
+   * GET /api/v1/admin/bookings?status=&payment_status=&ride_id=&passenger_id=
+   */
+  static async searchBookings(req, res, next) {
+    try {
+      const { status, payment_status, ride_id, passenger_id } = req.query;
+      const filter = {};
+      if (status) filter.status = status;
+      if (payment_status) filter.payment_status = payment_status;
+      if (ride_id) filter.ride_id = ride_id;
+      if (passenger_id) filter.passenger_id = passenger_id;
+      AdminController.dateRange(req.query, "createdAt", filter);
+
+      const result = await AdminController.paginate(Booking, filter, req.query, {
+        populate: [
+          { path: "passenger_id", select: "first_name last_name email" },
+          { path: "ride_id", select: "driver_id datetime_start status price_per_seat" },
+        ],
+      });
+      res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Search transactions
+   * GET /api/v1/admin/transactions?user_id=&type=&status=&from=&to=
+   */
+  static async searchTransactions(req, res, next) {
+    try {
+      const { user_id, type, status, reference_id } = req.query;
+      const filter = {};
+      if (user_id) filter.user_id = user_id;
+      if (type) filter.type = type;
+      if (status) filter.status = status;
+      if (reference_id) filter.reference_id = reference_id;
+      AdminController.dateRange(req.query, "createdAt", filter);
+
+      const result = await AdminController.paginate(
+        Transaction,
+        filter,
+        req.query,
+        { populate: [{ path: "user_id", select: "first_name last_name email" }] },
+      );
+      res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Search the audit log
+   * GET /api/v1/admin/audit-logs?actor_id=&action=&target_type=&target_id=&request_id=&from=&to=
+   */
+  static async searchAuditLogs(req, res, next) {
+    try {
+      const { actor_id, action, target_type, target_id, request_id } = req.query;
+      const filter = {};
+      if (actor_id) filter.actor_id = actor_id;
+      // "booking.*" matches every booking action
+      if (action) {
+        filter.action = action.endsWith(".*")
+          ? new RegExp(`^${escapeRegex(action.slice(0, -1))}`)
+          : action;
+      }
+      if (target_type) filter.target_type = target_type;
+      if (target_id) filter.target_id = target_id;
+      if (request_id) filter.request_id = request_id;
+      AdminController.dateRange(req.query, "createdAt", filter);
+
+      const result = await AdminController.paginate(AuditLog, filter, req.query, {
+        populate: [{ path: "actor_id", select: "first_name last_name email" }],
+      });
+      res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Run a Stripe reconciliation now
+   * POST /api/v1/admin/reconciliation/run
+   */
+  static async runReconciliation(req, res, next) {
+    try {
+      const { days, auto_heal, refund_orphans } = req.validatedBody;
+      const report = await ReconciliationService.run({
+        days,
+        autoHeal: auto_heal,
+        refundOrphans: refund_orphans,
+        trigger: "manual",
+      });
+
+      await AuditService.record({
+        req,
+        action: "reconciliation.run",
+        target_type: "reconciliation_report",
+        target_id: report._id,
+        metadata: {
+          days,
+          auto_heal,
+          refund_orphans,
+          discrepancies: report.discrepancy_count,
+          healed: report.healed_count,
+        },
+      });
+
+      res.status(report.error ? 502 : 201).json({
+        success: !report.error,
+        message: report.error
+          ? `Reconciliation stopped early: ${report.error}`
+          : "Reconciliation completed",
+        data: report,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Past reconciliation reports (without the discrepancy lists)
+   * GET /api/v1/admin/reconciliation/reports?trigger=&from=&to=
+   */
+  static async searchReconciliationReports(req, res, next) {
+    try {
+      const filter = {};
+      if (req.query.trigger) filter.trigger = req.query.trigger;
+      if (req.query.with_discrepancies === "true") {
+        filter.discrepancy_count = { $gt: 0 };
+      }
+      AdminController.dateRange(req.query, "createdAt", filter);
+
+      const result = await AdminController.paginate(
+        ReconciliationReport,
+        filter,
+        req.query,
+        { select: "-discrepancies" },
+      );
+      res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * One reconciliation report with its discrepancies
+   * GET /api/v1/admin/reconciliation/reports/:id
+   */
+  static async getReconciliationReport(req, res, next) {
+    try {
+      const report = await ReconciliationReport.findById(req.params.id);
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: "Report not found",
+        });
+      }
+      res.status(200).json({ success: true, data: report });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Credit or debit a user's wallet (amount in cents, negative to debit)
+   * POST /api/v1/admin/users/:id/wallet/adjustments
+   */
+  static async adjustWallet(req, res, next) {
+    try {
+      const { amount, reason } = req.validatedBody;
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const wallet = await Wallet.adjustBalance(user._id, amount);
+      if (!wallet) {
+        return res.status(400).json({
+          success: false,
+          message: "Insufficient wallet balance for this debit",
+        });
+      }
+
+      const transaction = await Transaction.create({
+        wallet_id: wallet._id,
+        user_id: user._id,
+        type: "adjustment",
+        amount,
+        gross_amount: Math.abs(amount),
+        fee_amount: 0,
+        fee_percentage: 0,
+        net_amount: Math.abs(amount),
+        currency: wallet.currency,
+        status: "completed",
+        reference_type: "manual",
+        description: `Adjustment by support: ${reason}`,
+        metadata: { admin_id: req.user.id, reason },
+        processed_at: new Date(),
+      });
+
+      await AuditService.record({
+        req,
+        action: "wallet.adjustment",
+        target_type: "wallet",
+        target_id: wallet._id,
+        before: { balance: wallet.balance - amount },
+        after: { balance: wallet.balance },
+        reason,
+        metadata: { user_id: user._id, transaction_id: transaction._id, amount },
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Wallet adjusted",
+        data: { wallet, transaction },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = AdminController;
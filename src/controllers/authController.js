@@ -1,7 +1,11 @@
 const bcrypt = require("bcrypt");
-const { generateTokens, verifyRefreshToken } = require("../utils/jwt");
+const mongoose = require("mongoose");
+const { verifyRefreshToken } = require("../utils/jwt");
 const User = require("../models/User");
 const EmailOtp = require("../models/EmailOtp");
+const SessionService = require("../services/sessionService");
+const MfaService = require("../services/mfaService");
+const PersonalDataService = require("../services/personalDataService");
 const admin = require("../config/firebaseAdmin");
 const cloudinary = require("cloudinary").v2;
 
@@ -220,6 +224,11 @@ class AuthController {
         id_image_front_public_id: front.public_id,
         id_image_back_url: back.url,
         id_image_back_public_id: back.public_id,
+        // Both sides uploaded: queue them for review
+        ...(front.url &&
+          back.url && {
+            identity_verification: { status: "submitted", submitted_at: new Date() },
+          }),
         // Ensure avatar fields exist so client/profile endpoints don't fail
         avatar_url: null,
         avatar_public_id: null,
@@ -236,7 +245,7 @@ class AuthController {
       logStep("email_otp_cleanup");
 
       console.log(`TIMING: register_total ${Date.now() - timing.start}ms`);
-      const tokens = generateTokens(user._id.toString());
+      const tokens = await SessionService.create(user._id, req);
 
       const safeUser = user.toJSON();
       delete safeUser.id_image_front;
@@ -293,7 +302,23 @@ class AuthController {
           .json({ success: false, message: "Invalid email or password" });
       }
 
-      const tokens = generateTokens(user._id.toString());
+      if (user.suspended_at) {
+        return res.status(403).json({
+          success: false,
+          message: "Account suspended. Please contact support.",
+        });
+      }
+
+      // Password is right, a code from the authenticator app is still needed
+      if (user.mfa?.enabled) {
+        return res.status(200).json({
+          success: true,
+          message: "Enter the code from your authenticator app",
+          data: MfaService.challenge(user),
+        });
+      }
+
+      const tokens = await SessionService.create(user._id, req);
       const safeUser = user.toJSON();
       delete safeUser.id_image_front;
       delete safeUser.id_image_back;
@@ -327,38 +352,149 @@ class AuthController {
           .status(400)
           .json({ success: false, message: "Refresh token required" });
 
-      const decoded = verifyRefreshToken(refresh_token);
+      const { session, ...tokens } = await SessionService.rotate(
+        refresh_token,
+        req,
+      );
       const user = await User.findOne({
-        _id: decoded.userId,
+        _id: session.user_id,
         deleted_at: null,
       });
       if (!user)
         return res
           .status(401)
           .json({ success: false, message: "User not found" });
+      if (user.suspended_at)
+        return res.status(403).json({
+          success: false,
+          message: "Account suspended. Please contact support.",
+        });
 
-      const tokens = generateTokens(user._id.toString());
       res
         .status(200)
         .json({ success: true, data: { user: user.toJSON(), ...tokens } });
     } catch (error) {
-      res
-        .status(401)
-        .json({ success: false, message: "Invalid refresh token" });
+      if (error.statusCode === 401) {
+        return res.status(401).json({
+          success: false,
+          message: error.message,
+          ...(error.code && { code: error.code }),
+        });
+      }
+      next(error);
     }
   }
 
-  static async logout(req, res) {
-    res.status(200).json({ success: true, message: "Logout successful" });
+  /**
+   * Ends the current session: the access token (Bearer) or the refresh
+   * token in the body identifies it
+   */
+  static async logout(req, res, next) {
+    try {
+      let sessionId = req.sessionId;
+      let userId = req.user?.id;
+      if (!sessionId && req.body?.refresh_token) {
+        try {
+          const decoded = verifyRefreshToken(req.body.refresh_token);
+          sessionId = decoded.sid;
+          userId = decoded.userId;
+        } catch (e) {
+          // Already expired: nothing left to revoke
+        }
+      }
+      if (sessionId && userId) {
+        await SessionService.revoke(userId, sessionId, "logout");
+      }
+      res.status(200).json({ success: true, message: "Logout successful" });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Devices the user is signed in on
+   */
+  static async listSessions(req, res, next) {
+    try {
+      const sessions = await SessionService.list(req.user.id);
+      res.status(200).json({
+        success: true,
+        data: sessions.map((session) => ({
+          ...session,
+          current: String(session._id) === req.sessionId,
+        })),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async revokeSession(req, res, next) {
+    try {
+      const { id } = req.params;
+      if (!mongoose.isValidObjectId(id)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid session ID" });
+      }
+      const revoked = await SessionService.revoke(
+        req.user.id,
+        id,
+        "user_revoked",
+      );
+      if (!revoked) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Session not found" });
+      }
+      res.status(200).json({ success: true, message: "Session revoked" });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Log out of every other device, or of all of them with
+   * ?include_current=true
+   */
+  static async revokeAllSessions(req, res, next) {
+    try {
+      const includeCurrent = req.query.include_current === "true";
+      const revoked = await SessionService.revokeAll(req.user.id, {
+        reason: "user_revoked",
+        except: includeCurrent ? null : req.sessionId,
+      });
+      res.status(200).json({
+        success: true,
+        message: `${revoked} session(s) revoked`,
+        data: { revoked },
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 
   static async getMe(req, res) {
     res.status(200).json({ success: true, data: req.user });
   }
 
+  /**
+   * Erase the account (GDPR right to erasure): refused while rides, bookings,
+   * wallet money or withdrawals are outstanding
+   */
   static async deleteAccount(req, res, next) {
     try {
-      await User.findByIdAndUpdate(req.user.id, { deleted_at: new Date() });
+      const blockers = await PersonalDataService.deletionBlockers(req.user.id);
+      if (blockers.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Your account can't be deleted yet",
+          code: "ACCOUNT_DELETION_BLOCKED",
+          blockers,
+        });
+      }
+
+      await PersonalDataService.erase(req.user.id);
       res.status(200).json({ success: true, message: "Account deleted" });
     } catch (error) {
       next(error);
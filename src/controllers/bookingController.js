@@ -4,6 +4,9 @@ const User = require("../models/User");
 const Wallet = require("../models/Wallet");
 const Transaction = require("../models/Transaction");
 const NotificationService = require("../services/notificationService");
+const RideLifecycleService = require("../services/rideLifecycleService");
+const FlightTrackingService = require("../services/flightTrackingService");
+const { withTransaction, abort } = require("../utils/transaction");
 const mongoose = require("mongoose");
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
 
@@ -16,8 +19,8 @@ class BookingController {
     try {
       const { rideId } = req.params;
       const passengerId = req.user.id;
-      const { seats, pickup_location, dropoff_location, luggage_count } =
-        req.validatedBody || req.body; // Fallback to req.body if validatedBody doesn't have them yet
+      const { seats, waypoint_id, luggage_count } = req.validatedBody;
+      let { pickup_location, dropoff_location } = req.validatedBody;
 
       // Get ride details
       const ride = await Ride.findById(rideId);
@@ -83,18 +86,59 @@ class BookingController {
         });
       }
 
-      // Create booking
-      const booking = await Booking.create({
-        ride_id: rideId,
-        passenger_id: passengerId,
-        seats,
-        luggage_count: requestedLuggage,
-        pickup_location,
-        dropoff_location,
-      });
+      // Where the passenger joins/leaves the ride: the driver's home by
+      // default, one of the ride's waypoints, or a custom detour location
+      let stopType = "home";
+      if (waypoint_id) {
+        const waypoint = ride.waypoints.id(waypoint_id);
+        if (!waypoint) {
+          return res.status(400).json({
+            success: false,
+            message: "Waypoint not found on this ride",
+          });
+        }
+        const location = {
+          address: waypoint.address,
+          latitude: waypoint.latitude,
+          longitude: waypoint.longitude,
+        };
+        if (ride.direction === "home_to_airport") {
+          pickup_location = location;
+        } else {
+          dropoff_location = location;
+        }
+        stopType = "waypoint";
+      } else if (
+        ride.direction === "home_to_airport" ? pickup_location : dropoff_location
+      ) {
+        stopType = "detour";
+      }
 
-      // Don't reserve seats yet - only reserve when accepted
-      // This allows multiple pending requests
+      // Create booking
+      // Don't reserve seats yet - only reserve when accepted (atomically,
+      // see updateBooking). This allows multiple pending requests
+      let booking;
+      try {
+        booking = await Booking.create({
+          ride_id: rideId,
+          passenger_id: passengerId,
+          seats,
+          luggage_count: requestedLuggage,
+          pickup_location,
+          dropoff_location,
+          stop_type: stopType,
+          waypoint_id: waypoint_id || null,
+        });
+      } catch (error) {
+        // Concurrent request for the same ride (unique ride/passenger index)
+        if (error.code === 11000) {
+          return res.status(409).json({
+            success: false,
+            message: "You already have a booking for this ride",
+          });
+        }
+        throw error;
+      }
 
       // Get full booking details for notification
       const bookingWithDetails = await Booking.findById(booking._id)
@@ -311,6 +355,8 @@ class BookingController {
       }
 
       const oldStatus = booking.status;
+      // Seats to take with the status change (accepting a pending booking)
+      let reserveSeats = false;
       console.log(
         `[BookingController] Old status: ${oldStatus}, New status requested: ${status}`,
       );
@@ -375,6 +421,29 @@ class BookingController {
             });
           }
 
+          // Claim the cancellation before any money moves, so a repeated or
+          // concurrent cancel can't refund twice. Seats of an accepted booking
+          // go back in the same step.
+          await withTransaction(async (session) => {
+            const claimed = await Booking.updateOne(
+              { _id: booking._id, status: oldStatus },
+              { status },
+              { session },
+            );
+            if (claimed.matchedCount === 0) {
+              throw abort(409, "This booking was changed meanwhile, please refresh");
+            }
+            if (oldStatus === "accepted") {
+              await Ride.releaseSeats(
+                ride._id,
+                booking.seats,
+                booking.luggage_count || 0,
+                session,
+              );
+            }
+          });
+          booking.status = status;
+
           // Process refund for passenger cancellation
           if (booking.payment_status === "paid") {
             try {
@@ -426,8 +495,7 @@ class BookingController {
                 );
 
                 // ADD MONEY TO PASSENGER'S WALLET BALANCE
-                passengerWallet.balance += refund.amount;
-                await passengerWallet.save();
+                await Wallet.adjustBalance(booking.passenger_id, refund.amount);
 
                 await Transaction.create({
                   wallet_id: passengerWallet._id,
@@ -454,9 +522,6 @@ class BookingController {
                 const driver = await User.findById(ride.driver_id._id);
                 if (!driver?.stripeAccountId) {
                   try {
-                    const driverWallet = await Wallet.getOrCreateWallet(
-                      ride.driver_id._id,
-                    );
                     const feePercentage = parseFloat(
                       process.env.PLATFORM_FEE_PERCENT || "10",
                     );
@@ -466,36 +531,49 @@ class BookingController {
                       grossAmount * ((100 - feePercentage) / 100),
                     );
 
-                    if (driverWallet.balance >= driverEarnings) {
-                      driverWallet.balance -= driverEarnings;
-                      driverWallet.total_earned -= driverEarnings;
-                      await driverWallet.save();
-
-                      await Transaction.create({
-                        wallet_id: driverWallet._id,
-                        user_id: ride.driver_id._id,
-                        type: "refund",
-                        amount: -driverEarnings,
-                        gross_amount: grossAmount,
-                        fee_amount: 0,
-                        fee_percentage: 0,
-                        net_amount: driverEarnings,
-                        currency: "EUR",
-                        status: "completed",
-                        reference_type: "booking",
-                        reference_id: booking._id,
-                        stripe_payment_intent_id: booking.payment_intent_id,
-                        description:
-                          "Driver earnings reversed - passenger cancelled booking",
-                        processed_at: new Date(),
-                      });
+                    // Not released yet: just drop it from pending balance
+                    const pendingEarning =
+                      await RideLifecycleService.cancelPendingEarning(
+                        booking._id,
+                      );
+
+                    if (pendingEarning) {
                       console.log(
-                        `[BookingCancel] Deducted ${driverEarnings} cents from driver wallet`,
+                        `[BookingCancel] Cancelled pending earning of ${pendingEarning.net_amount} cents for driver`,
                       );
                     } else {
-                      console.warn(
-                        `[BookingCancel] Driver wallet has insufficient balance for refund. Required: ${driverEarnings}, Available: ${driverWallet.balance}`,
+                      // Already released: take it back if the balance still covers it
+                      const driverWallet = await Wallet.reverseEarnings(
+                        ride.driver_id._id,
+                        driverEarnings,
                       );
+                      if (driverWallet) {
+                        await Transaction.create({
+                          wallet_id: driverWallet._id,
+                          user_id: ride.driver_id._id,
+                          type: "refund",
+                          amount: -driverEarnings,
+                          gross_amount: grossAmount,
+                          fee_amount: 0,
+                          fee_percentage: 0,
+                          net_amount: driverEarnings,
+                          currency: "EUR",
+                          status: "completed",
+                          reference_type: "booking",
+                          reference_id: booking._id,
+                          stripe_payment_intent_id: booking.payment_intent_id,
+                          description:
+                            "Driver earnings reversed - passenger cancelled booking",
+                          processed_at: new Date(),
+                        });
+                        console.log(
+                          `[BookingCancel] Deducted ${driverEarnings} cents from driver wallet`,
+                        );
+                      } else {
+                        console.warn(
+                          `[BookingCancel] Driver wallet has insufficient balance for refund. Required: ${driverEarnings}`,
+                        );
+                      }
                     }
                   } catch (walletErr) {
                     console.error(
@@ -524,8 +602,7 @@ class BookingController {
                 const passengerWallet = await Wallet.getOrCreateWallet(
                   booking.passenger_id,
                 );
-                passengerWallet.balance += totalAmount;
-                await passengerWallet.save();
+                await Wallet.adjustBalance(booking.passenger_id, totalAmount);
 
                 // Create refund transaction for passenger
                 await Transaction.create({
@@ -546,35 +623,42 @@ class BookingController {
                 });
 
                 // Deduct from driver's wallet
-                const driverWallet = await Wallet.getOrCreateWallet(
-                  ride.driver_id._id,
-                );
-                if (driverWallet.balance >= driverEarnings) {
-                  driverWallet.balance -= driverEarnings;
-                  driverWallet.total_earned -= driverEarnings;
-                  await driverWallet.save();
-
-                  await Transaction.create({
-                    wallet_id: driverWallet._id,
-                    user_id: ride.driver_id._id,
-                    type: "refund",
-                    amount: -driverEarnings,
-                    gross_amount: totalAmount,
-                    fee_amount: 0,
-                    fee_percentage: 0,
-                    net_amount: driverEarnings,
-                    currency: "EUR",
-                    status: "completed",
-                    reference_type: "booking",
-                    reference_id: booking._id,
-                    description:
-                      "Driver earnings reversed - passenger cancelled booking",
-                    processed_at: new Date(),
-                  });
+                const pendingEarning =
+                  await RideLifecycleService.cancelPendingEarning(booking._id);
+
+                if (pendingEarning) {
+                  console.log(
+                    `[BookingCancel] Cancelled pending earning of ${pendingEarning.net_amount} cents for driver`,
+                  );
                 } else {
-                  console.warn(
-                    `[BookingCancel] Driver wallet has insufficient balance for refund. Required: ${driverEarnings}, Available: ${driverWallet.balance}`,
+                  // Already released: take it back if the balance still covers it
+                  const driverWallet = await Wallet.reverseEarnings(
+                    ride.driver_id._id,
+                    driverEarnings,
                   );
+                  if (driverWallet) {
+                    await Transaction.create({
+                      wallet_id: driverWallet._id,
+                      user_id: ride.driver_id._id,
+                      type: "refund",
+                      amount: -driverEarnings,
+                      gross_amount: totalAmount,
+                      fee_amount: 0,
+                      fee_percentage: 0,
+                      net_amount: driverEarnings,
+                      currency: "EUR",
+                      status: "completed",
+                      reference_type: "booking",
+                      reference_id: booking._id,
+                      description:
+                        "Driver earnings reversed - passenger cancelled booking",
+                      processed_at: new Date(),
+                    });
+                  } else {
+                    console.warn(
+                      `[BookingCancel] Driver wallet has insufficient balance for refund. Required: ${driverEarnings}`,
+                    );
+                  }
                 }
 
                 console.log(
@@ -611,8 +695,6 @@ class BookingController {
           message = `Booking ${status} successfully`;
         }
 
-        const rideId = booking.ride_id._id || booking.ride_id;
-
         if (oldStatus === "pending" && status === "accepted") {
           // const ride = await Ride.findById(rideId); // Ride already populated
           if (ride.seats_left < booking.seats) {
@@ -637,35 +719,55 @@ class BookingController {
               message: `Cannot accept booking. Only ${ride.luggage_left} luggage spot(s) available.`,
             });
           }
-          const updateInc = { seats_left: -booking.seats };
-          if (booking.luggage_count > 0) {
-            updateInc.luggage_left = -booking.luggage_count;
-          }
-          await Ride.findByIdAndUpdate(
-            rideId,
-            { $inc: updateInc },
-            { new: true },
-          );
-          console.log(
-            `[BookingController] Decremented seats_left for ride ${rideId} by ${booking.seats}, luggage_left by ${booking.luggage_count || 0}`,
+          reserveSeats = true;
+        }
+      }
+
+      if (reserveSeats) {
+        const rideId = booking.ride_id._id || booking.ride_id;
+        const luggage = booking.luggage_count || 0;
+
+        // The status change and the seat update are committed together. The
+        // status condition stops a repeated accept from counting twice, the
+        // seat condition stops two accepts from taking the last seat.
+        await withTransaction(async (session) => {
+          const claimed = await Booking.updateOne(
+            { _id: booking._id, status: oldStatus },
+            { status: booking.status },
+            { session },
           );
-        } else if (oldStatus === "accepted" && status === "cancelled") {
-          const updateInc = { seats_left: booking.seats };
-          if (booking.luggage_count > 0) {
-            updateInc.luggage_left = booking.luggage_count;
+          if (claimed.matchedCount === 0) {
+            throw abort(409, "This booking was changed meanwhile, please refresh");
           }
-          await Ride.findByIdAndUpdate(
+
+          const reserved = await Ride.reserveSeats(
             rideId,
-            { $inc: updateInc },
-            { new: true },
-          );
-          console.log(
-            `[BookingController] Incremented seats_left for ride ${rideId} by ${booking.seats}, luggage_left by ${booking.luggage_count || 0}`,
+            booking.seats,
+            luggage,
+            session,
           );
-        }
-      }
+          if (!reserved) {
+            // Without a transaction (standalone MongoDB) undo the status change
+            if (!session) {
+              await Booking.updateOne(
+                { _id: booking._id },
+                { status: oldStatus },
+              );
+            }
+            throw abort(
+              400,
+              "Cannot accept booking. Not enough seats or luggage space left.",
+            );
+          }
 
-      await booking.save();
+          await booking.save({ session });
+        });
+        console.log(
+          `[BookingController] Reserved ${booking.seats} seat(s) and ${luggage} luggage on ride ${rideId}`,
+        );
+      } else {
+        await booking.save();
+      }
       console.log(
         `[BookingController] Booking ${id} saved with new status: ${booking.status}`,
       );
@@ -724,6 +826,96 @@ class BookingController {
       next(error);
     }
   }
+
+  /**
+   * Attach (or replace) the passenger's flight on a booking
+   * PUT /api/v1/bookings/:id/flight
+   */
+  static async setFlight(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { flight_number, flight_date } = req.validatedBody;
+
+      const booking = await Booking.findById(id).populate({
+        path: "ride_id",
+        populate: { path: "airport_id", select: "name iata_code" },
+      });
+
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: "Booking not found",
+        });
+      }
+
+      if (booking.passenger_id.toString() !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the passenger can set the flight for this booking",
+        });
+      }
+
+      if (!["pending", "accepted"].includes(booking.status)) {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot set a flight on a rejected or cancelled booking",
+        });
+      }
+
+      const ride = booking.ride_id;
+      const result = await FlightTrackingService.resolveFlight(
+        ride?.airport_id,
+        ride?.direction,
+        flight_number,
+        flight_date,
+      );
+      if (result.error) {
+        return res.status(result.error.status).json({
+          success: false,
+          message: result.error.message,
+        });
+      }
+
+      booking.flight = result.flight;
+      await booking.save();
+
+      res.status(200).json({
+        success: true,
+        message: "Flight saved",
+        data: booking.flight,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove the flight from a booking
+   * DELETE /api/v1/bookings/:id/flight
+   */
+  static async removeFlight(req, res, next) {
+    try {
+      const booking = await Booking.findOneAndUpdate(
+        { _id: req.params.id, passenger_id: req.user.id },
+        { flight: null },
+        { new: true },
+      );
+
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: "Booking not found",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Flight removed",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = BookingController;
@@ -4,6 +4,8 @@ const Ride = require("../models/Ride");
 const RideRequest = require("../models/RideRequest");
 const User = require("../models/User");
 const NotificationService = require("../services/notificationService");
+const ChatService = require("../services/chatService");
+const SocketService = require("../services/socketService");
 const cloudinary = require("cloudinary").v2;
 
 // Cloudinary is auto-configured via CLOUDINARY_URL env variable
@@ -18,33 +20,11 @@ exports.getMessages = async (req, res) => {
     const userId = req.user.id;
 
     // Verify user has access to this chat (driver or passenger)
-    const booking = await Booking.findById(bookingId).populate({
-      path: "ride_id",
-      select: "driver_id",
-    });
-
-    if (!booking) {
-      return res.status(404).json({
+    const access = await ChatService.getBookingChatAccess(bookingId, userId);
+    if (access.error) {
+      return res.status(access.error.status).json({
         success: false,
-        message: "Booking not found",
-      });
-    }
-
-    // Only accepted bookings can have chat
-    if (booking.status !== "accepted") {
-      return res.status(403).json({
-        success: false,
-        message: "Chat is only available for accepted bookings",
-      });
-    }
-
-    const driverId = booking.ride_id?.driver_id?.toString();
-    const passengerId = booking.passenger_id?.toString();
-
-    if (userId !== driverId && userId !== passengerId) {
-      return res.status(403).json({
-        success: false,
-        message: "You don't have access to this chat",
+        message: access.error.message,
       });
     }
 
@@ -54,11 +34,12 @@ exports.getMessages = async (req, res) => {
       .populate("receiver_id", "first_name last_name avatar_url")
       .sort({ createdAt: 1 });
 
-    // Mark messages as read if user is the receiver
-    await Message.updateMany(
-      { booking_id: bookingId, receiver_id: userId, read: false },
-      { read: true, read_at: new Date() }
-    );
+    // Mark messages as read if user is the receiver (pushes a read receipt to the sender)
+    await SocketService.markConversationRead({
+      bookingId,
+      readerId: userId,
+      otherUserId: access.receiverId,
+    });
 
     res.json({
       success: true,
@@ -85,37 +66,15 @@ exports.sendMessage = async (req, res) => {
     const userId = req.user.id;
 
     // Verify user has access to this chat
-    const booking = await Booking.findById(bookingId).populate({
-      path: "ride_id",
-      select: "driver_id",
-    });
-
-    if (!booking) {
-      return res.status(404).json({
-        success: false,
-        message: "Booking not found",
-      });
-    }
-
-    if (booking.status !== "accepted") {
-      return res.status(403).json({
+    const access = await ChatService.getBookingChatAccess(bookingId, userId);
+    if (access.error) {
+      return res.status(access.error.status).json({
         success: false,
-        message: "Chat is only available for accepted bookings",
+        message: access.error.message,
       });
     }
 
-    const driverId = booking.ride_id?.driver_id?.toString();
-    const passengerId = booking.passenger_id?.toString();
-
-    if (userId !== driverId && userId !== passengerId) {
-      return res.status(403).json({
-        success: false,
-        message: "You don't have access to this chat",
-      });
-    }
-
-    // Determine receiver
-    const receiverId = userId === driverId ? passengerId : driverId;
+    const { booking, driverId, receiverId } = access;
 
     let imageUrl = null;
 
@@ -174,6 +133,9 @@ exports.sendMessage = async (req, res) => {
     await message.populate("sender_id", "first_name last_name avatar_url");
     await message.populate("receiver_id", "first_name last_name avatar_url");
 
+    // Push to both participants over WebSocket
+    SocketService.emitChatMessage(message, { senderId: userId, receiverId });
+
     // Create notification for receiver
     try {
       const sender = await User.findById(userId).select("first_name last_name");
@@ -450,32 +412,11 @@ exports.getRequestMessages = async (req, res) => {
     const userId = req.user.id;
 
     // Verify user has access to this chat (driver or passenger)
-    const request = await RideRequest.findById(requestId)
-      .populate("matched_driver", "_id first_name last_name avatar_url")
-      .populate("passenger", "_id first_name last_name avatar_url");
-
-    if (!request) {
-      return res.status(404).json({
-        success: false,
-        message: "Request not found",
-      });
-    }
-
-    // Only accepted requests can have chat
-    if (request.status !== "accepted") {
-      return res.status(403).json({
+    const access = await ChatService.getRequestChatAccess(requestId, userId);
+    if (access.error) {
+      return res.status(access.error.status).json({
         success: false,
-        message: "Chat is only available for accepted requests",
-      });
-    }
-
-    const driverId = request.matched_driver?._id?.toString();
-    const passengerId = request.passenger?._id?.toString();
-
-    if (userId !== driverId && userId !== passengerId) {
-      return res.status(403).json({
-        success: false,
-        message: "You don't have access to this chat",
+        message: access.error.message,
       });
     }
 
@@ -485,11 +426,12 @@ exports.getRequestMessages = async (req, res) => {
       .populate("receiver_id", "first_name last_name avatar_url")
       .sort({ createdAt: 1 });
 
-    // Mark messages as read if user is the receiver
-    await Message.updateMany(
-      { request_id: requestId, receiver_id: userId, read: false },
-      { read: true, read_at: new Date() }
-    );
+    // Mark messages as read if user is the receiver (pushes a read receipt to the sender)
+    await SocketService.markConversationRead({
+      requestId,
+      readerId: userId,
+      otherUserId: access.receiverId,
+    });
 
     res.json({
       success: true,
@@ -516,37 +458,15 @@ exports.sendRequestMessage = async (req, res) => {
     const userId = req.user.id;
 
     // Verify user has access to this chat
-    const request = await RideRequest.findById(requestId)
-      .populate("matched_driver", "_id first_name last_name")
-      .populate("passenger", "_id first_name last_name")
-      .populate("airport", "name code");
-
-    if (!request) {
-      return res.status(404).json({
-        success: false,
-        message: "Request not found",
-      });
-    }
-
-    if (request.status !== "accepted") {
-      return res.status(403).json({
-        success: false,
-        message: "Chat is only available for accepted requests",
-      });
-    }
-
-    const driverId = request.matched_driver?._id?.toString();
-    const passengerId = request.passenger?._id?.toString();
-
-    if (userId !== driverId && userId !== passengerId) {
-      return res.status(403).json({
+    const access = await ChatService.getRequestChatAccess(requestId, userId);
+    if (access.error) {
+      return res.status(access.error.status).json({
         success: false,
-        message: "You don't have access to this chat",
+        message: access.error.message,
       });
     }
 
-    // Determine receiver
-    const receiverId = userId === driverId ? passengerId : driverId;
+    const { request, driverId, receiverId } = access;
 
     let imageUrl = null;
 
@@ -602,6 +522,9 @@ exports.sendRequestMessage = async (req, res) => {
     await message.populate("sender_id", "first_name last_name avatar_url");
     await message.populate("receiver_id", "first_name last_name avatar_url");
 
+    // Push to both participants over WebSocket
+    SocketService.emitChatMessage(message, { senderId: userId, receiverId });
+
     // Create notification for receiver
     try {
       const sender = await User.findById(userId).select("first_name last_name");
@@ -1,15 +1,12 @@
 const bcrypt = require("bcrypt");
 const { sendEmail } = require("../services/emailService");
 const EmailOtp = require("../models/EmailOtp");
+const OtpService = require("../services/otpService");
 
 const OTP_TTL_SECONDS = 10 * 60; // 10 minutes
 const VERIFIED_TTL_SECONDS = 24 * 60 * 60; // 24 hours
 const SALT_ROUNDS = 10;
 
-function generateOtp() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
-}
-
 class EmailOtpController {
   static async sendEmailOtp(req, res, next) {
     try {
@@ -47,7 +44,7 @@ class EmailOtpController {
         });
       }
 
-      const code = generateOtp();
+      const code = OtpService.generate();
       const hash = await bcrypt.hash(code, SALT_ROUNDS);
 
       doc.code_hash = hash;
@@ -112,8 +109,11 @@ class EmailOtpController {
 
       const email = (rawEmail || "").toLowerCase().trim();
 
-      // Demo/bypass code for testing purposes
-      if (code === "123456" || code === "000000") {
+      // Demo/bypass codes for testing, only when explicitly allowed
+      if (
+        process.env.ALLOW_DEMO_OTP === "true" &&
+        (code === "123456" || code === "000000")
+      ) {
         console.log(`🎭 Demo code used for email: ${email}`);
 
         // Create or update demo verification record
@@ -140,55 +140,41 @@ class EmailOtpController {
           .json({ success: false, message: "OTP expired or not found" });
       }
 
-      // If they've already failed too many times, force them to request a new code
-      if ((doc.attempts || 0) >= 5) {
-        try {
-          await doc.deleteOne();
-        } catch (e) {
-          // ignore
-        }
-        return res.status(429).json({
-          success: false,
-          message: "Too many failed attempts. Please request a new code.",
-        });
-      }
-
       // Check expiry
       if (doc.expiresAt && new Date() > doc.expiresAt) {
         return res.status(400).json({ success: false, message: "OTP expired" });
       }
 
-      const ok = await bcrypt.compare(code, doc.code_hash);
-      if (!ok) {
-        // increment attempts
-        doc.attempts = (doc.attempts || 0) + 1;
-        await doc.save();
-        if ((doc.attempts || 0) >= 5) {
-          try {
-            await doc.deleteOne();
-          } catch (e) {
-            // ignore
-          }
-          return res.status(429).json({
-            success: false,
-            message: "Too many failed attempts. Please request a new code.",
-          });
-        }
-
+      const result = await OtpService.check(doc, code);
+      if (result.status === "locked") {
+        return res.status(429).json({
+          success: false,
+          message: "Too many failed attempts. Please request a new code.",
+        });
+      }
+      if (result.status === "expired") {
         return res
           .status(400)
-          .json({ success: false, message: "Invalid code" });
+          .json({ success: false, message: "OTP expired or not found" });
+      }
+      if (result.status === "invalid") {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid code",
+          attempts_remaining: result.remaining,
+        });
       }
 
       // mark verified and set verification TTL
-      doc.verified = true;
-      doc.verifiedAt = new Date();
-      doc.verifiedExpiresAt = new Date(
+      const verifiedDoc = result.doc;
+      verifiedDoc.verified = true;
+      verifiedDoc.verifiedAt = new Date();
+      verifiedDoc.verifiedExpiresAt = new Date(
         Date.now() + VERIFIED_TTL_SECONDS * 1000,
       );
       // clear code hash so it can't be reused
-      doc.code_hash = undefined;
-      await doc.save();
+      verifiedDoc.code_hash = undefined;
+      await verifiedDoc.save();
 
       res.json({ success: true, message: "Email verified" });
     } catch (err) {
@@ -0,0 +1,191 @@
+const mongoose = require("mongoose");
+const Airport = require("../models/Airport");
+const GeocodingService = require("../services/geocodingService");
+
+const fallbackAddress = (latitude, longitude) => ({
+  address: `Lat: ${latitude.toFixed(5)}, Lon: ${longitude.toFixed(5)}`,
+  city: "Location",
+  country: "",
+});
+
+class GeocodingController {
+  /**
+   * Country and location to bias results towards: the selected airport,
+   * or an explicit ?country= code
+   */
+  static async biasFor(query) {
+    const bias = {};
+    if (query.airport_id && mongoose.Types.ObjectId.isValid(query.airport_id)) {
+      const airport = await Airport.findById(query.airport_id);
+      if (airport) {
+        bias.countryCode = airport.country_code;
+        if (airport.latitude != null && airport.longitude != null) {
+          bias.near = { lat: airport.latitude, lng: airport.longitude };
+        }
+      }
+    }
+    if (query.country) {
+      bias.countryCode = String(query.country).toUpperCase();
+    }
+    return bias;
+  }
+
+  /**
+   * Reverse geocode coordinates to address
+   * GET /api/v1/geocoding/reverse-geocode?lat=&lon=
+   */
+  static async reverseGeocode(req, res) {
+    const { lat, lon } = req.query;
+
+    if (!lat || !lon) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Missing lat or lon parameter" });
+    }
+
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lon);
+
+    // Validate coordinates
+    if (
+      isNaN(latitude) ||
+      isNaN(longitude) ||
+      latitude < -90 ||
+      latitude > 90 ||
+      longitude < -180 ||
+      longitude > 180
+    ) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Invalid coordinates" });
+    }
+
+    try {
+      const { place, cached } = await GeocodingService.reverse(
+        latitude,
+        longitude,
+      );
+
+      if (!place) {
+        return res.json({
+          success: true,
+          ...fallbackAddress(latitude, longitude),
+          fallback: true,
+          reason: "No address data",
+        });
+      }
+
+      res.json({
+        success: true,
+        address: place.address,
+        city: place.city || "Location",
+        country: place.country || "",
+        postcode: place.postcode || "",
+        cached,
+      });
+    } catch (error) {
+      console.error("❌ Geocoding error:", error.message);
+
+      // Always return a fallback address on error
+      res.json({
+        success: true,
+        ...fallbackAddress(latitude, longitude),
+        fallback: true,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Forward geocode an address
+   * GET /api/v1/geocoding/search?q=&airport_id=&country=&limit=
+   */
+  static async search(req, res, next) {
+    try {
+      const query = (req.query.q || "").trim();
+      if (query.length < 3) {
+        return res.status(400).json({
+          success: false,
+          message: "q must be at least 3 characters",
+        });
+      }
+
+      const limit = Math.min(parseInt(req.query.limit) || 5, 10);
+      const bias = await GeocodingController.biasFor(req.query);
+      const { results, cached } = await GeocodingService.search(query, {
+        ...bias,
+        limit,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: results,
+        cached,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Address suggestions while typing
+   * GET /api/v1/geocoding/autocomplete?q=&airport_id=&country=&limit=
+   */
+  static async autocomplete(req, res, next) {
+    try {
+      const query = (req.query.q || "").trim();
+      if (query.length < 3) {
+        return res.status(200).json({
+          success: true,
+          data: [],
+          cached: false,
+        });
+      }
+
+      const limit = Math.min(parseInt(req.query.limit) || 5, 10);
+      const bias = await GeocodingController.biasFor(req.query);
+      const { results, cached } = await GeocodingService.autocomplete(query, {
+        ...bias,
+        limit,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: results,
+        cached,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get cache statistics (for monitoring)
+   * GET /api/v1/geocoding/cache-stats
+   */
+  static async cacheStats(req, res, next) {
+    try {
+      res.json(await GeocodingService.cacheStats());
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Clear the geocoding cache
+   * POST /api/v1/geocoding/cache-clear
+   */
+  static async clearCache(req, res, next) {
+    try {
+      const size = await GeocodingService.clearCache();
+      res.json({
+        success: true,
+        message: `Cleared ${size} cache entries`,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = GeocodingController;
@@ -0,0 +1,124 @@
+const User = require("../models/User");
+const MfaService = require("../services/mfaService");
+const SessionService = require("../services/sessionService");
+const { verifyMfaToken } = require("../utils/jwt");
+
+class MfaController {
+  /**
+   * Step 1 of enrollment: get a secret for the authenticator app
+   * POST /api/v1/auth/mfa/setup
+   */
+  static async setup(req, res, next) {
+    try {
+      const data = await MfaService.setup(req.user.id);
+      res.status(200).json({ success: true, data });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Step 2 of enrollment: confirm with a code from the app
+   * POST /api/v1/auth/mfa/enable
+   * Body: { code }
+   */
+  static async enable(req, res, next) {
+    try {
+      const recoveryCodes = await MfaService.enable(req.user.id, req.validatedBody.code);
+      res.status(200).json({
+        success: true,
+        message: "Two-factor authentication enabled. Keep your recovery codes somewhere safe.",
+        data: { recovery_codes: recoveryCodes },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/auth/mfa/disable
+   * Body: { code }
+   */
+  static async disable(req, res, next) {
+    try {
+      await MfaService.disable(req.user.id, req.validatedBody.code);
+      res.status(200).json({
+        success: true,
+        message: "Two-factor authentication disabled",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Replace the recovery codes
+   * POST /api/v1/auth/mfa/recovery-codes
+   * Body: { code }
+   */
+  static async regenerateRecoveryCodes(req, res, next) {
+    try {
+      const recoveryCodes = await MfaService.regenerateRecoveryCodes(
+        req.user.id,
+        req.validatedBody.code,
+      );
+      res.status(200).json({
+        success: true,
+        data: { recovery_codes: recoveryCodes },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Second step of a login answered with mfa_required
+   * POST /api/v1/auth/mfa/verify
+   * Body: { mfa_token, code } - code from the app or a recovery code
+   */
+  static async verifyLogin(req, res, next) {
+    try {
+      const { mfa_token, code } = req.validatedBody;
+
+      let decoded;
+      try {
+        decoded = verifyMfaToken(mfa_token);
+      } catch (e) {
+        return res.status(401).json({
+          success: false,
+          message: "Login expired. Please log in again.",
+        });
+      }
+
+      const user = await User.findOne({ _id: decoded.userId, deleted_at: null });
+      if (!user || !user.mfa?.enabled) {
+        return res
+          .status(401)
+          .json({ success: false, message: "Please log in again." });
+      }
+      if (user.suspended_at) {
+        return res.status(403).json({
+          success: false,
+          message: "Account suspended. Please contact support.",
+        });
+      }
+
+      await MfaService.verify(user, code);
+      const tokens = await SessionService.create(user._id, req);
+
+      const safeUser = user.toJSON();
+      delete safeUser.id_image_front;
+      delete safeUser.id_image_back;
+
+      res.status(200).json({
+        success: true,
+        message: "Login successful",
+        data: { user: safeUser, ...tokens },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = MfaController;
@@ -2,16 +2,14 @@ const bcrypt = require("bcrypt");
 const { sendEmail } = require("../services/emailService");
 const EmailOtp = require("../models/EmailOtp");
 const User = require("../models/User");
+const SessionService = require("../services/sessionService");
+const OtpService = require("../services/otpService");
 const admin = require("../config/firebaseAdmin");
 
 const OTP_TTL_SECONDS = 10 * 60; // 10 minutes
 const VERIFIED_TTL_SECONDS = 15 * 60; // 15 minutes to reset password after verification
 const SALT_ROUNDS = 10;
 
-function generateOtp() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
-}
-
 class PasswordResetController {
   /**
    * Step 1: Send a reset code to email or phone
@@ -80,8 +78,7 @@ class PasswordResetController {
         });
       }
 
-      const code = generateOtp();
-      console.log("DEBUG forgot-password send-code: OTP for", email, "=", code);
+      const code = OtpService.generate();
       const hash = await bcrypt.hash(code, SALT_ROUNDS);
 
       doc.code_hash = hash;
@@ -148,8 +145,6 @@ class PasswordResetController {
 
       const resetKey = `reset:${(rawEmail || "").toLowerCase().trim()}`;
 
-      console.log("DEBUG forgot-password verify-code:", { resetKey, code, codeType: typeof code });
-
       const doc = await EmailOtp.findOne({ email: resetKey });
       if (!doc || !doc.code_hash) {
         console.log("DEBUG forgot-password verify-code: no doc or no hash", { found: !!doc, hasHash: !!(doc && doc.code_hash) });
@@ -158,39 +153,35 @@ class PasswordResetController {
           .json({ success: false, message: "Reset code expired or not found. Request a new one." });
       }
 
-      if ((doc.attempts || 0) >= 5) {
-        try { await doc.deleteOne(); } catch (e) { /* ignore */ }
+      if (doc.expiresAt && new Date() > doc.expiresAt) {
+        return res.status(400).json({ success: false, message: "Reset code expired. Request a new one." });
+      }
+
+      const result = await OtpService.check(doc, code);
+      if (result.status === "locked") {
         return res.status(429).json({
           success: false,
           message: "Too many failed attempts. Please request a new code.",
         });
       }
-
-      if (doc.expiresAt && new Date() > doc.expiresAt) {
-        return res.status(400).json({ success: false, message: "Reset code expired. Request a new one." });
+      if (result.status === "expired") {
+        return res.status(400).json({ success: false, message: "Reset code expired or not found. Request a new one." });
       }
-
-      const ok = await bcrypt.compare(String(code), doc.code_hash);
-      console.log("DEBUG forgot-password verify-code: bcrypt result =", ok);
-      if (!ok) {
-        doc.attempts = (doc.attempts || 0) + 1;
-        await doc.save();
-        if ((doc.attempts || 0) >= 5) {
-          try { await doc.deleteOne(); } catch (e) { /* ignore */ }
-          return res.status(429).json({
-            success: false,
-            message: "Too many failed attempts. Please request a new code.",
-          });
-        }
-        return res.status(400).json({ success: false, message: "Invalid code" });
+      if (result.status === "invalid") {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid code",
+          attempts_remaining: result.remaining,
+        });
       }
 
       // Mark verified
-      doc.verified = true;
-      doc.verifiedAt = new Date();
-      doc.verifiedExpiresAt = new Date(Date.now() + VERIFIED_TTL_SECONDS * 1000);
-      doc.code_hash = undefined;
-      await doc.save();
+      const verifiedDoc = result.doc;
+      verifiedDoc.verified = true;
+      verifiedDoc.verifiedAt = new Date();
+      verifiedDoc.verifiedExpiresAt = new Date(Date.now() + VERIFIED_TTL_SECONDS * 1000);
+      verifiedDoc.code_hash = undefined;
+      await verifiedDoc.save();
 
       res.json({ success: true, message: "Code verified. You can now reset your password." });
     } catch (err) {
@@ -324,6 +315,9 @@ class PasswordResetController {
       user.password_hash = password_hash;
       await user.save();
 
+      // Whoever had the old password is signed out everywhere
+      await SessionService.revokeAll(user._id, { reason: "password_reset" });
+
       await doc.deleteOne();
 
       try {
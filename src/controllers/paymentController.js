@@ -4,6 +4,8 @@ const Booking = require("../models/Booking");
 const Wallet = require("../models/Wallet");
 const Transaction = require("../models/Transaction");
 const NotificationService = require("../services/notificationService");
+const { stripeIdempotencyKey } = require("../middleware/idempotency");
+const { withTransaction, abort } = require("../utils/transaction");
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
 
 /**
@@ -102,7 +104,9 @@ exports.createPaymentIntent = async (req, res, next) => {
     }
 
     // Create PaymentIntent
-    const paymentIntent = await stripe.paymentIntents.create(paymentIntentData);
+    const paymentIntent = await stripe.paymentIntents.create(paymentIntentData, {
+      idempotencyKey: stripeIdempotencyKey(req, "payment_intent"),
+    });
 
     console.log("PaymentIntent created:", paymentIntent.id);
 
@@ -228,7 +232,9 @@ exports.createOfferPaymentIntent = async (req, res, next) => {
     }
 
     // Create PaymentIntent
-    const paymentIntent = await stripe.paymentIntents.create(paymentIntentData);
+    const paymentIntent = await stripe.paymentIntents.create(paymentIntentData, {
+      idempotencyKey: stripeIdempotencyKey(req, "payment_intent"),
+    });
 
     console.log("Offer PaymentIntent created:", paymentIntent.id);
 
@@ -284,6 +290,25 @@ exports.completePayment = async (req, res, next) => {
 
     console.log("Payment verified:", paymentIntent.status);
 
+    // A retry after the booking was created: return it instead of booking
+    // again (the duplicate would fail and refund a valid payment)
+    const existingBooking = await Booking.findOne({
+      payment_intent_id: paymentIntentId,
+    });
+    if (existingBooking) {
+      if (existingBooking.passenger_id.toString() !== userId) {
+        return res.status(403).json({
+          success: false,
+          message: "This payment belongs to another booking",
+        });
+      }
+      return res.status(200).json({
+        success: true,
+        message: "Payment already completed",
+        booking: existingBooking,
+      });
+    }
+
     // Find the ride
     const ride = await Ride.findById(rideId);
     if (!ride) {
@@ -293,37 +318,89 @@ exports.completePayment = async (req, res, next) => {
       });
     }
 
-    // Check seats again
-    if (ride.seats_left < seats) {
-      // Refund the payment since seats are no longer available
-      await stripe.refunds.create({ payment_intent: paymentIntentId });
-      return res.status(400).json({
-        success: false,
-        message: "Seats no longer available. Payment refunded.",
-      });
-    }
+    const luggage = parseInt(luggage_count) || 0;
+    const passenger = await User.findById(userId);
+    // Drivers with Stripe Connect are paid through transfer_data; for the
+    // others the money stays on the platform and we credit their wallet
+    const driver = await User.findById(ride.driver_id);
 
-    // Create the booking with status 'accepted' (already paid)
+    // Seats, booking and driver earnings are committed together. The
+    // conditional seat update makes sure two passengers can't take the last seat.
     let booking;
     try {
-      booking = await Booking.create({
-        ride_id: rideId,
-        passenger_id: userId,
-        seats: seats,
-        luggage_count: parseInt(luggage_count) || 0,
-        status: "accepted", // Already paid, so automatically accepted
-        payment_status: "paid",
-        payment_method: "card",
-        payment_intent_id: paymentIntentId,
+      booking = await withTransaction(async (session) => {
+        const reserved = await Ride.reserveSeats(rideId, seats, luggage, session);
+        if (!reserved) {
+          throw abort(400, "Seats no longer available. Payment refunded.");
+        }
+
+        // Create the booking with status 'accepted' (already paid)
+        let created;
+        try {
+          [created] = await Booking.create(
+            [
+              {
+                ride_id: rideId,
+                passenger_id: userId,
+                seats: seats,
+                luggage_count: luggage,
+                status: "accepted", // Already paid, so automatically accepted
+                payment_status: "paid",
+                payment_method: "card",
+                payment_intent_id: paymentIntentId,
+              },
+            ],
+            { session },
+          );
+        } catch (error) {
+          // Without a transaction (standalone MongoDB) give the seats back
+          if (!session) await Ride.releaseSeats(rideId, seats, luggage);
+          throw error;
+        }
+
+        if (!driver?.stripeAccountId) {
+          const grossAmount = paymentIntent.amount;
+          const feePercentage = parseFloat(
+            process.env.PLATFORM_FEE_PERCENT || "10",
+          );
+          const netAmount =
+            grossAmount - Math.round(grossAmount * (feePercentage / 100));
+
+          // Held in pending balance until the ride completes
+          const wallet = await Wallet.creditPending(
+            ride.driver_id,
+            netAmount,
+            session,
+          );
+          await Transaction.createRideEarning({
+            wallet_id: wallet._id,
+            user_id: ride.driver_id,
+            gross_amount: grossAmount,
+            fee_percentage: feePercentage,
+            booking: created,
+            ride,
+            passenger,
+            stripe_payment_intent_id: paymentIntentId,
+            status: "pending",
+            session,
+          });
+          console.log(
+            `Credited ${netAmount} cents to driver ${ride.driver_id}'s pending balance`,
+          );
+        }
+        return created;
       });
     } catch (bookingError) {
-      // If booking creation fails, refund the Stripe payment
+      // Nothing was booked: refund the Stripe payment
       console.error(
         "Booking creation failed, issuing refund:",
         bookingError.message,
       );
       try {
-        await stripe.refunds.create({ payment_intent: paymentIntentId });
+        await stripe.refunds.create(
+          { payment_intent: paymentIntentId },
+          { idempotencyKey: stripeIdempotencyKey(req, "refund") },
+        );
         console.log("Refund issued for payment intent:", paymentIntentId);
       } catch (refundError) {
         console.error(
@@ -332,33 +409,20 @@ exports.completePayment = async (req, res, next) => {
           refundError.message,
         );
       }
-      return res.status(500).json({
+      return res.status(bookingError.statusCode || 500).json({
         success: false,
-        message: "Failed to create booking. Payment has been refunded.",
+        message: bookingError.statusCode
+          ? bookingError.message
+          : "Failed to create booking. Payment has been refunded.",
       });
     }
 
-    console.log("Booking created:", booking._id);
-
-    // Update ride seats
-    await Ride.findByIdAndUpdate(
-      rideId,
-      {
-        $inc: {
-          seats_left: -seats,
-          luggage_left: -(parseInt(luggage_count) || 0),
-        },
-      },
-      { new: true },
-    );
-
     console.log(
-      `Ride ${rideId} seats updated, removed ${seats} seats and ${luggage_count || 0} luggage`,
+      `Booking ${booking._id} created, removed ${seats} seats and ${luggage} luggage from ride ${rideId}`,
     );
 
     // Notify driver about the new (paid) booking
     try {
-      const passenger = await User.findById(userId);
       await NotificationService.notifyBookingRequest(
         ride.driver_id.toString(),
         {
@@ -382,50 +446,6 @@ exports.completePayment = async (req, res, next) => {
       // Do not fail the booking if notification fails
     }
 
-    // Credit driver's wallet (if driver doesn't have Stripe Connect)
-    // If driver HAS Stripe Connect, the money goes directly via transfer_data
-    // If driver doesn't have Stripe Connect, we credit their wallet in our system
-    const driver = await User.findById(ride.driver_id);
-    if (!driver?.stripeAccountId) {
-      try {
-        // Get or create driver's wallet
-        const wallet = await Wallet.getOrCreateWallet(ride.driver_id);
-
-        // Calculate amounts
-        const grossAmount = paymentIntent.amount;
-        const feePercentage = parseFloat(
-          process.env.PLATFORM_FEE_PERCENT || "10",
-        );
-        const feeAmount = Math.round(grossAmount * (feePercentage / 100));
-        const netAmount = grossAmount - feeAmount;
-
-        // Get passenger info
-        const passenger = await User.findById(userId);
-
-        // Add to wallet
-        await wallet.addEarnings(netAmount, false);
-
-        // Create transaction record
-        await Transaction.createRideEarning({
-          wallet_id: wallet._id,
-          user_id: ride.driver_id,
-          gross_amount: grossAmount,
-          fee_percentage: feePercentage,
-          booking,
-          ride,
-          passenger,
-          stripe_payment_intent_id: paymentIntentId,
-        });
-
-        console.log(
-          `Credited ${netAmount} cents to driver ${ride.driver_id}'s wallet`,
-        );
-      } catch (walletError) {
-        console.error("Error crediting driver wallet:", walletError);
-        // Don't fail the booking, just log the error
-      }
-    }
-
     res.status(201).json({
       success: true,
       message: "Payment completed and booking confirmed!",
@@ -511,21 +531,24 @@ exports.createRidePayment = async (req, res, next) => {
     });
 
     // Create PaymentIntent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: totalAmount,
-      currency: "eur",
-      payment_method_types: ["card"],
-      application_fee_amount: applicationFeeAmount,
-      transfer_data: {
-        destination: driver.stripeAccountId,
-      },
-      metadata: {
-        bookingId: booking._id.toString(),
-        rideId: ride._id.toString(),
-        passengerId: userId,
-        driverId: driver._id.toString(),
+    const paymentIntent = await stripe.paymentIntents.create(
+      {
+        amount: totalAmount,
+        currency: "eur",
+        payment_method_types: ["card"],
+        application_fee_amount: applicationFeeAmount,
+        transfer_data: {
+          destination: driver.stripeAccountId,
+        },
+        metadata: {
+          bookingId: booking._id.toString(),
+          rideId: ride._id.toString(),
+          passengerId: userId,
+          driverId: driver._id.toString(),
+        },
       },
-    });
+      { idempotencyKey: stripeIdempotencyKey(req, "payment_intent") },
+    );
 
     console.log("PaymentIntent created:", paymentIntent.id);
 
@@ -619,106 +642,162 @@ exports.payWithWallet = async (req, res, next) => {
       walletBalance: passengerWallet.balance,
     });
 
-    // Deduct from passenger wallet
-    passengerWallet.balance -= totalAmount;
-    await passengerWallet.save();
-
-    // Create the booking with status 'accepted' (already paid)
-    const booking = await Booking.create({
+    // Already booked (checked here for a clear message, the unique index
+    // still guards against concurrent requests)
+    const alreadyBooked = await Booking.findOne({
       ride_id: rideId,
       passenger_id: userId,
-      seats: seats,
-      luggage_count: parseInt(luggage_count) || 0,
-      status: "accepted",
-      payment_status: "paid",
-      payment_method: "wallet", // Mark as wallet payment
     });
-
-    console.log("Booking created with wallet payment:", booking._id);
-
-    // Update ride seats
-    await Ride.findByIdAndUpdate(
-      rideId,
-      {
-        $inc: {
-          seats_left: -seats,
-          luggage_left: -(parseInt(luggage_count) || 0),
-        },
-      },
-      { new: true },
-    );
+    if (alreadyBooked) {
+      return res.status(409).json({
+        success: false,
+        message: "You already have a booking for this ride",
+      });
+    }
 
     // Get passenger info for transaction record
     const passenger = await User.findById(userId);
 
-    // Create transaction record for passenger (debit)
-    await Transaction.create({
-      wallet_id: passengerWallet._id,
-      user_id: userId,
-      type: "ride_payment",
-      amount: -totalAmount,
-      gross_amount: totalAmount,
-      fee_amount: 0, // No fees for wallet payments!
-      fee_percentage: 0,
-      net_amount: totalAmount,
-      currency: "EUR",
-      status: "completed",
-      reference_type: "booking",
-      reference_id: booking._id,
-      description: `Payment for ride booking - ${seats} seat(s)`,
-      ride_details: {
-        ride_id: ride._id,
-        booking_id: booking._id,
-        driver_id: driverId,
-        driver_name: ride.driver_id?.name || "Driver",
-        seats: seats,
-        price_per_seat: ride.price_per_seat,
-        route: `${ride.home_city || "Origin"} → ${ride.airport_name || "Airport"}`,
-      },
-      processed_at: new Date(),
-    });
-
-    // Credit driver's wallet (full amount - no platform fee for wallet payments)
-    const driver = ride.driver_id;
-    const driverWallet = await Wallet.getOrCreateWallet(driverId);
-
     // Calculate platform fee (still apply platform fee)
     const platformFeePercent = parseFloat(
       process.env.PLATFORM_FEE_PERCENT || "10",
     );
     const platformFee = Math.round(totalAmount * (platformFeePercent / 100));
     const driverEarnings = totalAmount - platformFee;
+    const luggage = parseInt(luggage_count) || 0;
+    const route = `${ride.home_city || "Origin"} → ${ride.airport_name || "Airport"}`;
+
+    // Seats, passenger debit, booking, driver credit and both transaction
+    // records are committed together. The conditional updates make sure
+    // two passengers can't take the last seat or overdraw the wallet.
+    const { booking, newBalance } = await withTransaction(async (session) => {
+      // Without a transaction (standalone MongoDB) whatever was written is
+      // undone by hand if a later write fails
+      const written = {};
+      try {
+        const reserved = await Ride.reserveSeats(rideId, seats, luggage, session);
+        if (!reserved) {
+          throw abort(409, "Not enough seats or luggage space left on this ride");
+        }
+        written.seats = true;
+
+        const debited = await Wallet.adjustBalance(userId, -totalAmount, session);
+        if (!debited) {
+          throw abort(400, "Insufficient wallet balance", {
+            code: "INSUFFICIENT_BALANCE",
+          });
+        }
+        written.debit = true;
+
+        // Create the booking with status 'accepted' (already paid)
+        const [booking] = await Booking.create(
+          [
+            {
+              ride_id: rideId,
+              passenger_id: userId,
+              seats: seats,
+              luggage_count: luggage,
+              status: "accepted",
+              payment_status: "paid",
+              payment_method: "wallet", // Mark as wallet payment
+            },
+          ],
+          { session },
+        );
+        written.booking = booking;
+
+        // Create transaction record for passenger (debit)
+        const [payment] = await Transaction.create(
+          [
+            {
+              wallet_id: debited._id,
+              user_id: userId,
+              type: "ride_payment",
+              amount: -totalAmount,
+              gross_amount: totalAmount,
+              fee_amount: 0, // No fees for wallet payments!
+              fee_percentage: 0,
+              net_amount: totalAmount,
+              currency: "EUR",
+              status: "completed",
+              reference_type: "booking",
+              reference_id: booking._id,
+              description: `Payment for ride booking - ${seats} seat(s)`,
+              ride_details: {
+                ride_id: ride._id,
+                booking_id: booking._id,
+                driver_id: driverId,
+                driver_name: ride.driver_id?.name || "Driver",
+                seats: seats,
+                price_per_seat: ride.price_per_seat,
+                route,
+              },
+              processed_at: new Date(),
+            },
+          ],
+          { session },
+        );
+        written.payment = payment;
 
-    // Add to driver's wallet
-    await driverWallet.addEarnings(driverEarnings, false);
-
-    // Create transaction record for driver (credit)
-    await Transaction.create({
-      wallet_id: driverWallet._id,
-      user_id: driverId,
-      type: "ride_earning",
-      amount: driverEarnings,
-      gross_amount: totalAmount,
-      fee_amount: platformFee,
-      fee_percentage: platformFeePercent,
-      net_amount: driverEarnings,
-      currency: "EUR",
-      status: "completed",
-      reference_type: "booking",
-      reference_id: booking._id,
-      description: `Earnings from wallet payment - ${seats} seat(s)`,
-      ride_details: {
-        ride_id: ride._id,
-        booking_id: booking._id,
-        passenger_id: userId,
-        passenger_name: passenger?.name || "Passenger",
-        seats: seats,
-        price_per_seat: ride.price_per_seat,
-        route: `${ride.home_city || "Origin"} → ${ride.airport_name || "Airport"}`,
-      },
-      processed_at: new Date(),
+        // Add to driver's pending balance (released when the ride completes)
+        const driverWallet = await Wallet.creditPending(
+          driverId,
+          driverEarnings,
+          session,
+        );
+        written.earning = true;
+
+        // Create transaction record for driver (credit)
+        await Transaction.create(
+          [
+            {
+              wallet_id: driverWallet._id,
+              user_id: driverId,
+              type: "ride_earning",
+              amount: driverEarnings,
+              gross_amount: totalAmount,
+              fee_amount: platformFee,
+              fee_percentage: platformFeePercent,
+              net_amount: driverEarnings,
+              currency: "EUR",
+              status: "pending",
+              reference_type: "booking",
+              reference_id: booking._id,
+              description: `Earnings from wallet payment - ${seats} seat(s)`,
+              ride_details: {
+                ride_id: ride._id,
+                booking_id: booking._id,
+                passenger_id: userId,
+                passenger_name: passenger?.name || "Passenger",
+                seats: seats,
+                price_per_seat: ride.price_per_seat,
+                route,
+              },
+              processed_at: new Date(),
+            },
+          ],
+          { session },
+        );
+
+        return { booking, newBalance: debited.balance };
+      } catch (error) {
+        if (!session) {
+          if (written.earning) await Wallet.reversePending(driverId, driverEarnings);
+          if (written.payment) await Transaction.deleteOne({ _id: written.payment._id });
+          if (written.booking) await Booking.deleteOne({ _id: written.booking._id });
+          if (written.debit) await Wallet.adjustBalance(userId, totalAmount);
+          if (written.seats) await Ride.releaseSeats(rideId, seats, luggage);
+        }
+        // Concurrent request for the same ride (unique ride/passenger index)
+        if (error.code === 11000) {
+          throw abort(409, "You already have a booking for this ride");
+        }
+        throw error;
+      }
     });
 
+    console.log("Booking created with wallet payment:", booking._id);
+
     console.log(
       `Wallet payment completed: ${totalAmount} cents from passenger, ${driverEarnings} cents to driver`,
     );
@@ -731,8 +810,8 @@ exports.payWithWallet = async (req, res, next) => {
         amount: totalAmount,
         amount_display: (totalAmount / 100).toFixed(2),
         method: "wallet",
-        new_balance: passengerWallet.balance,
-        new_balance_display: (passengerWallet.balance / 100).toFixed(2),
+        new_balance: newBalance,
+        new_balance_display: (newBalance / 100).toFixed(2),
         fees_saved: "Stripe fees", // User saved on Stripe fees
       },
     });
@@ -2,13 +2,17 @@ const mongoose = require("mongoose");
 const Ride = require("../models/Ride");
 const Airport = require("../models/Airport");
 const Booking = require("../models/Booking");
-const User = require("../models/User");
-const Wallet = require("../models/Wallet");
-const Transaction = require("../models/Transaction");
 const NotificationService = require("../services/notificationService");
 const MapService = require("../services/mapService");
+const RouteMatchingService = require("../services/routeMatchingService");
+const PricingService = require("../services/pricingService");
+const RideCancellationService = require("../services/rideCancellationService");
+const IdentityVerificationService = require("../services/identityVerificationService");
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
 
+// Rides near the passenger considered for route matching in a search
+const ROUTE_MATCH_CANDIDATES = 200;
+
 class RideController {
   /**
    * Create a new ride
@@ -78,9 +82,15 @@ class RideController {
           destination = homeLoc;
         }
 
+        // Intermediate stops, in travel order
+        const stops = (rideData.waypoints || []).map((w) => ({
+          lat: w.latitude,
+          lng: w.longitude,
+        }));
+
         console.log("🗺️ Calculating route...");
         try {
-          const route = await MapService.getRoute(origin, destination);
+          const route = await MapService.getRoute(origin, destination, stops);
           rideData.route = route;
           console.log(
             "✅ Route calculated with",
@@ -90,13 +100,7 @@ class RideController {
         } catch (routeError) {
           console.error("❌ Route calculation failed:", routeError);
           // Fallback to straight line
-          rideData.route = {
-            type: "LineString",
-            coordinates: [
-              [origin.lng, origin.lat],
-              [destination.lng, destination.lat],
-            ],
-          };
+          rideData.route = MapService.getStraightLine(origin, destination, stops);
           console.log("⚠️ Using straight line fallback route");
         }
       } else {
@@ -148,6 +152,43 @@ class RideController {
     }
   }
 
+  /**
+   * Closest place a passenger can join the ride: the driver's home or one
+   * of the waypoints, with its straight-line distance in meters
+   */
+  static nearestStop(ride, location) {
+    const stops = (ride.waypoints || []).map((w) => ({
+      type: "waypoint",
+      waypoint_id: w._id,
+      address: w.address,
+      latitude: w.latitude,
+      longitude: w.longitude,
+    }));
+    if (ride.home_latitude && ride.home_longitude) {
+      stops.unshift({
+        type: "home",
+        waypoint_id: null,
+        address: ride.home_address,
+        latitude: ride.home_latitude,
+        longitude: ride.home_longitude,
+      });
+    }
+
+    let nearest = null;
+    for (const stop of stops) {
+      const distance = Math.round(
+        MapService.haversineDistance(location, {
+          lat: stop.latitude,
+          lng: stop.longitude,
+        }),
+      );
+      if (!nearest || distance < nearest.distance) {
+        nearest = { ...stop, distance };
+      }
+    }
+    return nearest;
+  }
+
   /**
    * Search rides
    * GET /api/v1/rides
@@ -164,7 +205,8 @@ class RideController {
         limit = 20,
         latitude,
         longitude,
-        radius = 8000, // Default 8km radius
+        radius = 8000, // Default 8km radius, coarse pre-filter for route matching
+        max_detour_minutes,
       } = req.query;
 
       if (!airport_id) {
@@ -174,6 +216,17 @@ class RideController {
         });
       }
 
+      let maxDetour = RouteMatchingService.MAX_DETOUR_MINUTES;
+      if (max_detour_minutes !== undefined && max_detour_minutes !== "") {
+        maxDetour = Number(max_detour_minutes);
+        if (!Number.isFinite(maxDetour) || maxDetour <= 0) {
+          return res.status(400).json({
+            success: false,
+            message: "max_detour_minutes must be a positive number",
+          });
+        }
+      }
+
       console.log("Search Query Params:", req.query);
 
       // Map frontend direction values to database values
@@ -262,6 +315,9 @@ class RideController {
               type: "Point",
               coordinates: [parseFloat(longitude), parseFloat(latitude)],
             },
+            // The route line goes through every waypoint, so this matches
+            // passengers near any stop or anywhere along the way
+            key: "route",
             distanceField: "distance",
             maxDistance: parseInt(radius),
             spherical: true,
@@ -269,9 +325,8 @@ class RideController {
           },
         });
 
-        // Skip and limit after geospatial filtering
-        if (skip > 0) aggregationPipeline.push({ $skip: skip });
-        if (limitNum) aggregationPipeline.push({ $limit: limitNum });
+        // Candidates are ranked by detour below, then paginated
+        aggregationPipeline.push({ $limit: ROUTE_MATCH_CANDIDATES });
       } else {
         // Non-geospatial search - use regular pipeline
         aggregationPipeline.push(
@@ -303,19 +358,47 @@ class RideController {
         },
         { $unwind: { path: "$airport_id", preserveNullAndEmptyArrays: true } },
         {
+          // Search is public: keep only what a passenger may see of the driver
           $project: {
-            route: 0, // Exclude heavy geometry
-            "driver_id.password": 0,
+            "driver_id.password_hash": 0,
             "driver_id.email": 0,
+            "driver_id.phone": 0,
+            "driver_id.date_of_birth": 0,
+            "driver_id.firebase_uid": 0,
+            "driver_id.id_image_front_url": 0,
+            "driver_id.id_image_back_url": 0,
+            "driver_id.id_image_front_public_id": 0,
+            "driver_id.id_image_back_public_id": 0,
+            "driver_id.identity_verification.reviewer_id": 0,
+            "driver_id.identity_verification.rejection_reason": 0,
+            "driver_id.stripeAccountId": 0,
+            "driver_id.stripeCustomerId": 0,
+            "driver_id.saved_locations": 0,
+            "driver_id.notification_preferences": 0,
+            "driver_id.mfa": 0,
+            "driver_id.suspension_reason": 0,
           },
         },
       );
 
       // Execute the aggregation pipeline
-      const rides = await Ride.aggregate(aggregationPipeline);
+      let rides = await Ride.aggregate(aggregationPipeline);
 
       console.log(`Found ${rides.length} rides`);
 
+      const passengerLoc =
+        latitude && longitude
+          ? { lat: parseFloat(latitude), lng: parseFloat(longitude) }
+          : null;
+
+      // Corridor matching: rank by the detour to reach the passenger
+      if (passengerLoc) {
+        rides = RouteMatchingService.rank(rides, passengerLoc, maxDetour).slice(
+          skip,
+          skip + limitNum,
+        );
+      }
+
       // Transform to match expected format
       const transformedRides = rides.map((ride) => {
         // Map direction back to frontend format
@@ -326,9 +409,21 @@ class RideController {
           frontendDirection = "from_airport";
         }
 
+        const { route, ...rideFields } = ride; // Exclude heavy geometry
+
         return {
-          ...ride,
+          ...rideFields,
           id: ride._id.toString(),
+          waypoints: ride.waypoints || [],
+          route_match: ride.route_match && {
+            ...ride.route_match,
+            detour_surcharge: PricingService.detourSurcharge(
+              ride.route_match.detour_distance,
+            ),
+          },
+          nearest_stop: passengerLoc
+            ? RideController.nearestStop(ride, passengerLoc)
+            : null,
           departure_datetime: ride.datetime_start,
           direction: frontendDirection,
           available_seats: ride.seats_left,
@@ -338,6 +433,7 @@ class RideController {
             first_name: ride.driver_id?.first_name,
             last_name: ride.driver_id?.last_name,
             avatar_url: ride.driver_id?.avatar_url,
+            verified: IdentityVerificationService.isVerified(ride.driver_id),
           },
           airport: {
             name: ride.airport_id?.name,
@@ -353,6 +449,7 @@ class RideController {
           driver_first_name: ride.driver_id?.first_name,
           driver_last_name: ride.driver_id?.last_name,
           driver_avatar: ride.driver_id?.avatar_url,
+          driver_verified: IdentityVerificationService.isVerified(ride.driver_id),
           airport_name: ride.airport_id?.name,
           airport_code: ride.airport_id?.iata_code,
         };
@@ -393,7 +490,10 @@ class RideController {
       }
 
       const ride = await Ride.findById(id)
-        .populate("driver_id", "first_name last_name phone avatar_url")
+        .populate(
+          "driver_id",
+          "first_name last_name phone avatar_url identity_verification.status",
+        )
         .populate("airport_id", "name iata_code city");
 
       if (!ride) {
@@ -430,6 +530,7 @@ class RideController {
           last_name: ride.driver_id?.last_name,
           phone_number: ride.driver_id?.phone,
           avatar_url: ride.driver_id?.avatar_url,
+          verified: IdentityVerificationService.isVerified(ride.driver_id),
         },
         airport: {
           name: ride.airport_id?.name,
@@ -441,6 +542,7 @@ class RideController {
         driver_last_name: ride.driver_id?.last_name,
         driver_phone: ride.driver_id?.phone,
         driver_avatar: ride.driver_id?.avatar_url,
+        driver_verified: IdentityVerificationService.isVerified(ride.driver_id),
         airport_name: ride.airport_id?.name,
         airport_code: ride.airport_id?.iata_code,
         airport_city: ride.airport_id?.city,
@@ -616,11 +718,71 @@ class RideController {
         );
       }
 
+      // Waypoints or home changed: reroute through the new stops
+      if (
+        updates.waypoints ||
+        updates.home_latitude !== undefined ||
+        updates.home_longitude !== undefined
+      ) {
+        if (updates.waypoints) {
+          const keptIds = new Set(
+            updates.waypoints.filter((w) => w._id).map((w) => w._id.toString()),
+          );
+          const stopBooked = await Booking.exists({
+            ride_id: id,
+            status: { $in: ["pending", "accepted"] },
+            stop_type: "waypoint",
+            waypoint_id: {
+              $in: existingRide.waypoints
+                .filter((w) => !keptIds.has(w._id.toString()))
+                .map((w) => w._id),
+            },
+          });
+          if (stopBooked) {
+            return res.status(400).json({
+              success: false,
+              message:
+                "Cannot remove a waypoint that passengers have booked as their stop",
+            });
+          }
+        }
+
+        const airport = await Airport.findById(existingRide.airport_id);
+        const homeLat = updates.home_latitude ?? existingRide.home_latitude;
+        const homeLng = updates.home_longitude ?? existingRide.home_longitude;
+        if (airport && homeLat && homeLng) {
+          const homeLoc = { lat: homeLat, lng: homeLng };
+          const airportLoc = { lat: airport.latitude, lng: airport.longitude };
+          const stops = (updates.waypoints || existingRide.waypoints).map(
+            (w) => ({ lat: w.latitude, lng: w.longitude }),
+          );
+          updates.route =
+            existingRide.direction === "home_to_airport"
+              ? await MapService.getRoute(homeLoc, airportLoc, stops)
+              : await MapService.getRoute(airportLoc, homeLoc, stops);
+        }
+      }
+
+      // An occurrence edited on its own no longer follows series-wide edits
+      if (existingRide.series_id) {
+        updates.series_detached = true;
+      }
+
       const updatedRide = await Ride.findByIdAndUpdate(id, updates, {
         new: true,
         runValidators: true,
       });
 
+      // New departure time: reminders are due again
+      if (
+        updates.datetime_start &&
+        new Date(updates.datetime_start).getTime() !==
+          existingRide.datetime_start.getTime()
+      ) {
+        await Ride.updateOne({ _id: id }, { reminders_sent: [] });
+        await Booking.updateMany({ ride_id: id }, { reminders_sent: [] });
+      }
+
       res.status(200).json({
         success: true,
         message: "Ride updated successfully",
@@ -669,289 +831,19 @@ class RideController {
         });
       }
 
-      // Get all affected bookings that need refunds BEFORE cancelling
-      const paidBookings = await Booking.find({
-        ride_id: id,
-        status: { $in: ["pending", "accepted"] },
-        payment_status: "paid",
-      }).populate("passenger_id", "first_name last_name");
-
-      console.log(
-        `[RideCancel] Found ${paidBookings.length} paid bookings to refund for ride ${id}`,
-      );
-
-      // Cancel the ride
-      const cancelledRide = await Ride.findByIdAndUpdate(
-        id,
-        { status: "cancelled" },
-        { new: true },
+      const cancellation = await RideCancellationService.cancelRide(
+        existingRide,
+        { cancelledBy: "driver" },
       );
 
-      if (!cancelledRide) {
+      if (!cancellation) {
         return res.status(400).json({
           success: false,
           message: "Ride cannot be cancelled",
         });
       }
-
-      // Cancel all associated bookings
-      const result = await Booking.updateMany(
-        { ride_id: id, status: { $in: ["pending", "accepted"] } },
-        { status: "cancelled" },
-      );
-
-      // Process refunds for paid bookings
-      const refundResults = {
-        processed: 0,
-        failed: 0,
-        errors: [],
-      };
-
-      for (const booking of paidBookings) {
-        try {
-          console.log(
-            `[RideCancel] Processing refund for booking ${booking._id}, payment method: ${booking.payment_method}`,
-          );
-
-          if (booking.payment_method === "card" && booking.payment_intent_id) {
-            // CARD PAYMENT REFUND via Stripe
-            console.log(
-              `[RideCancel] Refunding card payment for booking ${booking._id}, PaymentIntent: ${booking.payment_intent_id}`,
-            );
-
-            const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
-            const refundParams = {
-              payment_intent: booking.payment_intent_id,
-            };
-
-            // Check if the payment had a transfer (driver has Stripe Connect)
-            try {
-              const paymentIntent = await stripe.paymentIntents.retrieve(
-                booking.payment_intent_id,
-              );
-              if (paymentIntent.transfer_data?.destination) {
-                // Driver has Stripe Connect - reverse the transfer and application fee
-                refundParams.reverse_transfer = true;
-                refundParams.refund_application_fee = true;
-                console.log(
-                  `[RideCancel] Reversing transfer to ${paymentIntent.transfer_data.destination} and application fee`,
-                );
-              }
-            } catch (retrieveErr) {
-              console.error(
-                `[RideCancel] Error retrieving PaymentIntent ${booking.payment_intent_id}:`,
-                retrieveErr.message,
-              );
-            }
-
-            const refund = await stripe.refunds.create(refundParams);
-            console.log(
-              `[RideCancel] Stripe refund created: ${refund.id}, Amount: ${refund.amount} cents`,
-            );
-
-            // Create a transaction record for the passenger to show the refund in their history
-            const passengerWallet = await Wallet.getOrCreateWallet(
-              booking.passenger_id,
-            );
-
-            // ADD MONEY TO PASSENGER'S WALLET BALANCE
-            passengerWallet.balance += refund.amount;
-            await passengerWallet.save();
-
-            await Transaction.create({
-              wallet_id: passengerWallet._id,
-              user_id: booking.passenger_id,
-              type: "refund",
-              amount: refund.amount,
-              gross_amount: refund.amount,
-              fee_amount: 0,
-              fee_percentage: 0,
-              net_amount: refund.amount,
-              currency: "EUR",
-              status: "completed",
-              reference_type: "booking",
-              reference_id: booking._id,
-              stripe_payment_intent_id: booking.payment_intent_id,
-              description: "Card refund - driver cancelled ride",
-              processed_at: new Date(),
-            });
-            console.log(
-              `[RideCancel] Added ${refund.amount} cents to passenger wallet and created transaction record`,
-            );
-
-            // If driver was credited via wallet (no Stripe Connect), deduct from driver's wallet
-            const driver = await User.findById(driverId);
-            if (!driver?.stripeAccountId) {
-              try {
-                const driverWallet = await Wallet.getOrCreateWallet(driverId);
-                const feePercentage = parseFloat(
-                  process.env.PLATFORM_FEE_PERCENT || "10",
-                );
-                const grossAmount =
-                  existingRide.price_per_seat * booking.seats * 100;
-                const driverEarnings = Math.round(
-                  grossAmount * ((100 - feePercentage) / 100),
-                );
-
-                if (driverWallet.balance >= driverEarnings) {
-                  driverWallet.balance -= driverEarnings;
-                  driverWallet.total_earned -= driverEarnings;
-                  await driverWallet.save();
-
-                  await Transaction.create({
-                    wallet_id: driverWallet._id,
-                    user_id: driverId,
-                    type: "refund",
-                    amount: -driverEarnings,
-                    gross_amount: grossAmount,
-                    fee_amount: 0,
-                    fee_percentage: 0,
-                    net_amount: driverEarnings,
-                    currency: "EUR",
-                    status: "completed",
-                    reference_type: "booking",
-                    reference_id: booking._id,
-                    stripe_payment_intent_id: booking.payment_intent_id,
-                    description:
-                      "Driver earnings reversed - driver cancelled ride",
-                    processed_at: new Date(),
-                  });
-                  console.log(
-                    `[RideCancel] Deducted ${driverEarnings} cents from driver wallet`,
-                  );
-                } else {
-                  console.warn(
-                    `[RideCancel] Driver wallet has insufficient balance for refund. Required: ${driverEarnings}, Available: ${driverWallet.balance}`,
-                  );
-                }
-              } catch (walletErr) {
-                console.error(
-                  `[RideCancel] Error deducting from driver wallet:`,
-                  walletErr.message,
-                );
-              }
-            }
-
-            // Update booking with refund information
-            await Booking.findByIdAndUpdate(booking._id, {
-              payment_status: "refunded",
-              refund_id: refund.id,
-              refunded_at: new Date(),
-              refund_reason: "ride_cancelled",
-            });
-          } else if (booking.payment_method === "wallet") {
-            // WALLET PAYMENT REFUND
-            console.log(
-              `[RideCancel] Refunding wallet payment for booking ${booking._id}`,
-            );
-
-            const totalAmount = Math.round(
-              existingRide.price_per_seat * booking.seats * 100,
-            );
-            const feePercentage = parseFloat(
-              process.env.PLATFORM_FEE_PERCENT || "10",
-            );
-            const driverEarnings = Math.round(
-              totalAmount * ((100 - feePercentage) / 100),
-            );
-
-            // Credit passenger's wallet with FULL amount (100%)
-            const passengerWallet = await Wallet.getOrCreateWallet(
-              booking.passenger_id,
-            );
-            passengerWallet.balance += totalAmount;
-            await passengerWallet.save();
-
-            // Create refund transaction for passenger
-            await Transaction.create({
-              wallet_id: passengerWallet._id,
-              user_id: booking.passenger_id,
-              type: "refund",
-              amount: totalAmount,
-              gross_amount: totalAmount,
-              fee_amount: 0,
-              fee_percentage: 0,
-              net_amount: totalAmount,
-              currency: "EUR",
-              status: "completed",
-              reference_type: "booking",
-              reference_id: booking._id,
-              description: "Full refund - driver cancelled ride",
-              processed_at: new Date(),
-            });
-
-            // Deduct from driver's wallet
-            const driverWallet = await Wallet.getOrCreateWallet(driverId);
-            if (driverWallet.balance >= driverEarnings) {
-              driverWallet.balance -= driverEarnings;
-              driverWallet.total_earned -= driverEarnings;
-              await driverWallet.save();
-
-              await Transaction.create({
-                wallet_id: driverWallet._id,
-                user_id: driverId,
-                type: "refund",
-                amount: -driverEarnings,
-                gross_amount: totalAmount,
-                fee_amount: 0,
-                fee_percentage: 0,
-                net_amount: driverEarnings,
-                currency: "EUR",
-                status: "completed",
-                reference_type: "booking",
-                reference_id: booking._id,
-                description: "Driver earnings reversed - driver cancelled ride",
-                processed_at: new Date(),
-              });
-            } else {
-              console.warn(
-                `[RideCancel] Driver wallet has insufficient balance for refund. Required: ${driverEarnings}, Available: ${driverWallet.balance}`,
-              );
-            }
-
-            // Update booking with refund information
-            await Booking.findByIdAndUpdate(booking._id, {
-              payment_status: "refunded",
-              refunded_at: new Date(),
-              refund_reason: "ride_cancelled",
-            });
-
-            console.log(
-              `[RideCancel] Wallet refund: ${totalAmount} cents to passenger, ${driverEarnings} cents deducted from driver`,
-            );
-          }
-
-          refundResults.processed++;
-        } catch (refundError) {
-          console.error(
-            `[RideCancel] Error processing refund for booking ${booking._id}:`,
-            refundError,
-          );
-          refundResults.failed++;
-          refundResults.errors.push(
-            `Booking ${booking._id}: ${refundError.message}`,
-          );
-        }
-      }
-
-      // Get all affected bookings for notifications
-      const affectedBookings = await Booking.find({
-        ride_id: id,
-        status: "cancelled",
-      });
-
-      // Notify all affected passengers
-      for (const booking of affectedBookings) {
-        await NotificationService.notifyRideCancelled(
-          booking.passenger_id.toString(),
-          {
-            id: existingRide._id.toString(),
-            airport_name: existingRide.airport_id?.name,
-            datetime_start: existingRide.datetime_start,
-            refund_processed: booking.payment_status === "paid", // Will be refunded
-          },
-        );
-      }
+      const { ride: cancelledRide, cancelled_bookings, refunds: refundResults } =
+        cancellation;
 
       let message = "Ride cancelled successfully";
       if (refundResults.processed > 0) {
@@ -966,7 +858,7 @@ class RideController {
         message,
         data: {
           ride: cancelledRide,
-          cancelled_bookings: result.modifiedCount,
+          cancelled_bookings,
           refunds: refundResults,
         },
       });
@@ -1024,6 +916,53 @@ class RideController {
     }
   }
 
+  /**
+   * Suggested price range per seat for a ride being created
+   * POST /api/v1/rides/price-suggestion
+   */
+  static async getPriceSuggestion(req, res, next) {
+    try {
+      const {
+        airport_id,
+        direction,
+        home_latitude,
+        home_longitude,
+        datetime_start,
+        waypoints = [],
+      } = req.validatedBody;
+
+      const airport = await Airport.findById(airport_id);
+      if (!airport) {
+        return res.status(404).json({
+          success: false,
+          message: "Airport not found",
+        });
+      }
+
+      const homeLoc = { lat: home_latitude, lng: home_longitude };
+      const airportLoc = { lat: airport.latitude, lng: airport.longitude };
+      const stops = waypoints.map((w) => ({ lat: w.latitude, lng: w.longitude }));
+      const route =
+        direction === "home_to_airport"
+          ? await MapService.getRoute(homeLoc, airportLoc, stops)
+          : await MapService.getRoute(airportLoc, homeLoc, stops);
+
+      const suggestion = await PricingService.suggest({
+        airport,
+        direction,
+        datetime: datetime_start,
+        distance: route.distance ?? MapService.routeLength(route),
+      });
+
+      res.status(200).json({
+        success: true,
+        data: suggestion,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Preview route
    * POST /api/v1/rides/route-preview
@@ -1050,6 +989,9 @@ class RideController {
       res.status(200).json({
         success: true,
         data: frontendCoordinates,
+        distance: route.distance, // meters
+        duration: route.duration, // seconds
+        estimated: route.estimated,
       });
     } catch (error) {
       next(error);
@@ -4,6 +4,10 @@ const User = require("../models/User");
 const Ride = require("../models/Ride");
 const Notification = require("../models/Notification");
 const NotificationService = require("../services/notificationService");
+const FlightTrackingService = require("../services/flightTrackingService");
+const PricingService = require("../services/pricingService");
+const { stripeIdempotencyKey } = require("../middleware/idempotency");
+const { withTransaction, abort } = require("../utils/transaction");
 const {
   safeGet,
   safeSetex,
@@ -498,7 +502,7 @@ exports.makeOffer = async (req, res, next) => {
     // Verify ride belongs to driver if ride_id provided
     let ride = null;
     if (ride_id) {
-      ride = await Ride.findOne({ _id: ride_id, driver: req.user.id });
+      ride = await Ride.findOne({ _id: ride_id, driver_id: req.user.id });
       if (!ride) {
         return res.status(404).json({ message: "Ride not found or not yours" });
       }
@@ -565,6 +569,34 @@ exports.makeOffer = async (req, res, next) => {
   }
 };
 
+// Suggested price for an offer on a request (driver)
+// Pass ?ride_id= to include the detour from one of the driver's rides
+exports.getPriceSuggestion = async (req, res, next) => {
+  try {
+    const request = await RideRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ message: "Request not found" });
+    }
+
+    let ride = null;
+    if (req.query.ride_id) {
+      ride = await Ride.findOne({ _id: req.query.ride_id, driver_id: req.user.id });
+      if (!ride) {
+        return res.status(404).json({ message: "Ride not found or not yours" });
+      }
+    }
+
+    const suggestion = await PricingService.suggestForRequest(request, ride);
+    if (!suggestion) {
+      return res.status(404).json({ message: "Airport not found" });
+    }
+
+    res.json({ price_suggestion: suggestion });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Passenger accepts an offer
 exports.acceptOffer = async (req, res, next) => {
   console.log("[DEBUG] acceptOffer called", {
@@ -862,11 +894,14 @@ exports.acceptOfferWithPayment = async (req, res, next) => {
       driverEarnings,
     });
 
+    if (!["wallet", "card"].includes(payment_method)) {
+      return res.status(400).json({ message: "Invalid payment method" });
+    }
+
     if (payment_method === "wallet") {
-      // Get passenger's wallet
+      // Balance checked here for a clear message, the conditional debit
+      // below still guards against concurrent payments
       const passengerWallet = await Wallet.getOrCreateWallet(userId);
-
-      // Check if passenger has enough balance
       if (passengerWallet.balance < totalAmount) {
         return res.status(400).json({
           success: false,
@@ -878,83 +913,7 @@ exports.acceptOfferWithPayment = async (req, res, next) => {
           code: "INSUFFICIENT_BALANCE",
         });
       }
-
-      // Deduct from passenger wallet
-      passengerWallet.balance -= totalAmount;
-      await passengerWallet.save();
-
-      // Get passenger info
-      const passenger = await User.findById(userId);
-      const driver = await User.findById(offer.driver);
-
-      // Create transaction record for passenger (debit)
-      await Transaction.create({
-        wallet_id: passengerWallet._id,
-        user_id: userId,
-        type: "ride_payment",
-        amount: -totalAmount,
-        gross_amount: totalAmount,
-        fee_amount: 0,
-        fee_percentage: 0,
-        net_amount: totalAmount,
-        currency: "EUR",
-        status: "completed",
-        reference_type: "ride",
-        reference_id: request._id,
-        description: `Payment for ride request - ${request.seats_needed} seat(s)`,
-        ride_details: {
-          ride_id: offer.ride || request._id,
-          booking_id: request._id,
-          driver_id: offer.driver,
-          driver_name:
-            driver?.name ||
-            `${driver?.first_name} ${driver?.last_name}` ||
-            "Driver",
-          seats: request.seats_needed,
-          price_per_seat: offer.price_per_seat,
-          route: `${request.location_city || "Origin"} → ${request.airport?.name || "Airport"}`,
-        },
-        processed_at: new Date(),
-      });
-
-      // Credit driver's wallet
-      const driverWallet = await Wallet.getOrCreateWallet(offer.driver);
-      await driverWallet.addEarnings(driverEarnings, false);
-
-      // Create transaction record for driver (credit)
-      await Transaction.create({
-        wallet_id: driverWallet._id,
-        user_id: offer.driver,
-        type: "ride_earning",
-        amount: driverEarnings,
-        gross_amount: totalAmount,
-        fee_amount: platformFee,
-        fee_percentage: platformFeePercent,
-        net_amount: driverEarnings,
-        currency: "EUR",
-        status: "completed",
-        reference_type: "ride",
-        reference_id: request._id,
-        description: `Earnings from wallet payment - ${request.seats_needed} seat(s)`,
-        ride_details: {
-          ride_id: offer.ride || request._id,
-          booking_id: request._id,
-          passenger_id: userId,
-          passenger_name:
-            passenger?.name ||
-            `${passenger?.first_name} ${passenger?.last_name}` ||
-            "Passenger",
-          seats: request.seats_needed,
-          price_per_seat: offer.price_per_seat,
-          route: `${request.location_city || "Origin"} → ${request.airport?.name || "Airport"}`,
-        },
-        processed_at: new Date(),
-      });
-
-      console.log(
-        `Wallet payment completed: ${totalAmount} cents from passenger, ${driverEarnings} cents to driver`,
-      );
-    } else if (payment_method === "card") {
+    } else {
       // Verify payment with Stripe
       if (!payment_intent_id) {
         return res
@@ -972,86 +931,235 @@ exports.acceptOfferWithPayment = async (req, res, next) => {
       }
 
       console.log("Card payment verified:", paymentIntent.id);
+    }
 
-      // Credit driver's wallet (if driver doesn't have Stripe Connect)
-      const driver = await User.findById(offer.driver);
-      if (!driver?.stripeAccountId) {
-        const driverWallet = await Wallet.getOrCreateWallet(offer.driver);
-        await driverWallet.addEarnings(driverEarnings, false);
-
-        const passenger = await User.findById(userId);
-
-        await Transaction.create({
-          wallet_id: driverWallet._id,
-          user_id: offer.driver,
-          type: "ride_earning",
-          amount: driverEarnings,
-          gross_amount: totalAmount,
-          fee_amount: platformFee,
-          fee_percentage: platformFeePercent,
-          net_amount: driverEarnings,
-          currency: "EUR",
-          status: "completed",
-          reference_type: "ride",
-          reference_id: request._id,
-          stripe_payment_intent_id: payment_intent_id,
-          description: `Earnings from ride request - ${request.seats_needed} seat(s)`,
-          ride_details: {
-            ride_id: offer.ride || request._id,
-            booking_id: request._id,
-            passenger_id: userId,
-            passenger_name:
-              passenger?.name ||
-              `${passenger?.first_name} ${passenger?.last_name}` ||
-              "Passenger",
-            seats: request.seats_needed,
-            price_per_seat: offer.price_per_seat,
-            route: `${request.location_city || "Origin"} → ${request.airport?.name || "Airport"}`,
-          },
-          processed_at: new Date(),
-        });
+    // Get passenger and driver info for the transaction records
+    const passenger = await User.findById(userId);
+    const driver = await User.findById(offer.driver);
+    // Card payments to drivers with Stripe Connect go straight to them,
+    // everyone else is credited on their wallet
+    const creditDriverWallet =
+      payment_method === "wallet" || !driver?.stripeAccountId;
+    const route = `${request.location_city || "Origin"} → ${request.airport?.name || "Airport"}`;
+    const luggage = request.luggage_count || 0;
+
+    // Request acceptance, seats, passenger debit, driver credit and the
+    // transaction records are committed together. The request status
+    // condition stops a repeated accept from paying twice, the conditional
+    // updates stop overselling the ride and overdrawing the wallet.
+    try {
+      await withTransaction(async (session) => {
+        // Without a transaction (standalone MongoDB) whatever was written is
+        // undone by hand if a later write fails
+        const written = {};
+        try {
+          const claimed = await RideRequest.updateOne(
+            { _id: request._id, status: "pending" },
+            { status: "accepted" },
+            { session },
+          );
+          if (claimed.matchedCount === 0) {
+            throw abort(409, "Request is no longer pending", {
+              code: "REQUEST_NOT_PENDING",
+            });
+          }
+          written.claim = true;
+
+          if (offer.ride) {
+            const reserved = await Ride.reserveSeats(
+              offer.ride,
+              request.seats_needed,
+              luggage,
+              session,
+            );
+            if (!reserved) {
+              throw abort(400, "Not enough seats or luggage space left on this ride", {
+                code: "INSUFFICIENT_SEATS",
+              });
+            }
+            written.seats = true;
+          }
 
-        console.log(
-          `Card payment credited to driver wallet: ${driverEarnings} cents`,
-        );
-      }
-    } else {
-      return res.status(400).json({ message: "Invalid payment method" });
-    }
+          if (payment_method === "wallet") {
+            // Deduct from passenger wallet
+            const debited = await Wallet.adjustBalance(
+              userId,
+              -totalAmount,
+              session,
+            );
+            if (!debited) {
+              throw abort(400, "Insufficient wallet balance", {
+                code: "INSUFFICIENT_BALANCE",
+              });
+            }
+            written.debit = true;
+
+            // Create transaction record for passenger (debit)
+            const [payment] = await Transaction.create(
+              [
+                {
+                  wallet_id: debited._id,
+                  user_id: userId,
+                  type: "ride_payment",
+                  amount: -totalAmount,
+                  gross_amount: totalAmount,
+                  fee_amount: 0,
+                  fee_percentage: 0,
+                  net_amount: totalAmount,
+                  currency: "EUR",
+                  status: "completed",
+                  reference_type: "ride",
+                  reference_id: request._id,
+                  description: `Payment for ride request - ${request.seats_needed} seat(s)`,
+                  ride_details: {
+                    ride_id: offer.ride || request._id,
+                    booking_id: request._id,
+                    driver_id: offer.driver,
+                    driver_name:
+                      driver?.name ||
+                      `${driver?.first_name} ${driver?.last_name}` ||
+                      "Driver",
+                    seats: request.seats_needed,
+                    price_per_seat: offer.price_per_seat,
+                    route,
+                  },
+                  processed_at: new Date(),
+                },
+              ],
+              { session },
+            );
+            written.payment = payment;
+          }
 
-    // Accept the offer
-    offer.status = "accepted";
-    offer.payment_method = payment_method;
-    offer.paid_at = new Date();
+          if (creditDriverWallet) {
+            // Credit driver's pending balance (released when the ride completes)
+            const driverWallet = await Wallet.creditPending(
+              offer.driver,
+              driverEarnings,
+              session,
+            );
+            written.earning = true;
+
+            // Create transaction record for driver (credit)
+            const [earning] = await Transaction.create(
+              [
+                {
+                  wallet_id: driverWallet._id,
+                  user_id: offer.driver,
+                  type: "ride_earning",
+                  amount: driverEarnings,
+                  gross_amount: totalAmount,
+                  fee_amount: platformFee,
+                  fee_percentage: platformFeePercent,
+                  net_amount: driverEarnings,
+                  currency: "EUR",
+                  status: "pending",
+                  reference_type: "ride",
+                  reference_id: request._id,
+                  stripe_payment_intent_id:
+                    payment_method === "card" ? payment_intent_id : undefined,
+                  description:
+                    payment_method === "wallet"
+                      ? `Earnings from wallet payment - ${request.seats_needed} seat(s)`
+                      : `Earnings from ride request - ${request.seats_needed} seat(s)`,
+                  ride_details: {
+                    ride_id: offer.ride || request._id,
+                    booking_id: request._id,
+                    passenger_id: userId,
+                    passenger_name:
+                      passenger?.name ||
+                      `${passenger?.first_name} ${passenger?.last_name}` ||
+                      "Passenger",
+                    seats: request.seats_needed,
+                    price_per_seat: offer.price_per_seat,
+                    route,
+                  },
+                  processed_at: new Date(),
+                },
+              ],
+              { session },
+            );
+            written.earningRecord = earning;
+          }
 
-    // Reject all other offers
-    request.offers.forEach((o) => {
-      if (o._id.toString() !== offer_id) {
-        o.status = "rejected";
-      }
-    });
+          // Accept the offer
+          offer.status = "accepted";
+          offer.payment_method = payment_method;
+          offer.paid_at = new Date();
 
-    request.status = "accepted";
-    request.matched_driver = offer.driver;
-    request.matched_ride = offer.ride;
-    request.payment_status = "paid";
+          // Reject all other offers
+          request.offers.forEach((o) => {
+            if (o._id.toString() !== offer_id) {
+              o.status = "rejected";
+            }
+          });
 
-    await request.save();
+          request.status = "accepted";
+          request.matched_driver = offer.driver;
+          request.matched_ride = offer.ride;
+          request.payment_status = "paid";
 
-    // Update ride availability - deduct seats and luggage
-    await require("../models/Ride").findByIdAndUpdate(
-      offer.ride,
-      {
-        $inc: {
-          seats_left: -request.seats_needed,
-          luggage_left: -request.luggage_count,
-        },
-      },
-      { new: true },
-    );
-    console.log(
-      `Updated ride ${offer.ride}: -${request.seats_needed} seats, -${request.luggage_count} luggage`,
-    );
+          await request.save({ session });
+        } catch (error) {
+          if (!session) {
+            if (written.earningRecord) {
+              await Transaction.deleteOne({ _id: written.earningRecord._id });
+            }
+            if (written.earning) {
+              await Wallet.reversePending(offer.driver, driverEarnings);
+            }
+            if (written.payment) {
+              await Transaction.deleteOne({ _id: written.payment._id });
+            }
+            if (written.debit) await Wallet.adjustBalance(userId, totalAmount);
+            if (written.seats) {
+              await Ride.releaseSeats(offer.ride, request.seats_needed, luggage);
+            }
+            if (written.claim) {
+              await RideRequest.updateOne(
+                { _id: request._id },
+                { status: "pending" },
+              );
+            }
+          }
+          throw error;
+        }
+      });
+    } catch (error) {
+      // The card was charged but the offer wasn't accepted: refund it, unless
+      // the request was accepted meanwhile (possibly by this same payment)
+      if (payment_method === "card" && error.code !== "REQUEST_NOT_PENDING") {
+        try {
+          await stripe.refunds.create(
+            { payment_intent: payment_intent_id },
+            { idempotencyKey: stripeIdempotencyKey(req, "refund") },
+          );
+          console.log("Refund issued for payment intent:", payment_intent_id);
+        } catch (refundError) {
+          console.error(
+            "CRITICAL: Refund also failed for PI:",
+            payment_intent_id,
+            refundError.message,
+          );
+        }
+      }
+      throw error;
+    }
+
+    if (payment_method === "wallet") {
+      console.log(
+        `Wallet payment completed: ${totalAmount} cents from passenger, ${driverEarnings} cents to driver`,
+      );
+    } else if (creditDriverWallet) {
+      console.log(
+        `Card payment credited to driver wallet: ${driverEarnings} cents`,
+      );
+    }
+    if (offer.ride) {
+      console.log(
+        `Updated ride ${offer.ride}: -${request.seats_needed} seats, -${luggage} luggage`,
+      );
+    }
 
     await request.populate([
       "airport",
@@ -1279,6 +1387,66 @@ exports.cancelRequest = async (req, res, next) => {
   }
 };
 
+// Attach (or replace) the passenger's flight on a request
+exports.setFlight = async (req, res, next) => {
+  try {
+    const { flight_number, flight_date } = req.validatedBody;
+
+    const request = await RideRequest.findOne({
+      _id: req.params.id,
+      passenger: req.user.id,
+    }).populate("airport", "name iata_code");
+
+    if (!request) {
+      return res.status(404).json({ message: "Request not found" });
+    }
+
+    if (["cancelled", "expired"].includes(request.status)) {
+      return res
+        .status(400)
+        .json({ message: "Cannot set a flight on a closed request" });
+    }
+
+    const result = await FlightTrackingService.resolveFlight(
+      request.airport,
+      request.direction,
+      flight_number,
+      flight_date,
+    );
+    if (result.error) {
+      return res
+        .status(result.error.status)
+        .json({ message: result.error.message });
+    }
+
+    request.flight = result.flight;
+    await request.save();
+
+    res.json({ message: "Flight saved", flight: request.flight });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove the flight from a request
+exports.removeFlight = async (req, res, next) => {
+  try {
+    const request = await RideRequest.findOneAndUpdate(
+      { _id: req.params.id, passenger: req.user.id },
+      { flight: null },
+      { new: true },
+    );
+
+    if (!request) {
+      return res.status(404).json({ message: "Request not found" });
+    }
+
+    res.json({ message: "Flight removed" });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Driver withdraws their offer
 exports.withdrawOffer = async (req, res, next) => {
   try {
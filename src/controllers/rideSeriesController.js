@@ -0,0 +1,237 @@
+const Airport = require("../models/Airport");
+const Ride = require("../models/Ride");
+const RideSeries = require("../models/RideSeries");
+const MapService = require("../services/mapService");
+const RideSeriesService = require("../services/rideSeriesService");
+
+class RideSeriesController {
+  /**
+   * Create a recurring ride and generate its first occurrences
+   * POST /api/v1/rides/series
+   */
+  static async create(req, res, next) {
+    try {
+      const driverId = req.user.id;
+      const seriesData = { ...req.validatedBody, driver_id: driverId };
+
+      const airport = await Airport.findById(seriesData.airport_id);
+      if (!airport) {
+        return res.status(404).json({
+          success: false,
+          message: "Airport not found",
+        });
+      }
+
+      if (
+        seriesData.recurrence.until_date &&
+        seriesData.recurrence.until_date < seriesData.recurrence.start_date
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "until_date must be on or after start_date",
+        });
+      }
+
+      // Times are entered in the airport's local time
+      seriesData.timezone = airport.timezone || "Europe/Paris";
+
+      // The route is the same for every occurrence: compute it once
+      if (seriesData.home_latitude && seriesData.home_longitude) {
+        const homeLoc = {
+          lat: seriesData.home_latitude,
+          lng: seriesData.home_longitude,
+        };
+        const airportLoc = { lat: airport.latitude, lng: airport.longitude };
+        const stops = (seriesData.waypoints || []).map((w) => ({
+          lat: w.latitude,
+          lng: w.longitude,
+        }));
+        seriesData.route =
+          seriesData.direction === "home_to_airport"
+            ? await MapService.getRoute(homeLoc, airportLoc, stops)
+            : await MapService.getRoute(airportLoc, homeLoc, stops);
+      }
+
+      const series = await RideSeries.create(seriesData);
+      const created = await RideSeriesService.generate(series);
+
+      res.status(201).json({
+        success: true,
+        message: `Ride series created with ${created} upcoming ride(s)`,
+        data: {
+          series,
+          rides_created: created,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the current driver's ride series
+   * GET /api/v1/rides/series
+   */
+  static async getMySeries(req, res, next) {
+    try {
+      const series = await RideSeries.find({ driver_id: req.user.id })
+        .select("-route")
+        .populate("airport_id", "name iata_code")
+        .sort({ createdAt: -1 });
+
+      res.status(200).json({
+        success: true,
+        data: series,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a series with its upcoming occurrences
+   * GET /api/v1/rides/series/:seriesId
+   */
+  static async getById(req, res, next) {
+    try {
+      const series = await RideSeries.findOne({
+        _id: req.params.seriesId,
+        driver_id: req.user.id,
+      }).populate("airport_id", "name iata_code");
+
+      if (!series) {
+        return res.status(404).json({
+          success: false,
+          message: "Ride series not found",
+        });
+      }
+
+      const rides = await Ride.find({
+        series_id: series._id,
+        datetime_start: { $gt: new Date() },
+      })
+        .select("-route")
+        .sort({ datetime_start: 1 });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          series,
+          rides,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a series; applies to future occurrences without bookings
+   * PATCH /api/v1/rides/series/:seriesId
+   */
+  static async update(req, res, next) {
+    try {
+      const updates = req.validatedBody;
+      const series = await RideSeries.findOne({
+        _id: req.params.seriesId,
+        driver_id: req.user.id,
+      });
+
+      if (!series) {
+        return res.status(404).json({
+          success: false,
+          message: "Ride series not found",
+        });
+      }
+
+      if (series.status !== "active") {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot update a cancelled ride series",
+        });
+      }
+
+      const { recurrence, ...fields } = updates;
+      Object.assign(series, fields);
+      if (recurrence) {
+        Object.assign(series.recurrence, recurrence);
+      }
+
+      if (
+        series.recurrence.frequency === "weekly" &&
+        series.recurrence.days_of_week.length === 0
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Weekly series need at least one day of the week",
+        });
+      }
+      if (
+        series.recurrence.until_date &&
+        series.recurrence.until_date < series.recurrence.start_date
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "until_date must be on or after start_date",
+        });
+      }
+
+      await series.save();
+
+      const result = await RideSeriesService.applySeriesUpdate(series);
+
+      res.status(200).json({
+        success: true,
+        message: "Ride series updated successfully",
+        data: {
+          series,
+          ...result,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel a whole series (booked occurrences are kept)
+   * DELETE /api/v1/rides/series/:seriesId
+   */
+  static async cancel(req, res, next) {
+    try {
+      const series = await RideSeries.findOne({
+        _id: req.params.seriesId,
+        driver_id: req.user.id,
+      });
+
+      if (!series) {
+        return res.status(404).json({
+          success: false,
+          message: "Ride series not found",
+        });
+      }
+
+      if (series.status !== "active") {
+        return res.status(400).json({
+          success: false,
+          message: "Ride series is already cancelled",
+        });
+      }
+
+      const result = await RideSeriesService.cancelSeries(series);
+
+      res.status(200).json({
+        success: true,
+        message:
+          result.kept.length > 0
+            ? `Ride series cancelled. ${result.kept.length} booked ride(s) were kept and can be cancelled individually.`
+            : "Ride series cancelled",
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = RideSeriesController;
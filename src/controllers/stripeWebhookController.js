@@ -127,10 +127,8 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
       });
     }
 
-    // Add to driver's pending balance (will be released when ride completes)
-    // For now, we'll add directly to available balance
-    // You can change this to pending_balance if you want to hold funds
-    await wallet.addEarnings(netAmount, false);
+    // Add to driver's pending balance (released by RideLifecycleService when the ride completes)
+    await Wallet.creditPending(driverId, netAmount);
 
     // Create transaction record
     await Transaction.createRideEarning({
@@ -142,9 +140,10 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
       ride,
       passenger,
       stripe_payment_intent_id: paymentIntent.id,
+      status: "pending",
     });
 
-    console.log(`Credited ${netAmount} cents to driver ${driverId}'s wallet`);
+    console.log(`Credited ${netAmount} cents to driver ${driverId}'s pending balance`);
   } catch (error) {
     console.error("Error processing payment success:", error);
     throw error;
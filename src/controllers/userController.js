@@ -3,6 +3,12 @@ const User = require("../models/User");
 const cloudinary = require("cloudinary").v2;
 const EmailOtp = require("../models/EmailOtp");
 const admin = require("../config/firebaseAdmin");
+const NotificationService = require("../services/notificationService");
+const NotificationPreferenceService = require("../services/notificationPreferenceService");
+const PersonalDataService = require("../services/personalDataService");
+const AuditService = require("../services/auditService");
+const IdentityVerificationService = require("../services/identityVerificationService");
+const AuthController = require("./authController");
 
 class UserController {
   /**
@@ -69,7 +75,7 @@ class UserController {
         _id: userId,
         deleted_at: null,
       }).select(
-        "first_name last_name avatar_url date_of_birth bio languages car_model car_color rating rating_count trips_completed createdAt phone",
+        "first_name last_name avatar_url date_of_birth bio languages car_model car_color rating rating_count trips_completed createdAt phone identity_verification.status",
       );
 
       if (!user) {
@@ -134,6 +140,7 @@ class UserController {
         rating: user.rating || 0,
         rating_count: user.rating_count || 0,
         trips_completed: user.trips_completed || 0,
+        verified: IdentityVerificationService.isVerified(user),
         created_at: user.createdAt,
         createdAt: user.createdAt,
         canSeePhone,
@@ -166,6 +173,134 @@ class UserController {
     }
   }
 
+  /**
+   * Download all of the user's data as a JSON file (GDPR right of access)
+   * GET /api/v1/users/me/export
+   */
+  static async exportData(req, res, next) {
+    try {
+      const data = await PersonalDataService.export(req.user.id);
+      if (!data) {
+        return res.status(404).json({ success: false, message: "User not found" });
+      }
+
+      await AuditService.record({
+        req,
+        action: "user.export",
+        target_type: "user",
+        target_id: req.user.id,
+      });
+
+      const date = new Date().toISOString().slice(0, 10);
+      res.set(
+        "Content-Disposition",
+        `attachment; filename="my-data-${date}.json"`,
+      );
+      res.status(200).json({ success: true, data });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Where the review of the user's ID stands
+   * GET /api/v1/users/me/identity-verification
+   */
+  static async getIdentityVerification(req, res, next) {
+    try {
+      const user = await User.findById(req.user.id).select(
+        "identity_verification id_image_front_url id_image_back_url",
+      );
+      if (!user) {
+        return res.status(404).json({ success: false, message: "User not found" });
+      }
+
+      const verification = user.identity_verification || {};
+      res.status(200).json({
+        success: true,
+        data: {
+          status: verification.status || "none",
+          submitted_at: verification.submitted_at || null,
+          reviewed_at: verification.reviewed_at || null,
+          rejection_reason: verification.rejection_reason || null,
+          has_images: Boolean(user.id_image_front_url && user.id_image_back_url),
+          can_submit: IdentityVerificationService.canSubmit(user),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Upload (new) ID images and send them for review
+   * POST /api/v1/users/me/identity-verification
+   * Body: { id_image_front, id_image_back } as PNG/JPG base64 data URIs
+   */
+  static async submitIdentityVerification(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { id_image_front, id_image_back } = req.validatedBody;
+
+      const current = await User.findById(userId).select(
+        "identity_verification id_image_front_public_id id_image_back_public_id",
+      );
+      if (!current) {
+        return res.status(404).json({ success: false, message: "User not found" });
+      }
+      if (!IdentityVerificationService.canSubmit(current)) {
+        return res.status(409).json({
+          success: false,
+          message: `Your ID is already ${current.identity_verification.status.replace("_", " ")}`,
+          code: "INVALID_VERIFICATION_STATUS",
+        });
+      }
+
+      let front, back;
+      try {
+        front = await AuthController.processImage(id_image_front);
+        back = await AuthController.processImage(id_image_back);
+      } catch (imgErr) {
+        if (front?.public_id) await PersonalDataService.destroyAssets([front.public_id]);
+        return res.status(400).json({ success: false, message: imgErr.message });
+      }
+
+      let result;
+      try {
+        result = await IdentityVerificationService.transition(userId, "submit", {
+          set: {
+            id_image_front_url: front.url,
+            id_image_front_public_id: front.public_id,
+            id_image_back_url: back.url,
+            id_image_back_public_id: back.public_id,
+          },
+        });
+      } catch (error) {
+        // Reviewed in the meantime: the new images aren't used
+        await PersonalDataService.destroyAssets([front.public_id, back.public_id]);
+        throw error;
+      }
+
+      // The previous images aren't needed anymore
+      await PersonalDataService.destroyAssets(
+        [result.before.id_image_front_public_id, result.before.id_image_back_public_id].filter(
+          Boolean,
+        ),
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Your ID was sent for review",
+        data: {
+          status: result.user.identity_verification.status,
+          submitted_at: result.user.identity_verification.submitted_at,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Update user profile
    * PATCH /api/v1/users/me
@@ -635,6 +770,85 @@ class UserController {
       next(error);
     }
   }
+
+  /**
+   * Get notification preferences (channels per type + quiet hours)
+   * GET /api/v1/users/me/notification-preferences
+   */
+  static async getNotificationPreferences(req, res, next) {
+    try {
+      const user = await User.findById(req.user.id).select(
+        "timezone notification_preferences",
+      );
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: NotificationPreferenceService.serialize(
+          user,
+          Object.values(NotificationService.TYPES),
+        ),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update notification preferences (partial - only the given keys change)
+   * PATCH /api/v1/users/me/notification-preferences
+   */
+  static async updateNotificationPreferences(req, res, next) {
+    try {
+      const { timezone, types, quiet_hours } = req.validatedBody;
+      const user = await User.findById(req.user.id).select(
+        "timezone notification_preferences",
+      );
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (timezone) {
+        user.timezone = timezone;
+      }
+
+      for (const [type, channels] of Object.entries(types || {})) {
+        const current = user.notification_preferences.types.get(type);
+        user.notification_preferences.types.set(type, {
+          ...NotificationPreferenceService.DEFAULT_CHANNELS,
+          ...(current ? current.toObject() : {}),
+          ...channels,
+        });
+      }
+
+      if (quiet_hours) {
+        Object.assign(user.notification_preferences.quiet_hours, quiet_hours);
+      }
+
+      await user.save();
+
+      res.status(200).json({
+        success: true,
+        message: "Notification preferences updated",
+        data: NotificationPreferenceService.serialize(
+          user,
+          Object.values(NotificationService.TYPES),
+        ),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = UserController;
@@ -0,0 +1,15 @@
+/**
+ * Admin middleware
+ * Must run after authMiddleware; only lets users with the admin role through
+ */
+function adminMiddleware(req, res, next) {
+  if (!req.user || req.user.role !== "admin") {
+    return res.status(403).json({
+      success: false,
+      message: "Admin access required.",
+    });
+  }
+  return next();
+}
+
+module.exports = adminMiddleware;
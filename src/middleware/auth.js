@@ -1,5 +1,6 @@
 const { verifyAccessToken } = require("../utils/jwt");
 const User = require("../models/User");
+const SessionService = require("../services/sessionService");
 
 /**
  * Authentication middleware
@@ -22,6 +23,14 @@ async function authMiddleware(req, res, next) {
     // Verify token
     const decoded = verifyAccessToken(token);
 
+    // Logged out, or revoked from another device
+    if (!(await SessionService.isActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: "Session ended. Please log in again.",
+      });
+    }
+
     // Get user from database
     const user = await User.findOne({
       _id: decoded.userId,
@@ -35,6 +44,13 @@ async function authMiddleware(req, res, next) {
       });
     }
 
+    if (user.suspended_at) {
+      return res.status(403).json({
+        success: false,
+        message: "Account suspended. Please contact support.",
+      });
+    }
+
     // Attach user to request (convert to plain object to avoid .toJSON() issues later if we forget)
     // We manually construct the object to ensure only safe fields are passed.
     req.user = {
@@ -56,8 +72,10 @@ async function authMiddleware(req, res, next) {
       rating_count: user.rating_count,
       phone_verified: user.phone_verified,
       email_verified: user.email_verified,
+      mfa_enabled: Boolean(user.mfa?.enabled),
       createdAt: user.createdAt,
     };
+    req.sessionId = decoded.sid || null;
     return next();
   } catch (e) {
     return res.status(401).json({
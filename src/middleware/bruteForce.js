@@ -0,0 +1,67 @@
+const RateLimitService = require("../services/rateLimitService");
+
+// Responses counted as a failed attempt (wrong password or code)
+const FAILURE_STATUSES = [400, 401];
+// Higher than per identifier: many users can share an IP (airport wifi, NAT)
+const IP_THRESHOLD = parseInt(process.env.LOCKOUT_IP_THRESHOLD || "20", 10);
+
+/**
+ * Brute-force protection middleware factory for endpoints checking a secret
+ * (password, emailed code). Failed attempts are counted per client IP and per
+ * identifier; too many lock that IP or identifier out for a growing period
+ * (see RateLimitService.recordFailure). A success clears the identifier's
+ * failures.
+ * @param {Object} options
+ * @param {string} options.name lockout namespace, e.g. "login"
+ * @param {Function} options.identifier (req) => the email/phone being tried
+ */
+function bruteForce({ name, identifier }) {
+  return async function bruteForceMiddleware(req, res, next) {
+    try {
+      const value = identifier ? identifier(req) : null;
+      const scopes = [{ scope: `${name}:ip`, id: req.ip, threshold: IP_THRESHOLD }];
+      if (value) {
+        scopes.push({
+          scope: `${name}:identifier`,
+          id: RateLimitService.hashIdentifier(value),
+        });
+      }
+
+      for (const { scope, id } of scopes) {
+        const retryAfter = await RateLimitService.lockedFor(scope, id);
+        if (retryAfter > 0) {
+          res.set("Retry-After", String(retryAfter));
+          return res.status(429).json({
+            success: false,
+            message: `Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+            retry_after: retryAfter,
+          });
+        }
+      }
+
+      res.on("finish", () => {
+        const failed = FAILURE_STATUSES.includes(res.statusCode);
+        const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+        if (!failed && !succeeded) return;
+
+        Promise.all(
+          scopes.map(({ scope, id, threshold }) => {
+            if (failed) return RateLimitService.recordFailure(scope, id, threshold);
+            // An IP's failures on other accounts still count
+            return scope.endsWith(":identifier")
+              ? RateLimitService.recordSuccess(scope, id)
+              : null;
+          }),
+        ).catch((err) =>
+          console.error(`[BruteForce] Failed to record ${name} attempt:`, err.message),
+        );
+      });
+
+      return next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = bruteForce;
@@ -61,6 +61,7 @@ function errorHandler(err, req, res, next) {
   res.status(statusCode).json({
     success: false,
     message: err.message || "Internal server error.",
+    ...(typeof err.code === "string" && { code: err.code }),
     ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
   });
 }
@@ -0,0 +1,176 @@
+const crypto = require("crypto");
+const IdempotencyKey = require("../models/IdempotencyKey");
+
+// How long a key's response is kept for replays
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || "24", 10);
+// A request still "processing" after this is considered dead (crashed
+// instance). The lock is renewed while the request runs, so this only bounds
+// how long a crashed request blocks retries.
+const LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS || "60", 10);
+
+// Responses replayed for retries: successes and 4xx that a retry would get
+// again (conflict, key misuse). Other errors (a payment still processing,
+// insufficient balance, 5xx) may resolve, so the key is freed for a retry.
+const isReplayable = (status) =>
+  (status >= 200 && status < 300) || status === 409 || status === 422;
+
+const KEY_PATTERN = /^[\w.:-]{1,200}$/;
+
+// JSON with sorted object keys, so retries hash the same whatever the key order
+const canonical = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const hashBody = (body) =>
+  crypto.createHash("sha256").update(canonical(body || {})).digest("hex");
+
+/**
+ * Idempotency middleware (after auth)
+ * When the client sends an Idempotency-Key header, the first response for
+ * that key is stored and replayed for retries instead of running the handler
+ * again (see isReplayable). Any other outcome, including a response sent
+ * without res.json, frees the key so the request can be retried.
+ * Requests without the header are handled normally.
+ */
+async function idempotencyMiddleware(req, res, next) {
+  const key = req.get("Idempotency-Key");
+  if (!key) return next();
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      success: false,
+      message:
+        "Invalid Idempotency-Key (up to 200 letters, digits, '-', '_', '.' or ':')",
+    });
+  }
+
+  try {
+    const now = Date.now();
+    const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+    const requestHash = hashBody(req.body);
+    const lockedUntil = new Date(now + LOCK_SECONDS * 1000);
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        user_id: req.user.id,
+        endpoint,
+        request_hash: requestHash,
+        locked_until: lockedUntil,
+        expires_at: new Date(now + TTL_HOURS * 60 * 60 * 1000),
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ user_id: req.user.id, key });
+      if (
+        existing &&
+        (existing.endpoint !== endpoint || existing.request_hash !== requestHash)
+      ) {
+        return res.status(422).json({
+          success: false,
+          message: "This Idempotency-Key was already used for a different request",
+        });
+      }
+
+      if (existing?.status === "completed") {
+        res.set("Idempotent-Replayed", "true");
+        return res.status(existing.response_status).json(existing.response_body);
+      }
+
+      // Take over a request whose instance died, otherwise it's still running
+      record = existing
+        ? await IdempotencyKey.findOneAndUpdate(
+            {
+              _id: existing._id,
+              status: "processing",
+              locked_until: { $lte: new Date(now) },
+            },
+            { locked_until: lockedUntil },
+            { new: true },
+          )
+        : null;
+      if (!record) {
+        res.set("Retry-After", "1");
+        return res.status(409).json({
+          success: false,
+          message: "A request with this Idempotency-Key is still being processed",
+        });
+      }
+    }
+
+    req.idempotencyKey = key;
+
+    // Keep the lock while the handler runs, however long it takes
+    const heartbeat = setInterval(() => {
+      IdempotencyKey.updateOne(
+        { _id: record._id, status: "processing" },
+        { locked_until: new Date(Date.now() + LOCK_SECONDS * 1000) },
+      ).catch((err) =>
+        console.error(`[Idempotency] Failed to renew lock for key ${key}:`, err.message),
+      );
+    }, (LOCK_SECONDS * 1000) / 2);
+    heartbeat.unref();
+
+    // Store the response, or free the key, once the handler has answered
+    let settled = false;
+    const settle = (body) => {
+      if (settled) return;
+      settled = true;
+      clearInterval(heartbeat);
+      const write =
+        body !== undefined && isReplayable(res.statusCode)
+          ? IdempotencyKey.updateOne(
+              { _id: record._id },
+              {
+                status: "completed",
+                locked_until: null,
+                response_status: res.statusCode,
+                // As serialized for the client (documents through toJSON)
+                response_body: JSON.parse(JSON.stringify(body)),
+              },
+            )
+          : IdempotencyKey.deleteOne({ _id: record._id, status: "processing" });
+      write.catch((err) =>
+        console.error(`[Idempotency] Failed to settle key ${key}:`, err.message),
+      );
+    };
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      settle(body);
+      return json(body);
+    };
+    // Answered some other way (res.send, res.end): nothing to replay
+    res.on("finish", () => settle());
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Idempotency key for a Stripe call made while handling the request, so a
+ * replayed request that reaches Stripe again gets the same object back.
+ * undefined when the client sent no key.
+ * @param {Object} req
+ * @param {string} operation - distinguishes several Stripe calls of one request
+ */
+function stripeIdempotencyKey(req, operation) {
+  if (!req.idempotencyKey) return undefined;
+  return `${req.user.id}:${req.idempotencyKey}:${operation}`;
+}
+
+module.exports = {
+  idempotencyMiddleware,
+  stripeIdempotencyKey,
+};
@@ -0,0 +1,27 @@
+const User = require("../models/User");
+const IdentityVerificationService = require("../services/identityVerificationService");
+
+/**
+ * Publishing gate (after auth)
+ * With REQUIRE_ID_VERIFICATION_TO_PUBLISH=true only users whose ID was
+ * approved can publish rides. Otherwise everyone is let through.
+ */
+async function requireIdentityVerified(req, res, next) {
+  try {
+    if (!IdentityVerificationService.requiredToPublish) return next();
+
+    const user = await User.findById(req.user.id).select("identity_verification.status").lean();
+    if (IdentityVerificationService.isVerified(user)) return next();
+
+    return res.status(403).json({
+      success: false,
+      message: "Your ID must be verified before you can publish rides",
+      code: "ID_VERIFICATION_REQUIRED",
+      verification_status: user?.identity_verification?.status || "none",
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = requireIdentityVerified;
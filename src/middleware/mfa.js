@@ -0,0 +1,30 @@
+const MfaService = require("../services/mfaService");
+
+/**
+ * Step-up verification for sensitive actions (after auth)
+ * Users with two-factor authentication enabled must send a fresh code from
+ * their authenticator app (or a recovery code) in the X-MFA-Code header.
+ * Users without it are let through.
+ */
+async function requireMfa(req, res, next) {
+  try {
+    const user = await MfaService.loadUser(req.user.id);
+    if (!user.mfa?.enabled) return next();
+
+    const code = req.get("X-MFA-Code");
+    if (!code) {
+      return res.status(403).json({
+        success: false,
+        message: "Enter a code from your authenticator app to continue",
+        code: "MFA_REQUIRED",
+      });
+    }
+
+    req.mfaMethod = await MfaService.verify(user, code);
+    return next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = requireMfa;
@@ -1,5 +1,6 @@
 const { verifyAccessToken } = require("../utils/jwt");
 const User = require("../models/User");
+const SessionService = require("../services/sessionService");
 
 /**
  * Optional Authentication middleware
@@ -29,7 +30,11 @@ async function optionalAuthMiddleware(req, res, next) {
         deleted_at: null,
       }).select("-password_hash");
 
-      if (user) {
+      if (
+        user &&
+        !user.suspended_at &&
+        (await SessionService.isActive(decoded.sid))
+      ) {
         // Attach user to request
         req.user = {
           id: user._id.toString(),
@@ -47,6 +52,7 @@ async function optionalAuthMiddleware(req, res, next) {
           email_verified: user.email_verified,
           createdAt: user.createdAt,
         };
+        req.sessionId = decoded.sid || null;
       } else {
         req.user = null;
       }
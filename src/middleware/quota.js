@@ -0,0 +1,56 @@
+const RateLimitService = require("../services/rateLimitService");
+
+/**
+ * Quota middleware factory: fixed-window request counters per user, per IP
+ * and per identifier
+ * @param {Object} options
+ * @param {string} options.name counter namespace, e.g. "geocoding"
+ * @param {number} options.windowSeconds window length
+ * @param {number} options.perUser max requests per authenticated user (needs req.user)
+ * @param {number} options.perIp max requests per client IP
+ * @param {number} options.perIdentifier max requests per identifier
+ * @param {Function} options.identifier (req) => the email/phone the request
+ *   is about, e.g. for codes sent to an address
+ */
+function quota({ name, windowSeconds, perUser, perIp, perIdentifier, identifier }) {
+  return async function quotaMiddleware(req, res, next) {
+    try {
+      const windowIndex = Math.floor(Date.now() / (windowSeconds * 1000));
+      const retryAfter =
+        (windowIndex + 1) * windowSeconds - Math.floor(Date.now() / 1000);
+
+      const checks = [];
+      if (perIp) checks.push({ id: `ip:${req.ip}`, limit: perIp });
+      if (perUser && req.user?.id) {
+        checks.push({ id: `user:${req.user.id}`, limit: perUser });
+      }
+      const identifierValue = perIdentifier && identifier ? identifier(req) : null;
+      if (identifierValue) {
+        checks.push({
+          id: `identifier:${RateLimitService.hashIdentifier(identifierValue)}`,
+          limit: perIdentifier,
+        });
+      }
+
+      for (const { id, limit } of checks) {
+        const count = await RateLimitService.increment(
+          `quota:${name}:${id}:${windowIndex}`,
+          windowSeconds,
+        );
+        if (count > limit) {
+          res.set("Retry-After", String(retryAfter));
+          return res.status(429).json({
+            success: false,
+            message: "Too many requests, please try again later.",
+            retry_after: retryAfter,
+          });
+        }
+      }
+      return next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = quota;
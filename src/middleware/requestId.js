@@ -0,0 +1,18 @@
+const crypto = require("crypto");
+const { runWithRequest } = require("../utils/requestContext");
+
+/**
+ * Request ID middleware
+ * Gives every request an ID (kept from a sane X-Request-Id header, e.g. set
+ * by the proxy), returns it in the response and makes the request available
+ * to audit logging for the rest of its handling
+ */
+function requestIdMiddleware(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  req.id =
+    incoming && /^[\w.-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  runWithRequest(req, next);
+}
+
+module.exports = requestIdMiddleware;
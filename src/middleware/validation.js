@@ -52,6 +52,16 @@ const validationRules = {
   price: Joi.number().positive().precision(2).required(),
   postcode: Joi.string().max(10).trim().required(),
   city: Joi.string().max(100).trim().required(),
+  flightNumber: Joi.string()
+    .uppercase()
+    .replace(/\s+/g, "")
+    .pattern(/^([A-Z0-9]{2}|[A-Z]{3})\d{1,4}[A-Z]?$/)
+    .message("Please enter a valid flight number (e.g. AF1234)")
+    .required(),
+  flightDate: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .message("Flight date must be in YYYY-MM-DD format")
+    .required(),
 };
 
 module.exports = { validate, validationRules, Joi };
@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+
+// Append-only trail of sensitive operations (who did what to which record)
+const auditLogSchema = new mongoose.Schema(
+  {
+    // null for system actions (jobs, webhooks)
+    actor_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    actor_role: {
+      type: String,
+      default: null,
+    },
+    action: {
+      type: String,
+      required: true,
+    },
+    target_type: {
+      type: String,
+      required: true,
+    },
+    target_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    reason: {
+      type: String,
+      default: null,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    // Ties together every entry written while handling one request
+    request_id: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    request_path: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: { virtuals: true },
+  }
+);
+
+auditLogSchema.index({ target_type: 1, target_id: 1, createdAt: -1 });
+auditLogSchema.index({ actor_id: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries are never changed or removed once written
+const rejectChange = function (next) {
+  next(new Error("Audit log entries are append-only"));
+};
+for (const op of [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+]) {
+  auditLogSchema.pre(op, rejectChange);
+}
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+module.exports = AuditLog;
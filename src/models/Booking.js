@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const flightInfoSchema = require("./flightInfoSchema");
+const auditTrailPlugin = require("./auditTrailPlugin");
 
 const bookingSchema = new mongoose.Schema(
   {
@@ -41,6 +43,17 @@ const bookingSchema = new mongoose.Schema(
       latitude: { type: Number },
       longitude: { type: Number },
     },
+    // Where the passenger joins (to the airport) or leaves (from the airport)
+    // the ride: the driver's home, one of the ride's waypoints, or a detour
+    stop_type: {
+      type: String,
+      enum: ["home", "waypoint", "detour"],
+      default: "home",
+    },
+    waypoint_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
     // Payment tracking fields
     payment_status: {
       type: String,
@@ -79,7 +92,31 @@ const bookingSchema = new mongoose.Schema(
       required: function() {
         return this.payment_status === "refunded";
       }
-    }
+    },
+    // Set once both rating prompts went out (driver and passenger)
+    rating_prompts_sent_at: {
+      type: Date,
+      default: null,
+    },
+    // Each prompt, so a retried run doesn't send one twice
+    rate_driver_prompted_at: {
+      type: Date,
+      default: null,
+    },
+    rate_passenger_prompted_at: {
+      type: Date,
+      default: null,
+    },
+    // Passenger's flight (optional)
+    flight: {
+      type: flightInfoSchema,
+      default: null,
+    },
+    // Reminder offsets (hours before departure) already sent to the passenger
+    reminders_sent: {
+      type: [Number],
+      default: [],
+    },
   },
   {
     timestamps: true,
@@ -89,6 +126,16 @@ const bookingSchema = new mongoose.Schema(
 
 // Unique constraint: one booking per ride per passenger
 bookingSchema.index({ ride_id: 1, passenger_id: 1 }, { unique: true });
+// Flight status polling
+bookingSchema.index({ "flight.scheduled_at": 1 }, { sparse: true });
+
+// Audit trail: status and payment changes (refunds included)
+bookingSchema.plugin(auditTrailPlugin, {
+  target_type: "booking",
+  fields: ["status", "payment_status", "seats"],
+  context: ["ride_id", "passenger_id"],
+  trackCreate: true,
+});
 
 const Booking = mongoose.model("Booking", bookingSchema);
 
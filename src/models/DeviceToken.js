@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+const deviceTokenSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    token: {
+      type: String,
+      required: true,
+      unique: true, // A device belongs to whoever registered it last
+    },
+    platform: {
+      type: String,
+      required: true,
+      enum: ["ios", "android", "web"],
+    },
+    last_seen_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+  }
+);
+
+const DeviceToken = mongoose.model("DeviceToken", deviceTokenSchema);
+
+module.exports = DeviceToken;
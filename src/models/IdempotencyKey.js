@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// First response of a request sent with an Idempotency-Key header,
+// replayed when the client retries with the same key
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // e.g. "POST /api/v1/payments/complete": a key can't be reused on another URL
+    endpoint: {
+      type: String,
+      required: true,
+    },
+    // Hash of the request body: a key can't be reused with different parameters
+    request_hash: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    // While processing, another request may take over after this (crashed instance)
+    locked_until: {
+      type: Date,
+      default: null,
+    },
+    response_status: {
+      type: Number,
+      default: null,
+    },
+    response_body: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+idempotencyKeySchema.index({ user_id: 1, key: 1 }, { unique: true });
+// TTL: keys are forgotten once expired
+idempotencyKeySchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model("IdempotencyKey", idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// Run history of scheduled jobs (kept 30 days)
+const jobRunSchema = new mongoose.Schema(
+  {
+    job_name: {
+      type: String,
+      required: true,
+    },
+    instance_id: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: ["success", "failed"],
+    },
+    attempt: {
+      type: Number,
+      default: 1,
+    },
+    started_at: {
+      type: Date,
+      required: true,
+    },
+    finished_at: {
+      type: Date,
+      required: true,
+    },
+    duration_ms: {
+      type: Number,
+      default: 0,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+  }
+);
+
+jobRunSchema.index({ job_name: 1, started_at: -1 });
+jobRunSchema.index({ started_at: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const JobRun = mongoose.model("JobRun", jobRunSchema);
+
+module.exports = JobRun;
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const auditTrailPlugin = require("./auditTrailPlugin");
 
 const payoutSchema = new mongoose.Schema(
   {
@@ -161,6 +162,14 @@ payoutSchema.methods.markFailed = async function (failure_reason, failure_code =
   return this.save();
 };
 
+// Audit trail: payout requests and their outcome
+payoutSchema.plugin(auditTrailPlugin, {
+  target_type: "payout",
+  fields: ["amount", "status", "failure_reason"],
+  context: ["user_id", "wallet_id"],
+  trackCreate: true,
+});
+
 const Payout = mongoose.model("Payout", payoutSchema);
 
 module.exports = Payout;
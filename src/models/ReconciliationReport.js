@@ -0,0 +1,128 @@
+const mongoose = require("mongoose");
+
+// One mismatch between Stripe and our records
+const discrepancySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    // Stripe object (PaymentIntent, refund or transfer) involved
+    stripe_id: {
+      type: String,
+      default: null,
+    },
+    booking_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    transaction_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    payout_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    amount: {
+      type: Number,
+      default: null,
+      description: "Amount in cents",
+    },
+    healed: {
+      type: Boolean,
+      default: false,
+    },
+    heal_action: {
+      type: String,
+      default: null,
+    },
+    heal_error: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// Result of one Stripe reconciliation run
+const reconciliationReportSchema = new mongoose.Schema(
+  {
+    trigger: {
+      type: String,
+      enum: ["job", "manual", "script"],
+      required: true,
+    },
+    // Stripe objects created in this window were compared
+    window_start: {
+      type: Date,
+      required: true,
+    },
+    window_end: {
+      type: Date,
+      required: true,
+    },
+    auto_heal: {
+      type: Boolean,
+      default: false,
+    },
+    refund_orphans: {
+      type: Boolean,
+      default: false,
+    },
+    // Number of records compared, per kind
+    checked: {
+      payment_intents: { type: Number, default: 0 },
+      refunds: { type: Number, default: 0 },
+      transfers: { type: Number, default: 0 },
+      bookings: { type: Number, default: 0 },
+      payouts: { type: Number, default: 0 },
+    },
+    // Discrepancy count per type
+    summary: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    discrepancy_count: {
+      type: Number,
+      default: 0,
+    },
+    healed_count: {
+      type: Number,
+      default: 0,
+    },
+    discrepancies: {
+      type: [discrepancySchema],
+      default: [],
+    },
+    started_at: {
+      type: Date,
+      required: true,
+    },
+    finished_at: {
+      type: Date,
+      default: null,
+    },
+    // Set when the run stopped early (e.g. Stripe unavailable)
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reconciliationReportSchema.index({ createdAt: -1 });
+
+const ReconciliationReport = mongoose.model(
+  "ReconciliationReport",
+  reconciliationReportSchema
+);
+
+module.exports = ReconciliationReport;
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const waypointSchema = require("./waypointSchema");
+const auditTrailPlugin = require("./auditTrailPlugin");
 
 const rideSchema = new mongoose.Schema(
   {
@@ -83,6 +85,11 @@ const rideSchema = new mongoose.Schema(
       default: "active",
       index: true,
     },
+    // Ordered intermediate stops the route goes through
+    waypoints: {
+      type: [waypointSchema],
+      default: [],
+    },
     route: {
       type: {
         type: String,
@@ -94,6 +101,32 @@ const rideSchema = new mongoose.Schema(
         required: false,
       },
     },
+    // Recurring rides: the series and local date this occurrence belongs to
+    series_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RideSeries",
+      default: null,
+    },
+    series_date: {
+      type: String, // YYYY-MM-DD
+      default: null,
+    },
+    // Edited on its own: series-wide edits no longer apply to it
+    series_detached: {
+      type: Boolean,
+      default: false,
+    },
+    // Cancelled because a series edit dropped its date: brought back if an
+    // edit includes the date again
+    series_removed: {
+      type: Boolean,
+      default: false,
+    },
+    // Reminder offsets (hours before departure) already sent to the driver
+    reminders_sent: {
+      type: [Number],
+      default: [],
+    },
   },
   {
     timestamps: true,
@@ -101,6 +134,12 @@ const rideSchema = new mongoose.Schema(
   }
 );
 
+// One occurrence per series and date (makes generation idempotent)
+rideSchema.index(
+  { series_id: 1, series_date: 1 },
+  { unique: true, partialFilterExpression: { series_id: { $type: "objectId" } } },
+);
+
 // ── Compound indexes for search queries ──
 
 // Primary search index: equality fields first, range field last
@@ -116,6 +155,37 @@ rideSchema.index({ driver_id: 1, datetime_start: -1 });
 // Geospatial index for route matching ($geoNear)
 rideSchema.index({ route: "2dsphere" });
 
+// Atomically take seats and luggage spots on an active ride
+// Returns the updated ride, or null if there aren't enough left
+rideSchema.statics.reserveSeats = function (rideId, seats, luggage = 0, session = null) {
+  return this.findOneAndUpdate(
+    {
+      _id: rideId,
+      status: "active",
+      seats_left: { $gte: seats },
+      ...(luggage > 0 && { luggage_left: { $gte: luggage } }),
+    },
+    { $inc: { seats_left: -seats, luggage_left: -luggage } },
+    { new: true, session },
+  );
+};
+
+// Give seats and luggage spots back (booking cancelled or not created)
+rideSchema.statics.releaseSeats = function (rideId, seats, luggage = 0, session = null) {
+  return this.findByIdAndUpdate(
+    rideId,
+    { $inc: { seats_left: seats, luggage_left: luggage } },
+    { new: true, session },
+  );
+};
+
+// Audit trail: status changes (cancellations, completion)
+rideSchema.plugin(auditTrailPlugin, {
+  target_type: "ride",
+  fields: ["status"],
+  context: ["driver_id"],
+});
+
 const Ride = mongoose.model("Ride", rideSchema);
 
 module.exports = Ride;
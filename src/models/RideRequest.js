@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const flightInfoSchema = require("./flightInfoSchema");
 
 const rideRequestSchema = new mongoose.Schema(
   {
@@ -120,6 +121,11 @@ const rideRequestSchema = new mongoose.Schema(
       type: Date,
       required: true,
     },
+    // Passenger's flight (optional)
+    flight: {
+      type: flightInfoSchema,
+      default: null,
+    },
   },
   {
     timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
@@ -137,6 +143,7 @@ rideRequestSchema.index({ passenger: 1, status: 1 });
 rideRequestSchema.index({ location_city: 1 });
 rideRequestSchema.index({ expires_at: 1 });
 rideRequestSchema.index({ location: "2dsphere" });
+rideRequestSchema.index({ "flight.scheduled_at": 1 }, { sparse: true });
 
 // Virtual for id
 rideRequestSchema.virtual("id").get(function () {
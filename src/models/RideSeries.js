@@ -0,0 +1,132 @@
+const mongoose = require("mongoose");
+const waypointSchema = require("./waypointSchema");
+
+/**
+ * A recurring ride (e.g. a commute every weekday at 06:30).
+ * Concrete Ride documents are generated ahead of time by RideSeriesService.
+ */
+const rideSeriesSchema = new mongoose.Schema(
+  {
+    driver_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    airport_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Airport",
+      required: true,
+    },
+    direction: {
+      type: String,
+      required: true,
+      enum: ["home_to_airport", "airport_to_home"],
+    },
+    home_address: {
+      type: String,
+      default: null,
+    },
+    home_postcode: {
+      type: String,
+      required: false,
+    },
+    home_city: {
+      type: String,
+      required: true,
+    },
+    home_latitude: {
+      type: Number,
+      required: false,
+    },
+    home_longitude: {
+      type: Number,
+      required: false,
+    },
+    // Departure time in the airport's timezone
+    time_of_day: {
+      type: String, // HH:mm
+      required: true,
+    },
+    timezone: {
+      type: String,
+      required: true,
+    },
+    recurrence: {
+      frequency: {
+        type: String,
+        required: true,
+        enum: ["daily", "weekdays", "weekly"],
+      },
+      // 0 = Sunday ... 6 = Saturday (used when frequency is "weekly")
+      days_of_week: {
+        type: [Number],
+        default: [],
+      },
+      start_date: {
+        type: String, // YYYY-MM-DD
+        required: true,
+      },
+      until_date: {
+        type: String, // YYYY-MM-DD, inclusive; null = no end
+        default: null,
+      },
+    },
+    seats_total: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    price_per_seat: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    luggage_capacity: {
+      type: Number,
+      required: true,
+      min: 0,
+      default: 0,
+    },
+    comment: {
+      type: String,
+      default: null,
+    },
+    // Ordered intermediate stops the route goes through
+    waypoints: {
+      type: [waypointSchema],
+      default: [],
+    },
+    route: {
+      type: {
+        type: String,
+        enum: ["LineString"],
+        default: "LineString",
+      },
+      coordinates: {
+        type: [[Number]],
+        required: false,
+      },
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: ["active", "cancelled"],
+      default: "active",
+      index: true,
+    },
+    // Last local date rides were generated for
+    generated_until: {
+      type: String, // YYYY-MM-DD
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+  }
+);
+
+const RideSeries = mongoose.model("RideSeries", rideSeriesSchema);
+
+module.exports = RideSeries;
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    interval_ms: {
+      type: Number,
+      required: true,
+    },
+    next_run_at: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+    // Lock held by the instance currently running the job
+    locked_by: {
+      type: String,
+      default: null,
+    },
+    locked_until: {
+      type: Date,
+      default: null,
+    },
+    // Consecutive failures of the current run (reset on success)
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    last_run_at: {
+      type: Date,
+      default: null,
+    },
+    last_status: {
+      type: String,
+      enum: ["success", "failed", null],
+      default: null,
+    },
+    last_error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+  }
+);
+
+const ScheduledJob = mongoose.model("ScheduledJob", scheduledJobSchema);
+
+module.exports = ScheduledJob;
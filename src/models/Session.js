@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+
+// One signed-in device. Each refresh rotates the refresh token; only the
+// latest one (refresh_jti) is accepted, so a replayed older token means it
+// was stolen and the whole session is revoked. The one before it
+// (previous_jti) is still honoured for a few seconds after the rotation, so a
+// client retrying a refresh whose response it lost gets the same tokens again.
+const sessionSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // ID of the current refresh token
+    refresh_jti: {
+      type: String,
+      required: true,
+    },
+    // ID of the refresh token replaced by the last refresh
+    previous_jti: {
+      type: String,
+      default: null,
+    },
+    // Time of the last refresh, also the issue time of the current tokens
+    rotated_at: {
+      type: Date,
+      default: null,
+    },
+    // Number of refreshes so far
+    rotation_count: {
+      type: Number,
+      default: 0,
+    },
+    user_agent: {
+      type: String,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    last_used_at: {
+      type: Date,
+      default: Date.now,
+    },
+    // Pushed back on every refresh (sliding window)
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+    revoke_reason: {
+      type: String,
+      enum: [
+        "logout",
+        "user_revoked",
+        "refresh_token_reuse",
+        "password_reset",
+        "account_deleted",
+        null,
+      ],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user_id: 1, revoked_at: 1 });
+// TTL: sessions are removed once expired, revoked or not
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = Session;
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const auditTrailPlugin = require("./auditTrailPlugin");
 
 const transactionSchema = new mongoose.Schema(
   {
@@ -145,35 +146,43 @@ transactionSchema.statics.createRideEarning = async function ({
   ride,
   passenger,
   stripe_payment_intent_id,
+  status = "completed", // "pending" while the amount sits in pending_balance
+  session = null,
 }) {
   const fee_amount = Math.round(gross_amount * (fee_percentage / 100));
   const net_amount = gross_amount - fee_amount;
 
-  return this.create({
-    wallet_id,
-    user_id,
-    type: "ride_earning",
-    amount: net_amount,
-    gross_amount,
-    fee_amount,
-    fee_percentage,
-    net_amount,
-    status: "completed",
-    reference_type: "booking",
-    reference_id: booking._id,
-    stripe_payment_intent_id,
-    description: `Ride earning from ${passenger?.first_name || "passenger"}`,
-    ride_details: {
-      ride_id: ride._id,
-      booking_id: booking._id,
-      passenger_id: passenger?._id,
-      passenger_name: passenger ? `${passenger.first_name} ${passenger.last_name}` : "Unknown",
-      seats: booking.seats,
-      price_per_seat: ride.price_per_seat,
-      route: `${ride.home_city} → Airport`,
-    },
-    processed_at: new Date(),
-  });
+  const [transaction] = await this.create(
+    [
+      {
+        wallet_id,
+        user_id,
+        type: "ride_earning",
+        amount: net_amount,
+        gross_amount,
+        fee_amount,
+        fee_percentage,
+        net_amount,
+        status,
+        reference_type: "booking",
+        reference_id: booking._id,
+        stripe_payment_intent_id,
+        description: `Ride earning from ${passenger?.first_name || "passenger"}`,
+        ride_details: {
+          ride_id: ride._id,
+          booking_id: booking._id,
+          passenger_id: passenger?._id,
+          passenger_name: passenger ? `${passenger.first_name} ${passenger.last_name}` : "Unknown",
+          seats: booking.seats,
+          price_per_seat: ride.price_per_seat,
+          route: `${ride.home_city} → Airport`,
+        },
+        processed_at: status === "completed" ? new Date() : null,
+      },
+    ],
+    { session },
+  );
+  return transaction;
 };
 
 // Static method to create a withdrawal transaction
@@ -201,6 +210,14 @@ transactionSchema.statics.createWithdrawal = async function ({
   });
 };
 
+// Audit trail: money movements (payments, refunds, earnings, withdrawals)
+transactionSchema.plugin(auditTrailPlugin, {
+  target_type: "transaction",
+  fields: ["type", "amount", "status", "reference_type", "reference_id"],
+  context: ["user_id", "wallet_id"],
+  trackCreate: true,
+});
+
 const Transaction = mongoose.model("Transaction", transactionSchema);
 
 module.exports = Transaction;
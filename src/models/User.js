@@ -39,6 +39,31 @@ const savedLocationSchema = new mongoose.Schema(
   { _id: true, timestamps: true },
 );
 
+// One-time recovery code for when the authenticator app is lost
+const recoveryCodeSchema = new mongoose.Schema(
+  {
+    code_hash: {
+      type: String,
+      required: true,
+    },
+    used_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+// Channels a notification type is delivered on
+const notificationChannelsSchema = new mongoose.Schema(
+  {
+    in_app: { type: Boolean, default: true },
+    push: { type: Boolean, default: true },
+    email: { type: Boolean, default: false },
+  },
+  { _id: false },
+);
+
 const userSchema = new mongoose.Schema(
   {
     email: {
@@ -74,7 +99,8 @@ const userSchema = new mongoose.Schema(
     role: {
       type: String,
       required: false,
-      enum: ["driver", "passenger", "both"],
+      // "admin" is only granted directly in the database, never via the API
+      enum: ["driver", "passenger", "both", "admin"],
       default: "both",
     },
     avatar_url: {
@@ -141,6 +167,33 @@ const userSchema = new mongoose.Schema(
       default: null,
       description: "Cloudinary public ID for back ID image",
     },
+    // Review of the uploaded ID images (see services/identityVerificationService)
+    identity_verification: {
+      status: {
+        type: String,
+        enum: ["none", "submitted", "in_review", "approved", "rejected"],
+        default: "none",
+        index: true,
+      },
+      submitted_at: {
+        type: Date,
+        default: null,
+      },
+      reviewed_at: {
+        type: Date,
+        default: null,
+      },
+      // Admin who took or decided the review
+      reviewer_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      rejection_reason: {
+        type: String,
+        default: null,
+      },
+    },
     stripeAccountId: {
       type: String,
       default: null,
@@ -166,6 +219,71 @@ const userSchema = new mongoose.Schema(
       type: [savedLocationSchema],
       default: [],
     },
+    // IANA timezone used for quiet hours and scheduled messages
+    timezone: {
+      type: String,
+      default: "Europe/Paris",
+    },
+    notification_preferences: {
+      // Per notification type overrides, e.g. { chat_message: { push: false } }
+      types: {
+        type: Map,
+        of: notificationChannelsSchema,
+        default: {},
+      },
+      // Push and email are suppressed during quiet hours (in-app is kept)
+      quiet_hours: {
+        enabled: { type: Boolean, default: false },
+        start: { type: String, default: "22:00" }, // HH:mm, local time
+        end: { type: String, default: "07:00" },
+      },
+    },
+    // TOTP multi-factor authentication (see services/mfaService)
+    mfa: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Encrypted secrets: "pending" until the first code confirms enrollment
+      secret: {
+        type: String,
+        default: null,
+      },
+      pending_secret: {
+        type: String,
+        default: null,
+      },
+      enabled_at: {
+        type: Date,
+        default: null,
+      },
+      // Time step of the last accepted code, a code can't be used twice
+      last_used_step: {
+        type: Number,
+        default: 0,
+      },
+      recovery_codes: {
+        type: [recoveryCodeSchema],
+        default: [],
+      },
+      failed_attempts: {
+        type: Number,
+        default: 0,
+      },
+      locked_until: {
+        type: Date,
+        default: null,
+      },
+    },
+    // Set by an admin: the account can't log in or use the API
+    suspended_at: {
+      type: Date,
+      default: null,
+    },
+    suspension_reason: {
+      type: String,
+      default: null,
+    },
     deleted_at: {
       type: Date,
       default: null,
@@ -179,6 +297,8 @@ const userSchema = new mongoose.Schema(
       transform: function (doc, ret) {
         delete ret.password_hash;
         delete ret.__v;
+        ret.mfa_enabled = Boolean(ret.mfa?.enabled);
+        delete ret.mfa;
         return ret;
       },
     },
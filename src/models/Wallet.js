@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const auditTrailPlugin = require("./auditTrailPlugin");
 
 const walletSchema = new mongoose.Schema(
   {
@@ -79,12 +80,6 @@ walletSchema.methods.addEarnings = async function (amount, fromPending = false)
   return this.save();
 };
 
-// Method to add pending earnings (ride booked but not completed)
-walletSchema.methods.addPendingEarnings = async function (amount) {
-  this.pending_balance += amount;
-  return this.save();
-};
-
 // Method to withdraw funds
 walletSchema.methods.withdraw = async function (amount) {
   if (amount > this.balance) {
@@ -102,6 +97,85 @@ walletSchema.methods.refundWithdrawal = async function (amount) {
   return this.save();
 };
 
+// Atomically add (or, with a negative amount, remove) balance. A credit
+// creates the wallet if needed, in the same write (and session).
+// Returns the updated wallet, or null if a debit exceeds the balance
+walletSchema.statics.adjustBalance = function (userId, amount, session = null) {
+  if (amount < 0) {
+    return this.findOneAndUpdate(
+      { user_id: userId, balance: { $gte: -amount } },
+      { $inc: { balance: amount } },
+      { new: true, session },
+    );
+  }
+  return this.findOneAndUpdate(
+    { user_id: userId },
+    { $inc: { balance: amount } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, session },
+  );
+};
+
+// Atomically take released earnings back (booking refunded after release)
+// Returns the updated wallet, or null if the balance doesn't cover it
+walletSchema.statics.reverseEarnings = function (userId, amount, session = null) {
+  return this.findOneAndUpdate(
+    { user_id: userId, balance: { $gte: amount } },
+    { $inc: { balance: -amount, total_earned: -amount } },
+    { new: true, session },
+  );
+};
+
+// Atomically add pending earnings, creating the wallet if needed
+walletSchema.statics.creditPending = function (userId, amount, session = null) {
+  return this.findOneAndUpdate(
+    { user_id: userId },
+    { $inc: { pending_balance: amount } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, session },
+  );
+};
+
+// Atomically take `amount` out of pending balance and apply `inc` in the same
+// update. If less than `amount` is pending (out of sync), pending is emptied
+// instead of going negative. The wallet must exist (see getOrCreateWallet).
+walletSchema.statics.settlePending = async function (userId, amount, inc = {}, session = null) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const settled = await this.findOneAndUpdate(
+      { user_id: userId, pending_balance: { $gte: amount } },
+      { $inc: { pending_balance: -amount, ...inc } },
+      { new: true, session },
+    );
+    if (settled) return settled;
+
+    const update = { $set: { pending_balance: 0 } };
+    if (Object.keys(inc).length > 0) update.$inc = inc;
+    const drained = await this.findOneAndUpdate(
+      { user_id: userId, pending_balance: { $lt: amount } },
+      update,
+      { new: true, session },
+    );
+    if (drained) return drained;
+    // Pending balance changed between the two updates: try again
+  }
+  throw new Error(`Could not settle pending balance of wallet for user ${userId}`);
+};
+
+// Atomically move released earnings from pending to available balance
+walletSchema.statics.releasePending = function (userId, amount, session = null) {
+  return this.settlePending(userId, amount, { balance: amount, total_earned: amount }, session);
+};
+
+// Atomically remove pending earnings (booking refunded before the ride completed)
+walletSchema.statics.reversePending = function (userId, amount, session = null) {
+  return this.settlePending(userId, amount, {}, session);
+};
+
+// Audit trail: every balance mutation
+walletSchema.plugin(auditTrailPlugin, {
+  target_type: "wallet",
+  fields: ["balance", "pending_balance", "total_earned", "total_withdrawn"],
+  context: ["user_id"],
+});
+
 const Wallet = mongoose.model("Wallet", walletSchema);
 
 module.exports = Wallet;
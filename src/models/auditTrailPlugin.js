@@ -0,0 +1,151 @@
+const AuditService = require("../services/auditService");
+
+// Query operations whose changes are audited (document saves are handled
+// separately, deletes aren't used on audited models)
+const UPDATE_OPS = ["findOneAndUpdate", "updateOne", "updateMany"];
+
+const pick = (doc, fields) => {
+  const state = {};
+  for (const field of fields) {
+    const value = typeof doc.get === "function" ? doc.get(field) : doc[field];
+    state[field] = value === undefined ? null : value;
+  }
+  return state;
+};
+
+// Dates and ObjectIds compare by value
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Before/after restricted to the fields that changed, or null if none did
+ */
+const diff = (before, after, fields) => {
+  const changed = fields.filter((f) => !same(before[f], after[f]));
+  if (changed.length === 0) return null;
+  return {
+    before: Object.fromEntries(changed.map((f) => [f, before[f]])),
+    after: Object.fromEntries(changed.map((f) => [f, after[f]])),
+  };
+};
+
+// Whether an update document can touch any of the fields
+const touches = (update, fields) => {
+  if (!update) return false;
+  if (Array.isArray(update)) return true; // aggregation pipeline update
+  const paths = [];
+  for (const [key, value] of Object.entries(update)) {
+    if (key.startsWith("$") && value && typeof value === "object") {
+      paths.push(...Object.keys(value));
+    } else {
+      paths.push(key);
+    }
+  }
+  return paths.some((path) =>
+    fields.some((f) => path === f || path.startsWith(`${f}.`)),
+  );
+};
+
+/**
+ * Mongoose plugin writing an audit log entry whenever tracked fields change,
+ * whether through document.save() or an update query. The actor and request
+ * ID come from the request being handled (see utils/requestContext).
+ * Auditing never makes the audited operation fail.
+ * @param {Object} options
+ * @param {string} options.target_type e.g. "booking", actions are "<target_type>.update"
+ * @param {string[]} options.fields tracked fields
+ * @param {string[]} options.context fields copied into the entry metadata (e.g. user_id)
+ * @param {boolean} options.trackCreate also record "<target_type>.create"
+ */
+function auditTrailPlugin(schema, { target_type, fields, context = [], trackCreate = false }) {
+  const selection = [...new Set([...fields, ...context])].join(" ");
+
+  // Entries are written in the audited change's transaction, if any
+  const record = (action, target_id, before, after, doc, session) =>
+    AuditService.record({
+      action: `${target_type}.${action}`,
+      target_type,
+      target_id,
+      before,
+      after,
+      metadata: pick(doc, context),
+      session,
+    });
+
+  // --- document saves ---
+
+  schema.post("init", function () {
+    this.$locals.auditState = pick(this, fields);
+  });
+
+  schema.pre("save", function () {
+    this.$locals.auditIsNew = this.isNew;
+  });
+
+  schema.post("save", async function (doc) {
+    const after = pick(doc, fields);
+    const before = doc.$locals.auditState;
+    doc.$locals.auditState = after;
+
+    if (doc.$locals.auditIsNew) {
+      if (trackCreate) await record("create", doc._id, null, after, doc, doc.$session());
+      return;
+    }
+    if (!before) return;
+    const changes = diff(before, after, fields);
+    if (changes) {
+      await record("update", doc._id, changes.before, changes.after, doc, doc.$session());
+    }
+  });
+
+  // --- update queries: snapshot the matched documents, compare afterwards ---
+
+  schema.pre(UPDATE_OPS, async function () {
+    if (!touches(this.getUpdate(), fields)) return;
+    try {
+      let snapshot = this.model
+        .find(this.getFilter())
+        .select(selection)
+        .session(this.getOptions().session || null)
+        .lean();
+      if (this.op !== "updateMany") snapshot = snapshot.sort(this.options.sort).limit(1);
+      this._auditBefore = await snapshot;
+    } catch (error) {
+      console.error(`[Audit] Failed to snapshot ${target_type}:`, error.message);
+    }
+  });
+
+  schema.post(UPDATE_OPS, async function () {
+    const beforeDocs = this._auditBefore;
+    if (!beforeDocs?.length) return;
+    this._auditBefore = null;
+    const session = this.getOptions().session || null;
+    try {
+      const afterDocs = await this.model
+        .find({ _id: { $in: beforeDocs.map((d) => d._id) } })
+        .select(selection)
+        .session(session)
+        .lean();
+      const afterById = new Map(afterDocs.map((d) => [String(d._id), d]));
+
+      for (const beforeDoc of beforeDocs) {
+        const afterDoc = afterById.get(String(beforeDoc._id));
+        if (!afterDoc) continue;
+        const changes = diff(pick(beforeDoc, fields), pick(afterDoc, fields), fields);
+        if (changes) {
+          await record(
+            "update",
+            afterDoc._id,
+            changes.before,
+            changes.after,
+            afterDoc,
+            session,
+          );
+        }
+      }
+    } catch (error) {
+      console.error(`[Audit] Failed to record ${target_type} update:`, error.message);
+    }
+  });
+}
+
+module.exports = auditTrailPlugin;
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+/**
+ * Passenger flight attached to a Booking or RideRequest (embedded, not a model).
+ * Times refer to the ride's airport: arrival for rides from the airport,
+ * departure for rides to the airport.
+ */
+const flightInfoSchema = new mongoose.Schema(
+  {
+    number: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    date: {
+      type: String, // YYYY-MM-DD, local date of the flight
+      required: true,
+    },
+    departure_iata: {
+      type: String,
+      default: null,
+    },
+    arrival_iata: {
+      type: String,
+      default: null,
+    },
+    scheduled_at: {
+      type: Date,
+      default: null,
+    },
+    estimated_at: {
+      type: Date,
+      default: null,
+    },
+    delay_minutes: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      default: "scheduled",
+    },
+    // Pickup time suggested to the driver for rides from the airport
+    suggested_pickup_at: {
+      type: Date,
+      default: null,
+    },
+    last_checked_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+module.exports = flightInfoSchema;
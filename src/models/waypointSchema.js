@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+/**
+ * Intermediate stop on a ride, between the driver's home and the airport
+ * (embedded in Ride and RideSeries, listed in travel order).
+ * Passengers can pick one as their pickup/dropoff point when booking.
+ */
+const waypointSchema = new mongoose.Schema(
+  {
+    address: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    city: {
+      type: String,
+      default: null,
+    },
+    latitude: {
+      type: Number,
+      required: true,
+    },
+    longitude: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: true },
+);
+
+module.exports = waypointSchema;
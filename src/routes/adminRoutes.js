@@ -0,0 +1,111 @@
+const express = require("express");
+const AdminController = require("../controllers/adminController");
+const authMiddleware = require("../middleware/auth");
+const adminMiddleware = require("../middleware/admin");
+const { validate, validationRules, Joi } = require("../middleware/validation");
+
+const router = express.Router();
+
+// Every back-office route needs an admin
+router.use(authMiddleware, adminMiddleware);
+
+// Validation schemas
+const reasonSchema = Joi.object({
+  reason: Joi.string().max(500).trim().required(),
+});
+
+const optionalReasonSchema = Joi.object({
+  reason: Joi.string().max(500).trim().allow(null, ""),
+});
+
+const walletAdjustmentSchema = Joi.object({
+  amount: Joi.number().integer().invalid(0).required(), // cents, negative to debit
+  reason: Joi.string().max(500).trim().required(),
+});
+
+const reconciliationSchema = Joi.object({
+  days: Joi.number().integer().min(1).max(90), // defaults to RECONCILIATION_LOOKBACK_DAYS
+  auto_heal: Joi.boolean().default(false),
+  refund_orphans: Joi.boolean().default(false),
+});
+
+const validateId = (req, res, next) => {
+  const { error } = validationRules.objectId.validate(req.params.id);
+  if (error) {
+    return res.status(400).json({ success: false, message: "Invalid ID format" });
+  }
+  next();
+};
+
+// Users
+router.get("/users", AdminController.searchUsers);
+router.get("/users/:id", validateId, AdminController.getUser);
+router.post(
+  "/users/:id/suspend",
+  validateId,
+  validate(reasonSchema),
+  AdminController.suspendUser
+);
+router.post(
+  "/users/:id/unsuspend",
+  validateId,
+  validate(optionalReasonSchema),
+  AdminController.unsuspendUser
+);
+router.post(
+  "/users/:id/wallet/adjustments",
+  validateId,
+  validate(walletAdjustmentSchema),
+  AdminController.adjustWallet
+);
+
+// ID verification review
+router.get("/identity-verifications", AdminController.searchIdentityVerifications);
+router.post(
+  "/identity-verifications/:id/start-review",
+  validateId,
+  AdminController.startIdentityReview
+);
+router.post(
+  "/identity-verifications/:id/approve",
+  validateId,
+  validate(optionalReasonSchema),
+  AdminController.approveIdentity
+);
+router.post(
+  "/identity-verifications/:id/reject",
+  validateId,
+  validate(reasonSchema),
+  AdminController.rejectIdentity
+);
+
+// Rides
+router.get("/rides", AdminController.searchRides);
+router.post(
+  "/rides/:id/cancel",
+  validateId,
+  validate(reasonSchema),
+  AdminController.cancelRide
+);
+
+// Bookings and transactions
+router.get("/bookings", AdminController.searchBookings);
+router.get("/transactions", AdminController.searchTransactions);
+
+// Audit trail
+router.get("/audit-logs", AdminController.searchAuditLogs);
+
+// Stripe reconciliation
+router.post(
+  "/reconciliation/run",
+  validate(reconciliationSchema),
+  AdminController.runReconciliation
+);
+router.get("/reconciliation/reports", AdminController.searchReconciliationReports);
+router.get(
+  "/reconciliation/reports/:id",
+  validateId,
+  AdminController.getReconciliationReport
+);
+
+module.exports = router;
@@ -1,10 +1,36 @@
 const express = require("express");
 const AuthController = require("../controllers/authController");
 const authMiddleware = require("../middleware/auth");
+const optionalAuthMiddleware = require("../middleware/optionalAuth");
+const requireMfa = require("../middleware/mfa");
 const { validate, validationRules, Joi } = require("../middleware/validation");
+const quota = require("../middleware/quota");
+const bruteForce = require("../middleware/bruteForce");
 
 const router = express.Router();
 
+// Requests per IP on endpoints checking a password or code
+const authQuota = quota({
+  name: "auth",
+  windowSeconds: 60,
+  perIp: parseInt(process.env.AUTH_QUOTA_PER_IP || "30", 10),
+});
+
+// Codes sent per IP and per email/phone, so nobody can flood an inbox
+const otpSendQuota = quota({
+  name: "otp_send",
+  windowSeconds: 3600,
+  perIp: parseInt(process.env.OTP_SEND_QUOTA_PER_IP || "20", 10),
+  perIdentifier: parseInt(process.env.OTP_SEND_QUOTA_PER_IDENTIFIER || "5", 10),
+  identifier: (req) => req.body?.email || req.body?.identifier,
+});
+
+// Lockouts after repeated wrong passwords or codes
+const loginGuard = bruteForce({ name: "login", identifier: (req) => req.body?.email });
+const emailOtpGuard = bruteForce({ name: "email_otp", identifier: (req) => req.body?.email });
+const resetCodeGuard = bruteForce({ name: "reset_code", identifier: (req) => req.body?.email });
+const mfaGuard = bruteForce({ name: "mfa" });
+
 // Validation schemas
 const registerSchema = Joi.object({
   email: validationRules.email,
@@ -24,24 +50,63 @@ const loginSchema = Joi.object({
   password: Joi.string().required(),
 });
 
+// TOTP code or recovery code
+const mfaCodeSchema = Joi.object({
+  code: Joi.string().trim().max(20).required(),
+});
+
+const mfaVerifySchema = Joi.object({
+  mfa_token: Joi.string().required(),
+  code: Joi.string().trim().max(20).required(),
+});
+
 // Routes
 router.post("/register", validate(registerSchema), AuthController.register);
 const EmailOtpController = require("../controllers/emailOtpController");
 const PasswordResetController = require("../controllers/passwordResetController");
+const MfaController = require("../controllers/mfaController");
 
-router.post("/send-email-otp", EmailOtpController.sendEmailOtp);
-router.post("/verify-email-otp", EmailOtpController.verifyEmailOtp);
-router.post("/login", validate(loginSchema), AuthController.login);
+router.post("/send-email-otp", otpSendQuota, EmailOtpController.sendEmailOtp);
+router.post("/verify-email-otp", authQuota, emailOtpGuard, EmailOtpController.verifyEmailOtp);
+router.post("/login", authQuota, validate(loginSchema), loginGuard, AuthController.login);
 router.post("/google", AuthController.googleLogin); // Google login endpoint
 router.post("/refresh", AuthController.refresh);
-router.post("/logout", AuthController.logout);
+router.post("/logout", optionalAuthMiddleware, AuthController.logout);
 router.get("/me", authMiddleware, AuthController.getMe);
-router.delete("/me", authMiddleware, AuthController.deleteAccount);
+router.delete("/me", authMiddleware, requireMfa, AuthController.deleteAccount);
+
+// Signed-in devices
+router.get("/sessions", authMiddleware, AuthController.listSessions);
+router.delete("/sessions", authMiddleware, AuthController.revokeAllSessions);
+router.delete("/sessions/:id", authMiddleware, AuthController.revokeSession);
+
+// Two-factor authentication (TOTP)
+router.post(
+  "/mfa/verify",
+  authQuota,
+  validate(mfaVerifySchema),
+  mfaGuard,
+  MfaController.verifyLogin,
+);
+router.post("/mfa/setup", authMiddleware, MfaController.setup);
+router.post("/mfa/enable", authMiddleware, validate(mfaCodeSchema), MfaController.enable);
+router.post("/mfa/disable", authMiddleware, validate(mfaCodeSchema), MfaController.disable);
+router.post(
+  "/mfa/recovery-codes",
+  authMiddleware,
+  validate(mfaCodeSchema),
+  MfaController.regenerateRecoveryCodes,
+);
 
 // Forgot Password flow
-router.post("/forgot-password/send-code", PasswordResetController.sendResetCode);
-router.post("/forgot-password/verify-code", PasswordResetController.verifyResetCode);
-router.post("/forgot-password/verify-phone", PasswordResetController.verifyPhone);
-router.post("/forgot-password/reset", PasswordResetController.resetPassword);
+router.post("/forgot-password/send-code", otpSendQuota, PasswordResetController.sendResetCode);
+router.post(
+  "/forgot-password/verify-code",
+  authQuota,
+  resetCodeGuard,
+  PasswordResetController.verifyResetCode,
+);
+router.post("/forgot-password/verify-phone", authQuota, PasswordResetController.verifyPhone);
+router.post("/forgot-password/reset", authQuota, PasswordResetController.resetPassword);
 
 module.exports = router;
@@ -2,6 +2,7 @@ const express = require("express");
 const BookingController = require("../controllers/bookingController");
 const authMiddleware = require("../middleware/auth");
 const { validate, validationRules, Joi } = require("../middleware/validation");
+const { idempotencyMiddleware } = require("../middleware/idempotency");
 
 const router = express.Router();
 
@@ -9,19 +10,45 @@ const router = express.Router();
 router.use(authMiddleware);
 
 // Validation schemas
+// A custom stop needs coordinates. Older clients send other shapes, which
+// were always ignored: anything without coordinates still is, not rejected.
+const stopLocation = Joi.alternatives().conditional(
+  Joi.object().or("latitude", "longitude").unknown(),
+  {
+    then: Joi.object({
+      address: Joi.string().max(500).trim().required(),
+      latitude: Joi.number().min(-90).max(90).required(),
+      longitude: Joi.number().min(-180).max(180).required(),
+    }),
+    otherwise: Joi.any().strip(),
+  },
+);
+
 const createBookingSchema = Joi.object({
   seats: validationRules.positiveInt,
   luggage_count: Joi.number().integer().min(0).default(0),
-});
+  // Either one of the ride's waypoints or a custom (detour) location
+  waypoint_id: validationRules.objectId.optional(),
+  pickup_location: stopLocation,
+  dropoff_location: stopLocation,
+})
+  .oxor("waypoint_id", "pickup_location")
+  .oxor("waypoint_id", "dropoff_location");
 
 const updateBookingSchema = Joi.object({
   status: Joi.string().valid("accepted", "rejected", "cancelled"),
   seats: validationRules.positiveInt.optional(),
 }).min(1);
 
+const flightSchema = Joi.object({
+  flight_number: validationRules.flightNumber,
+  flight_date: validationRules.flightDate,
+});
+
 // Routes
 router.post(
   "/rides/:rideId/bookings",
+  idempotencyMiddleware,
   validate(createBookingSchema),
   BookingController.create
 );
@@ -33,5 +60,11 @@ router.patch(
   validate(updateBookingSchema),
   BookingController.updateBooking
 );
+router.put(
+  "/bookings/:id/flight",
+  validate(flightSchema),
+  BookingController.setFlight
+);
+router.delete("/bookings/:id/flight", BookingController.removeFlight);
 
 module.exports = router;
@@ -1,9 +1,21 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const Notification = require("../models/Notification");
+const NotificationStreamService = require("../services/notificationStreamService");
+const PushService = require("../services/pushService");
 const auth = require("../middleware/auth");
+const { validate, Joi } = require("../middleware/validation");
 const { safeGet, safeSetex, safeDel } = require("../config/redisClient");
 
+const STREAM_HEARTBEAT_MS = 25 * 1000; // Keep proxies from closing idle streams
+const STREAM_REPLAY_LIMIT = 100; // Same window as GET /notifications
+
+const registerDeviceSchema = Joi.object({
+  token: Joi.string().max(4096).required(),
+  platform: Joi.string().valid("ios", "android", "web").required(),
+});
+
 // Get all notifications for the logged-in user
 router.get("/", auth, async (req, res) => {
   try {
@@ -45,6 +57,84 @@ router.get("/", auth, async (req, res) => {
   }
 });
 
+// Server-Sent Events stream of new notifications
+// Resumes after the `Last-Event-ID` header (or ?last_event_id=) sent on reconnect
+router.get("/stream", auth, async (req, res) => {
+  const userId = req.user.id;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable nginx buffering
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  // IDs sent during replay, to skip them when the buffered live events
+  // are flushed (ObjectIds from different instances aren't ordered)
+  let sentIds = new Set();
+  const send = (notification) => {
+    const id = notification._id.toString();
+    if (sentIds) {
+      if (sentIds.has(id)) return;
+      sentIds.add(id);
+    }
+    res.write(
+      `id: ${id}\nevent: notification\ndata: ${JSON.stringify(notification)}\n\n`,
+    );
+  };
+
+  // Subscribe before replaying so nothing created in between is lost
+  let replaying = true;
+  const buffered = [];
+  const unsubscribe = NotificationStreamService.subscribe(
+    userId,
+    (notification) => {
+      if (replaying) buffered.push(notification);
+      else send(notification);
+    },
+  );
+
+  const heartbeat = setInterval(() => {
+    res.write(": ping\n\n");
+  }, STREAM_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    const lastEventId = req.get("Last-Event-ID") || req.query.last_event_id;
+    if (lastEventId && mongoose.Types.ObjectId.isValid(lastEventId)) {
+      const lastId = new mongoose.Types.ObjectId(lastEventId);
+      const last = await Notification.findOne({ _id: lastId, user_id: userId })
+        .select("createdAt")
+        .lean();
+      // Everything created after the last received one (by time, then ID)
+      const after = last
+        ? {
+            $or: [
+              { createdAt: { $gt: last.createdAt } },
+              { createdAt: last.createdAt, _id: { $gt: lastId } },
+            ],
+          }
+        : { _id: { $gt: lastId } };
+      const missed = await Notification.find({ user_id: userId, ...after })
+        .sort({ createdAt: 1, _id: 1 })
+        .limit(STREAM_REPLAY_LIMIT);
+      missed.forEach(send);
+    }
+  } catch (error) {
+    console.error("[NotificationRoutes] Error replaying notifications:", error);
+  }
+
+  replaying = false;
+  buffered.forEach(send);
+  sentIds = null; // Live events are each published once
+});
+
 // Mark a notification as read
 router.patch("/:id/read", auth, async (req, res) => {
   try {
@@ -65,4 +155,31 @@ router.patch("/:id/read", auth, async (req, res) => {
   }
 });
 
+// Register a device for push notifications
+router.post("/devices", auth, validate(registerDeviceSchema), async (req, res) => {
+  try {
+    const { token, platform } = req.validatedBody;
+    const device = await PushService.registerDevice(req.user.id, token, platform);
+    res.status(201).json({ success: true, data: device });
+  } catch (error) {
+    console.error("[NotificationRoutes] Error registering device:", error);
+    res.status(500).json({ message: "Failed to register device" });
+  }
+});
+
+// Unregister a device (e.g. on logout)
+router.delete("/devices/:token", auth, async (req, res) => {
+  try {
+    const removed = await PushService.unregisterDevice(
+      req.user.id,
+      req.params.token,
+    );
+    if (!removed) return res.status(404).json({ message: "Device not found" });
+    res.json({ success: true, message: "Device unregistered" });
+  } catch (error) {
+    console.error("[NotificationRoutes] Error unregistering device:", error);
+    res.status(500).json({ message: "Failed to unregister device" });
+  }
+});
+
 module.exports = router;
@@ -1,23 +1,52 @@
 const express = require("express");
 const paymentController = require("../controllers/paymentController");
 const authMiddleware = require("../middleware/auth");
+const { idempotencyMiddleware } = require("../middleware/idempotency");
 
 const router = express.Router();
 
+// Endpoints that charge or book accept an Idempotency-Key header so that
+// retries from flaky networks replay the first response
+
 // NEW: Create payment intent before booking
-router.post("/create-intent", authMiddleware, paymentController.createPaymentIntent);
+router.post(
+  "/create-intent",
+  authMiddleware,
+  idempotencyMiddleware,
+  paymentController.createPaymentIntent
+);
 
 // NEW: Create payment intent for accepting an offer
-router.post("/create-offer-intent", authMiddleware, paymentController.createOfferPaymentIntent);
+router.post(
+  "/create-offer-intent",
+  authMiddleware,
+  idempotencyMiddleware,
+  paymentController.createOfferPaymentIntent
+);
 
 // NEW: Complete payment and create booking
-router.post("/complete", authMiddleware, paymentController.completePayment);
+router.post(
+  "/complete",
+  authMiddleware,
+  idempotencyMiddleware,
+  paymentController.completePayment
+);
 
 // NEW: Pay with wallet balance (no Stripe fees!)
-router.post("/wallet", authMiddleware, paymentController.payWithWallet);
+router.post(
+  "/wallet",
+  authMiddleware,
+  idempotencyMiddleware,
+  paymentController.payWithWallet
+);
 
 // Legacy: Create payment for existing booking
-router.post("/ride", authMiddleware, paymentController.createRidePayment);
+router.post(
+  "/ride",
+  authMiddleware,
+  idempotencyMiddleware,
+  paymentController.createRidePayment
+);
 
 // Legacy: Confirm payment and accept booking
 router.post("/confirm", authMiddleware, paymentController.confirmPayment);
@@ -2,10 +2,18 @@ const express = require("express");
 const router = express.Router();
 const rideRequestController = require("../controllers/rideRequestController");
 const protect = require("../middleware/auth");
+const { validate, validationRules, Joi } = require("../middleware/validation");
+const { idempotencyMiddleware } = require("../middleware/idempotency");
+const requireIdentityVerified = require("../middleware/identityVerified");
 
 // All routes require authentication
 router.use(protect);
 
+const flightSchema = Joi.object({
+  flight_number: validationRules.flightNumber,
+  flight_date: validationRules.flightDate,
+});
+
 // Passenger routes
 router.post("/", rideRequestController.createRequest);
 router.get("/my-requests", rideRequestController.getMyRequests);
@@ -14,14 +22,26 @@ router.put("/:id/cancel", rideRequestController.cancelRequest);
 router.put("/:id/accept-offer", rideRequestController.acceptOffer);
 router.post(
   "/:id/accept-offer-with-payment",
+  idempotencyMiddleware,
   rideRequestController.acceptOfferWithPayment,
 );
 router.put("/:id/reject-offer", rideRequestController.rejectOffer);
+router.put(
+  "/:id/flight",
+  validate(flightSchema),
+  rideRequestController.setFlight,
+);
+router.delete("/:id/flight", rideRequestController.removeFlight);
 
 // Driver routes
 router.get("/available", rideRequestController.getAvailableRequests);
 router.get("/my-offers", rideRequestController.getMyOffers);
-router.post("/:id/offer", rideRequestController.makeOffer);
+router.get("/:id/price-suggestion", rideRequestController.getPriceSuggestion);
+router.post(
+  "/:id/offer",
+  requireIdentityVerified,
+  rideRequestController.makeOffer,
+);
 router.delete("/:id/offer", rideRequestController.withdrawOffer);
 router.delete(
   "/:id/cancel-accepted-offer",
@@ -1,11 +1,22 @@
 const express = require("express");
 const RideController = require("../controllers/rideController");
+const RideSeriesController = require("../controllers/rideSeriesController");
 const authMiddleware = require("../middleware/auth");
+const requireIdentityVerified = require("../middleware/identityVerified");
 const { validate, validationRules, Joi } = require("../middleware/validation");
 
 const router = express.Router();
 
 // Validation schemas
+const waypoint = Joi.object({
+  _id: validationRules.objectId.optional(), // Keep an existing stop when editing
+  address: Joi.string().max(500).trim().required(),
+  city: Joi.string().max(100).trim().allow(null, ""),
+  latitude: Joi.number().min(-90).max(90).required(),
+  longitude: Joi.number().min(-180).max(180).required(),
+});
+const waypoints = Joi.array().items(waypoint).max(5);
+
 const createRideSchema = Joi.object({
   airport_id: validationRules.objectId,
   direction: validationRules.direction,
@@ -19,6 +30,7 @@ const createRideSchema = Joi.object({
   price_per_seat: validationRules.price,
   luggage_capacity: Joi.number().integer().min(0).default(0),
   comment: Joi.string().max(1000).trim().allow(null, ""),
+  waypoints,
 });
 
 const updateRideSchema = Joi.object({
@@ -32,6 +44,54 @@ const updateRideSchema = Joi.object({
   home_city: Joi.string().max(100).trim(),
   home_latitude: Joi.number().min(-90).max(90),
   home_longitude: Joi.number().min(-180).max(180),
+  waypoints,
+}).min(1);
+
+const priceSuggestionSchema = Joi.object({
+  airport_id: validationRules.objectId,
+  direction: validationRules.direction,
+  home_latitude: Joi.number().min(-90).max(90).required(),
+  home_longitude: Joi.number().min(-180).max(180).required(),
+  datetime_start: Joi.date().iso(),
+  waypoints,
+});
+
+// Recurring rides
+const timeOfDay = Joi.string()
+  .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+  .message("Time must be in HH:mm format");
+const localDate = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .message("Date must be in YYYY-MM-DD format");
+const daysOfWeek = Joi.array()
+  .items(Joi.number().integer().min(0).max(6))
+  .unique();
+
+const createRideSeriesSchema = createRideSchema.keys({
+  datetime_start: Joi.forbidden(),
+  time_of_day: timeOfDay.required(),
+  recurrence: Joi.object({
+    frequency: Joi.string().valid("daily", "weekdays", "weekly").required(),
+    days_of_week: daysOfWeek.when("frequency", {
+      is: "weekly",
+      then: Joi.array().min(1).required(),
+    }),
+    start_date: localDate.required(),
+    until_date: localDate.allow(null),
+  }).required(),
+});
+
+const updateRideSeriesSchema = Joi.object({
+  time_of_day: timeOfDay,
+  seats_total: Joi.number().integer().min(1),
+  price_per_seat: Joi.number().positive().precision(2),
+  luggage_capacity: Joi.number().integer().min(0),
+  comment: Joi.string().max(1000).trim().allow(null, ""),
+  recurrence: Joi.object({
+    frequency: Joi.string().valid("daily", "weekdays", "weekly"),
+    days_of_week: daysOfWeek,
+    until_date: localDate.allow(null),
+  }).min(1),
 }).min(1);
 
 // Public routes
@@ -41,6 +101,31 @@ router.get("/search", RideController.search);
 router.get("/my-rides", authMiddleware, RideController.getMyRides);
 router.get("/driver", authMiddleware, RideController.getMyRides);
 router.post("/route-preview", authMiddleware, RideController.getRoutePreview);
+router.post(
+  "/price-suggestion",
+  authMiddleware,
+  validate(priceSuggestionSchema),
+  RideController.getPriceSuggestion
+);
+
+// Recurring ride series (before /:id)
+router.post(
+  "/series",
+  authMiddleware,
+  requireIdentityVerified,
+  validate(createRideSeriesSchema),
+  RideSeriesController.create
+);
+router.get("/series", authMiddleware, RideSeriesController.getMySeries);
+router.get("/series/:seriesId", authMiddleware, RideSeriesController.getById);
+router.patch(
+  "/series/:seriesId",
+  authMiddleware,
+  requireIdentityVerified,
+  validate(updateRideSeriesSchema),
+  RideSeriesController.update
+);
+router.delete("/series/:seriesId", authMiddleware, RideSeriesController.cancel);
 
 // Prevent /create from being treated as an ID
 router.get("/create", (req, res) => {
@@ -49,6 +134,7 @@ router.get("/create", (req, res) => {
 router.post(
   "/",
   authMiddleware,
+  requireIdentityVerified,
   validate(createRideSchema),
   RideController.create
 );
@@ -4,6 +4,10 @@ const AuthController = require("../controllers/authController");
 const authMiddleware = require("../middleware/auth");
 const optionalAuthMiddleware = require("../middleware/optionalAuth");
 const { validate, validationRules, Joi } = require("../middleware/validation");
+const quota = require("../middleware/quota");
+const requireMfa = require("../middleware/mfa");
+const NotificationService = require("../services/notificationService");
+const NotificationPreferenceService = require("../services/notificationPreferenceService");
 
 const router = express.Router();
 // Stripe Connect onboarding
@@ -29,6 +33,38 @@ const updateProfileSchema = Joi.object({
   car_color: Joi.string().max(50).allow(null, ""),
 }).min(1); // At least one field required
 
+// Validation schema for ID submission (PNG/JPG base64 data URIs)
+const identityVerificationSchema = Joi.object({
+  id_image_front: Joi.string().required(),
+  id_image_back: Joi.string().required(),
+});
+
+// Validation schema for notification preferences
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+  "string.pattern.base": "Time must be in HH:mm format",
+});
+const notificationPreferencesSchema = Joi.object({
+  timezone: Joi.string()
+    .custom((value, helpers) =>
+      NotificationPreferenceService.isValidTimezone(value)
+        ? value
+        : helpers.message("Unknown timezone"),
+    ),
+  types: Joi.object().pattern(
+    Joi.string().valid(...Object.values(NotificationService.TYPES)),
+    Joi.object({
+      in_app: Joi.boolean(),
+      push: Joi.boolean(),
+      email: Joi.boolean(),
+    }).min(1),
+  ),
+  quiet_hours: Joi.object({
+    enabled: Joi.boolean(),
+    start: timeOfDay,
+    end: timeOfDay,
+  }).min(1),
+}).min(1);
+
 // Routes
 router.get("/me", UserController.getProfile);
 // Accept both PATCH and PUT for profile updates (frontend may use PUT)
@@ -40,7 +76,23 @@ router.patch(
 router.put("/me", validate(updateProfileSchema), UserController.updateProfile);
 
 // Allow deleting account via /users/me to match mobile client
-router.delete("/me", AuthController.deleteAccount);
+router.delete("/me", requireMfa, AuthController.deleteAccount);
+
+// Personal data export (a few per hour, it's a heavy query)
+router.get(
+  "/me/export",
+  quota({ name: "data_export", windowSeconds: 3600, perUser: 5 }),
+  UserController.exportData,
+);
+
+// ID verification
+router.get("/me/identity-verification", UserController.getIdentityVerification);
+router.post(
+  "/me/identity-verification",
+  quota({ name: "id_verification_submit", windowSeconds: 3600, perUser: 5 }),
+  validate(identityVerificationSchema),
+  UserController.submitIdentityVerification,
+);
 
 // Avatar upload route
 router.post("/me/avatar", UserController.uploadAvatar);
@@ -50,6 +102,17 @@ router.delete("/me/avatar", UserController.deleteAvatar);
 router.post("/me/change-email", UserController.changeEmail);
 router.post("/me/change-phone", UserController.changePhone);
 
+// Notification preferences routes
+router.get(
+  "/me/notification-preferences",
+  UserController.getNotificationPreferences,
+);
+router.patch(
+  "/me/notification-preferences",
+  validate(notificationPreferencesSchema),
+  UserController.updateNotificationPreferences,
+);
+
 // Saved locations routes
 router.get("/me/locations", UserController.getSavedLocations);
 router.post("/me/locations", UserController.addSavedLocation);
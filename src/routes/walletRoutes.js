@@ -1,6 +1,7 @@
 const express = require("express");
 const walletController = require("../controllers/walletController");
 const authMiddleware = require("../middleware/auth");
+const requireMfa = require("../middleware/mfa");
 
 const router = express.Router();
 
@@ -22,11 +23,11 @@ router.get("/earnings-summary", walletController.getEarningsSummary);
 // Calculate potential earnings (preview)
 router.get("/calculate-earnings", walletController.calculateEarnings);
 
-// Request a withdrawal
-router.post("/withdraw", walletController.requestWithdrawal);
+// Request a withdrawal (fresh 2FA code if enabled)
+router.post("/withdraw", requireMfa, walletController.requestWithdrawal);
 
-// Connect bank account (Stripe Connect)
-router.post("/connect-bank", walletController.connectBankAccount);
+// Connect bank account (Stripe Connect, fresh 2FA code if enabled)
+router.post("/connect-bank", requireMfa, walletController.connectBankAccount);
 
 // Get bank account connection status
 router.get("/bank-status", walletController.getBankStatus);
@@ -0,0 +1,64 @@
+const AuditLog = require("../models/AuditLog");
+const { currentRequest } = require("../utils/requestContext");
+
+class AuditService {
+  /**
+   * Append an entry to the audit log.
+   * Never throws: the audited operation has already happened, so a failed
+   * write is logged instead of failing the request.
+   * @param {Object} entry
+   * @param {Object} entry.req Express request (actor, IP, request ID); defaults
+   *   to the request being handled, none for system actions (jobs)
+   * @param {string} entry.action e.g. "user.suspend", "wallet.adjustment"
+   * @param {string} entry.target_type e.g. "user", "ride", "booking", "wallet"
+   * @param {*} entry.target_id
+   * @param {Object} entry.before state before the change
+   * @param {Object} entry.after state after the change
+   * @param {string} entry.reason
+   * @param {Object} entry.metadata
+   * @param {ClientSession} entry.session write with the audited change's transaction
+   */
+  static async record({
+    req = null,
+    action,
+    target_type,
+    target_id = null,
+    before = null,
+    after = null,
+    reason = null,
+    metadata = {},
+    session = null,
+  }) {
+    req = req || currentRequest();
+    try {
+      const [entry] = await AuditLog.create(
+        [
+          {
+            actor_id: req?.user?.id || null,
+            actor_role: req?.user?.role || (req ? null : "system"),
+            action,
+            target_type,
+            target_id,
+            before,
+            after,
+            reason,
+            metadata,
+            ip: req?.ip || null,
+            request_id: req?.id || null,
+            request_path: req ? `${req.method} ${req.originalUrl}` : null,
+          },
+        ],
+        { session },
+      );
+      return entry;
+    } catch (error) {
+      console.error(
+        `[AuditService] Failed to record ${action} on ${target_type} ${target_id}:`,
+        error.message,
+      );
+      return null;
+    }
+  }
+}
+
+module.exports = AuditService;
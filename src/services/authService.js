@@ -1,6 +1,7 @@
 const bcrypt = require("bcrypt");
 const User = require("../models/User");
-const { generateTokens } = require("../utils/jwt");
+const SessionService = require("./sessionService");
+const MfaService = require("./mfaService");
 
 const SALT_ROUNDS = 10;
 
@@ -8,7 +9,7 @@ class AuthService {
   /**
    * Register a new user
    */
-  static async register(userData) {
+  static async register(userData, req = null) {
     const { email, password, first_name, last_name, phone, role } = userData;
 
     // Check if user already exists
@@ -33,8 +34,8 @@ class AuthService {
     // Convert to plain object and remove password
     const userObject = user.toJSON();
 
-    // Generate tokens
-    const tokens = generateTokens(user._id.toString());
+    // Start a session
+    const tokens = await SessionService.create(user._id, req);
 
     return {
       user: userObject,
@@ -45,7 +46,7 @@ class AuthService {
   /**
    * Login user
    */
-  static async login(email, password) {
+  static async login(email, password, req = null) {
     // Find user by email
     const user = await User.findOne({ email, deleted_at: null });
 
@@ -60,8 +61,13 @@ class AuthService {
       throw new Error("Invalid email or password");
     }
 
-    // Generate tokens
-    const tokens = generateTokens(user._id.toString());
+    // Second step through POST /auth/mfa/verify
+    if (user.mfa?.enabled) {
+      return MfaService.challenge(user);
+    }
+
+    // Start a session
+    const tokens = await SessionService.create(user._id, req);
 
     // Remove password from response
     const userObject = user.toJSON();
@@ -73,19 +79,18 @@ class AuthService {
   }
 
   /**
-   * Refresh access token
+   * Refresh access token (rotates the refresh token)
    */
-  static async refreshToken(userId) {
+  static async refreshToken(refreshToken, req = null) {
+    const { session, ...tokens } = await SessionService.rotate(refreshToken, req);
+
     // Verify user still exists
-    const user = await User.findOne({ _id: userId, deleted_at: null });
+    const user = await User.findOne({ _id: session.user_id, deleted_at: null });
 
     if (!user) {
       throw new Error("User not found");
     }
 
-    // Generate new tokens
-    const tokens = generateTokens(user._id.toString());
-
     return {
       user: user.toJSON(),
       ...tokens,
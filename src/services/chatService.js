@@ -0,0 +1,89 @@
+const Booking = require("../models/Booking");
+const RideRequest = require("../models/RideRequest");
+
+class ChatService {
+  /**
+   * Resolve the participants of a booking chat and check that the user is one of them.
+   * Returns { booking, driverId, passengerId, receiverId } on success,
+   * or { error: { status, message } } when access is denied.
+   */
+  static async getBookingChatAccess(bookingId, userId) {
+    const booking = await Booking.findById(bookingId).populate({
+      path: "ride_id",
+      select: "driver_id direction home_city airport_id",
+    });
+
+    if (!booking) {
+      return { error: { status: 404, message: "Booking not found" } };
+    }
+
+    // Only accepted bookings can have chat
+    if (booking.status !== "accepted") {
+      return {
+        error: {
+          status: 403,
+          message: "Chat is only available for accepted bookings",
+        },
+      };
+    }
+
+    const driverId = booking.ride_id?.driver_id?.toString();
+    const passengerId = booking.passenger_id?.toString();
+
+    if (userId !== driverId && userId !== passengerId) {
+      return {
+        error: { status: 403, message: "You don't have access to this chat" },
+      };
+    }
+
+    return {
+      booking,
+      driverId,
+      passengerId,
+      receiverId: userId === driverId ? passengerId : driverId,
+    };
+  }
+
+  /**
+   * Resolve the participants of a ride request chat and check that the user is one of them.
+   * Same return shape as getBookingChatAccess, with `request` instead of `booking`.
+   */
+  static async getRequestChatAccess(requestId, userId) {
+    const request = await RideRequest.findById(requestId)
+      .populate("matched_driver", "_id first_name last_name avatar_url")
+      .populate("passenger", "_id first_name last_name avatar_url")
+      .populate("airport", "name code");
+
+    if (!request) {
+      return { error: { status: 404, message: "Request not found" } };
+    }
+
+    // Only accepted requests can have chat
+    if (request.status !== "accepted") {
+      return {
+        error: {
+          status: 403,
+          message: "Chat is only available for accepted requests",
+        },
+      };
+    }
+
+    const driverId = request.matched_driver?._id?.toString();
+    const passengerId = request.passenger?._id?.toString();
+
+    if (userId !== driverId && userId !== passengerId) {
+      return {
+        error: { status: 403, message: "You don't have access to this chat" },
+      };
+    }
+
+    return {
+      request,
+      driverId,
+      passengerId,
+      receiverId: userId === driverId ? passengerId : driverId,
+    };
+  }
+}
+
+module.exports = ChatService;
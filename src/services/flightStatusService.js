@@ -0,0 +1,115 @@
+const axios = require("axios");
+
+/**
+ * AviationStack provider (https://aviationstack.com)
+ * Enable with FLIGHT_STATUS_PROVIDER=aviationstack and AVIATIONSTACK_API_KEY.
+ */
+const aviationstackProvider = {
+  name: "aviationstack",
+  async getFlight(flightNumber, date) {
+    const response = await axios.get("https://api.aviationstack.com/v1/flights", {
+      params: {
+        access_key: process.env.AVIATIONSTACK_API_KEY,
+        flight_iata: flightNumber,
+        flight_date: date,
+      },
+      timeout: 10000,
+    });
+
+    const flight = response.data?.data?.[0];
+    if (!flight) return null;
+
+    return {
+      flight_number: flight.flight?.iata || flightNumber,
+      status: flight.flight_status || "scheduled",
+      departure_iata: flight.departure?.iata || null,
+      arrival_iata: flight.arrival?.iata || null,
+      scheduled_departure: flight.departure?.scheduled || null,
+      estimated_departure: flight.departure?.estimated || null,
+      scheduled_arrival: flight.arrival?.scheduled || null,
+      estimated_arrival: flight.arrival?.estimated || null,
+    };
+  },
+};
+
+/**
+ * Local fake provider: only knows the flights registered with setFlight().
+ * Enable with FLIGHT_STATUS_PROVIDER=fake (development); default under NODE_ENV=test.
+ */
+const fakeProvider = {
+  name: "fake",
+  flights: new Map(),
+  setFlight(flightNumber, date, flight) {
+    this.flights.set(`${flightNumber}:${date}`, {
+      flight_number: flightNumber,
+      status: "scheduled",
+      ...flight,
+    });
+  },
+  async getFlight(flightNumber, date) {
+    return this.flights.get(`${flightNumber}:${date}`) || null;
+  },
+};
+
+class FlightStatusService {
+  static providers = { aviationstack: aviationstackProvider, fake: fakeProvider };
+  static provider = undefined; // Resolved on first use, see resolveProvider()
+
+  /**
+   * Provider selected by FLIGHT_STATUS_PROVIDER (aviationstack by default),
+   * or null when it isn't usable: flight tracking is then disabled. The fake
+   * is never a silent fallback: it would answer "not found" for every real
+   * flight.
+   */
+  static resolveProvider(env = process.env) {
+    const name =
+      env.FLIGHT_STATUS_PROVIDER || (env.NODE_ENV === "test" ? "fake" : "aviationstack");
+    const provider = this.providers[name];
+    if (!provider) {
+      console.warn(
+        `⚠️  Unknown FLIGHT_STATUS_PROVIDER "${name}": flight tracking disabled`,
+      );
+      return null;
+    }
+    if (provider === aviationstackProvider && !env.AVIATIONSTACK_API_KEY) {
+      console.warn(
+        "⚠️  AVIATIONSTACK_API_KEY not set: flight tracking disabled (FLIGHT_STATUS_PROVIDER=fake for local development)",
+      );
+      return null;
+    }
+    return provider;
+  }
+
+  static getProvider() {
+    if (this.provider === undefined) this.provider = this.resolveProvider();
+    return this.provider;
+  }
+
+  /**
+   * Whether flight data can be looked up (a provider is configured)
+   */
+  static isEnabled() {
+    return Boolean(this.getProvider());
+  }
+
+  /**
+   * Replace the flight data provider (e.g. with the fake in tests)
+   */
+  static setProvider(provider) {
+    this.provider =
+      typeof provider === "string" ? this.providers[provider] : provider;
+  }
+
+  /**
+   * Look up a flight by IATA flight number and date (YYYY-MM-DD)
+   * @returns {Object|null} normalized flight, or null if unknown
+   * @throws if flight tracking is disabled (see isEnabled)
+   */
+  static async getFlight(flightNumber, date) {
+    const provider = this.getProvider();
+    if (!provider) throw new Error("Flight tracking is disabled");
+    return await provider.getFlight(flightNumber, date);
+  }
+}
+
+module.exports = FlightStatusService;
@@ -0,0 +1,209 @@
+const Booking = require("../models/Booking");
+const RideRequest = require("../models/RideRequest");
+const FlightStatusService = require("./flightStatusService");
+const NotificationService = require("./notificationService");
+
+// Time between landing and pickup (taxi-in, passport control, baggage)
+const PICKUP_BUFFER_MS =
+  parseInt(process.env.FLIGHT_PICKUP_BUFFER_MINUTES || "45", 10) * 60 * 1000;
+
+// Only tell the driver when the suggested pickup moves at least this much
+const NOTIFY_THRESHOLD_MS =
+  parseInt(process.env.FLIGHT_DELAY_NOTIFY_MINUTES || "15", 10) * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class FlightTrackingService {
+  /**
+   * Whether a ride direction means the passenger lands at the airport
+   * (accepts both DB and frontend direction names)
+   */
+  static isArrival(direction) {
+    return direction === "airport_to_home" || direction === "from_airport";
+  }
+
+  /**
+   * Look up a flight and check it serves the ride's airport.
+   * Returns { flight } with the fields to store, or { error: { status, message } }.
+   */
+  static async resolveFlight(airport, direction, flightNumber, date) {
+    if (!FlightStatusService.isEnabled()) {
+      return {
+        error: { status: 503, message: "Flight tracking is not available" },
+      };
+    }
+
+    const found = await FlightStatusService.getFlight(flightNumber, date);
+    if (!found) {
+      return {
+        error: { status: 404, message: `Flight ${flightNumber} not found on ${date}` },
+      };
+    }
+
+    const arrival = this.isArrival(direction);
+    const iata = arrival ? found.arrival_iata : found.departure_iata;
+    if (!airport?.iata_code || iata !== airport.iata_code) {
+      return {
+        error: {
+          status: 400,
+          message: arrival
+            ? `Flight ${flightNumber} does not arrive at ${airport?.iata_code || "this airport"}`
+            : `Flight ${flightNumber} does not depart from ${airport?.iata_code || "this airport"}`,
+        },
+      };
+    }
+
+    const flight = {
+      number: flightNumber,
+      date,
+      ...this.flightTimes(found, arrival),
+      last_checked_at: new Date(),
+    };
+    flight.suggested_pickup_at = arrival ? this.suggestedPickup(flight) : null;
+    return { flight };
+  }
+
+  /**
+   * Times at our airport from a provider response
+   */
+  static flightTimes(found, arrival) {
+    const scheduled = arrival ? found.scheduled_arrival : found.scheduled_departure;
+    const estimated =
+      (arrival ? found.estimated_arrival : found.estimated_departure) || scheduled;
+    const scheduledAt = scheduled ? new Date(scheduled) : null;
+    const estimatedAt = estimated ? new Date(estimated) : null;
+
+    return {
+      departure_iata: found.departure_iata,
+      arrival_iata: found.arrival_iata,
+      status: found.status,
+      scheduled_at: scheduledAt,
+      estimated_at: estimatedAt,
+      delay_minutes:
+        scheduledAt && estimatedAt
+          ? Math.max(0, Math.round((estimatedAt - scheduledAt) / 60000))
+          : 0,
+    };
+  }
+
+  static suggestedPickup(flight) {
+    const landing = flight.estimated_at || flight.scheduled_at;
+    return landing ? new Date(new Date(landing).getTime() + PICKUP_BUFFER_MS) : null;
+  }
+
+  /**
+   * Flight status job (run by JobSchedulerService as "flight_status").
+   * Refreshes flights landing soon on rides from the airport and tells
+   * the driver when the suggested pickup time moves (delay or early landing).
+   * @returns {Object} { checked, notified }
+   */
+  static async checkFlights(now = new Date()) {
+    const window = {
+      $gte: new Date(now.getTime() - 12 * HOUR_MS),
+      $lte: new Date(now.getTime() + 24 * HOUR_MS),
+    };
+
+    const bookings = await Booking.find({
+      status: "accepted",
+      "flight.scheduled_at": window,
+    })
+      .populate("ride_id", "driver_id direction status")
+      .populate("passenger_id", "first_name last_name");
+
+    const requests = await RideRequest.find({
+      status: "accepted",
+      direction: "from_airport",
+      "flight.scheduled_at": window,
+    }).populate("passenger", "first_name last_name");
+
+    let checked = 0;
+    let notified = 0;
+
+    for (const booking of bookings) {
+      const ride = booking.ride_id;
+      if (!ride || ride.status !== "active" || !this.isArrival(ride.direction)) {
+        continue;
+      }
+      checked++;
+      const passenger = booking.passenger_id;
+      if (
+        await this.refresh(booking, ride.driver_id, {
+          booking_id: booking._id,
+          ride_id: ride._id,
+          passenger_name: passenger
+            ? `${passenger.first_name} ${passenger.last_name}`
+            : null,
+        })
+      ) {
+        notified++;
+      }
+    }
+
+    for (const request of requests) {
+      if (!request.matched_driver) continue;
+      checked++;
+      const passenger = request.passenger;
+      if (
+        await this.refresh(request, request.matched_driver, {
+          request_id: request._id,
+          ride_id: request.matched_ride,
+          passenger_name: passenger
+            ? `${passenger.first_name} ${passenger.last_name}`
+            : null,
+        })
+      ) {
+        notified++;
+      }
+    }
+
+    return { checked, notified };
+  }
+
+  /**
+   * Refresh one stored flight and notify the driver if the pickup shifts
+   * @returns {boolean} whether the driver was notified
+   */
+  static async refresh(doc, driverId, context) {
+    let found;
+    try {
+      found = await FlightStatusService.getFlight(doc.flight.number, doc.flight.date);
+    } catch (err) {
+      console.error(
+        `[FlightTrackingService] Lookup failed for ${doc.flight.number}:`,
+        err.message,
+      );
+      return false;
+    }
+    if (!found) return false;
+
+    const previousPickup = doc.flight.suggested_pickup_at;
+    Object.assign(doc.flight, this.flightTimes(found, true), {
+      last_checked_at: new Date(),
+    });
+
+    // The suggestion only moves on significant changes, so small
+    // successive slips still add up to a notification eventually
+    const newPickup = this.suggestedPickup(doc.flight);
+    const shift =
+      previousPickup && newPickup ? newPickup - previousPickup : 0;
+    const shifted = Math.abs(shift) >= NOTIFY_THRESHOLD_MS;
+    if (shifted || !previousPickup) {
+      doc.flight.suggested_pickup_at = newPickup;
+    }
+    await doc.save();
+
+    if (!shifted) return false;
+
+    await NotificationService.notifyFlightUpdated(driverId, {
+      ...context,
+      flight_number: doc.flight.number,
+      flight_status: doc.flight.status,
+      delay_minutes: doc.flight.delay_minutes,
+      estimated_arrival: doc.flight.estimated_at,
+      suggested_pickup_at: doc.flight.suggested_pickup_at,
+    });
+    return true;
+  }
+}
+
+module.exports = FlightTrackingService;
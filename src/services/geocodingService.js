@@ -0,0 +1,358 @@
+const axios = require("axios");
+const { Client } = require("@googlemaps/google-maps-services-js");
+const { safeGet, safeSetex, safeDel, safeKeys } = require("../config/redisClient");
+
+const GEOCODING_TIMEOUT_MS = parseInt(process.env.GEOCODING_TIMEOUT_MS || "5000", 10);
+const CACHE_TTL = parseInt(process.env.GEOCODING_CACHE_TTL_SECONDS || "86400", 10);
+const CACHE_PREFIX = "geocode:";
+
+// Nominatim's usage policy allows one request per second for the whole app
+const NOMINATIM_MIN_INTERVAL_MS = parseInt(
+  process.env.NOMINATIM_MIN_INTERVAL_MS || "1000",
+  10,
+);
+// Requests waiting for a provider slot before new ones are turned away
+const MAX_QUEUE_LENGTH = parseInt(process.env.GEOCODING_MAX_QUEUE || "20", 10);
+
+// Half-size in degrees of the box results are biased towards (about 100 km)
+const BIAS_BOX_DEGREES = 1;
+
+/**
+ * FIFO queue that starts tasks at most once per interval.
+ * Each task gets its own slot, so concurrent callers are spread out
+ * instead of all waking up on the same timer.
+ */
+class ThrottledQueue {
+  constructor(intervalMs, maxLength) {
+    this.intervalMs = intervalMs;
+    this.maxLength = maxLength;
+    this.tasks = [];
+    this.lastStart = 0;
+    this.timer = null;
+  }
+
+  push(task) {
+    if (this.tasks.length >= this.maxLength) {
+      const error = new Error("Geocoding is busy, please try again shortly");
+      error.statusCode = 503;
+      return Promise.reject(error);
+    }
+    return new Promise((resolve, reject) => {
+      this.tasks.push({ task, resolve, reject });
+      this.schedule();
+    });
+  }
+
+  schedule() {
+    if (this.timer || this.tasks.length === 0) return;
+    const wait = Math.max(0, this.lastStart + this.intervalMs - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      const { task, resolve, reject } = this.tasks.shift();
+      this.lastStart = Date.now();
+      task().then(resolve, reject);
+      this.schedule();
+    }, wait);
+  }
+}
+
+const cityOf = (address) =>
+  address.city ||
+  address.town ||
+  address.village ||
+  address.municipality ||
+  address.county ||
+  null;
+
+/**
+ * Nominatim (OpenStreetMap) provider. Default, no API key required.
+ */
+const nominatimProvider = {
+  name: "nominatim",
+  queue: new ThrottledQueue(NOMINATIM_MIN_INTERVAL_MS, MAX_QUEUE_LENGTH),
+
+  async request(path, params) {
+    const baseUrl = (
+      process.env.NOMINATIM_URL || "https://nominatim.openstreetmap.org"
+    ).replace(/\/$/, "");
+    const response = await this.queue.push(() =>
+      axios.get(`${baseUrl}/${path}`, {
+        params: { format: "jsonv2", addressdetails: 1, ...params },
+        headers: { "User-Agent": "AirportCarpoolApp/1.0" },
+        timeout: GEOCODING_TIMEOUT_MS,
+      }),
+    );
+    return response.data;
+  },
+
+  toPlace(item) {
+    const address = item.address || {};
+    return {
+      address: item.display_name,
+      city: cityOf(address),
+      country: address.country || null,
+      country_code: address.country_code?.toUpperCase() || null,
+      postcode: address.postcode || null,
+      latitude: parseFloat(item.lat),
+      longitude: parseFloat(item.lon),
+      place_id: item.place_id ? String(item.place_id) : null,
+    };
+  },
+
+  async reverse(lat, lng) {
+    const data = await this.request("reverse", { lat, lon: lng });
+    return data?.address ? this.toPlace(data) : null;
+  },
+
+  async search(query, { countryCode, near, limit }) {
+    const params = { q: query, limit };
+    if (countryCode) params.countrycodes = countryCode.toLowerCase();
+    if (near) {
+      // Prefer results near the airport without excluding the rest
+      params.viewbox = [
+        near.lng - BIAS_BOX_DEGREES,
+        near.lat + BIAS_BOX_DEGREES,
+        near.lng + BIAS_BOX_DEGREES,
+        near.lat - BIAS_BOX_DEGREES,
+      ].join(",");
+      params.bounded = 0;
+    }
+    const data = await this.request("search", params);
+    return (data || []).map((item) => this.toPlace(item));
+  },
+
+  // Nominatim has no dedicated autocomplete, searches are cached instead
+  async autocomplete(query, options) {
+    return this.search(query, options);
+  },
+};
+
+/**
+ * Google Geocoding / Places provider.
+ * Enable with GEOCODING_PROVIDER=google and GOOGLE_MAPS_API_KEY.
+ */
+const googleProvider = {
+  name: "google",
+  client: null,
+
+  getClient() {
+    if (!this.client) this.client = new Client({});
+    return this.client;
+  },
+
+  toPlace(result) {
+    const component = (type) =>
+      result.address_components?.find((c) => c.types.includes(type));
+    return {
+      address: result.formatted_address,
+      city: component("locality")?.long_name || null,
+      country: component("country")?.long_name || null,
+      country_code: component("country")?.short_name || null,
+      postcode: component("postal_code")?.long_name || null,
+      latitude: result.geometry.location.lat,
+      longitude: result.geometry.location.lng,
+      place_id: result.place_id,
+    };
+  },
+
+  async reverse(lat, lng) {
+    const response = await this.getClient().reverseGeocode({
+      params: { latlng: { lat, lng }, key: process.env.GOOGLE_MAPS_API_KEY },
+      timeout: GEOCODING_TIMEOUT_MS,
+    });
+    const result = response.data.results?.[0];
+    return result ? this.toPlace(result) : null;
+  },
+
+  async search(query, { countryCode, near, limit }) {
+    const params = { address: query, key: process.env.GOOGLE_MAPS_API_KEY };
+    if (countryCode) params.components = { country: countryCode };
+    if (near) {
+      params.bounds = {
+        southwest: { lat: near.lat - BIAS_BOX_DEGREES, lng: near.lng - BIAS_BOX_DEGREES },
+        northeast: { lat: near.lat + BIAS_BOX_DEGREES, lng: near.lng + BIAS_BOX_DEGREES },
+      };
+    }
+    const response = await this.getClient().geocode({
+      params,
+      timeout: GEOCODING_TIMEOUT_MS,
+    });
+    return (response.data.results || [])
+      .slice(0, limit)
+      .map((result) => this.toPlace(result));
+  },
+
+  // Predictions have no coordinates: resolve the chosen one with search
+  async autocomplete(query, { countryCode, near, limit }) {
+    const params = { input: query, key: process.env.GOOGLE_MAPS_API_KEY };
+    if (countryCode) params.components = [`country:${countryCode.toLowerCase()}`];
+    if (near) {
+      params.location = near;
+      params.radius = 100000;
+    }
+    const response = await this.getClient().placeAutocomplete({
+      params,
+      timeout: GEOCODING_TIMEOUT_MS,
+    });
+    return (response.data.predictions || []).slice(0, limit).map((p) => ({
+      address: p.description,
+      city: null,
+      country: null,
+      country_code: null,
+      postcode: null,
+      latitude: null,
+      longitude: null,
+      place_id: p.place_id,
+    }));
+  },
+};
+
+/**
+ * Offline fake provider: only knows the places registered with addPlace().
+ * Enable with GEOCODING_PROVIDER=fake (development and tests).
+ */
+const fakeProvider = {
+  name: "fake",
+  places: [],
+
+  addPlace(place) {
+    this.places.push(place);
+  },
+
+  async reverse(lat, lng) {
+    let nearest = null;
+    let best = Infinity;
+    for (const place of this.places) {
+      const d = Math.hypot(place.latitude - lat, place.longitude - lng);
+      if (d < best) {
+        best = d;
+        nearest = place;
+      }
+    }
+    return nearest;
+  },
+
+  async search(query, { countryCode, limit }) {
+    const q = query.toLowerCase();
+    return this.places
+      .filter((p) => p.address.toLowerCase().includes(q))
+      .filter((p) => !countryCode || p.country_code === countryCode)
+      .slice(0, limit);
+  },
+
+  async autocomplete(query, options) {
+    return this.search(query, options);
+  },
+};
+
+class GeocodingService {
+  static providers = {
+    nominatim: nominatimProvider,
+    google: googleProvider,
+    fake: fakeProvider,
+  };
+  static provider =
+    GeocodingService.providers[process.env.GEOCODING_PROVIDER] ||
+    nominatimProvider;
+
+  // Lookups in progress, shared by identical concurrent requests
+  static inFlight = new Map();
+
+  /**
+   * Replace the geocoding provider (e.g. with the fake in tests)
+   */
+  static setProvider(provider) {
+    this.provider =
+      typeof provider === "string" ? this.providers[provider] : provider;
+  }
+
+  /**
+   * Serve a lookup from the shared Redis cache, or run it once and cache it
+   * @returns {Object} { value, cached }
+   */
+  static async cached(key, lookup) {
+    const cacheKey = `${CACHE_PREFIX}${this.provider.name}:${key}`;
+    const hit = await safeGet(cacheKey);
+    if (hit) {
+      return { value: JSON.parse(hit), cached: true };
+    }
+
+    if (!this.inFlight.has(cacheKey)) {
+      const promise = (async () => {
+        const value = await lookup();
+        // Misses are cached too, so unknown places don't hit the provider again
+        await safeSetex(cacheKey, CACHE_TTL, JSON.stringify(value));
+        return value;
+      })().finally(() => this.inFlight.delete(cacheKey));
+      this.inFlight.set(cacheKey, promise);
+    }
+    return { value: await this.inFlight.get(cacheKey), cached: false };
+  }
+
+  static normalizeQuery(query) {
+    return query.trim().toLowerCase().replace(/\s+/g, " ");
+  }
+
+  static biasKey({ countryCode, near }) {
+    const nearKey = near ? `${near.lat.toFixed(1)},${near.lng.toFixed(1)}` : "";
+    return `${countryCode || ""}:${nearKey}`;
+  }
+
+  /**
+   * Address at coordinates
+   * @returns {Object} { place, cached } place is null when nothing was found
+   */
+  static async reverse(lat, lng) {
+    const { value, cached } = await this.cached(
+      `reverse:${lat.toFixed(4)},${lng.toFixed(4)}`,
+      () => this.provider.reverse(lat, lng),
+    );
+    return { place: value, cached };
+  }
+
+  /**
+   * Places matching a free-text address
+   * @param {Object} options { countryCode, near: { lat, lng }, limit }
+   * @returns {Object} { results, cached }
+   */
+  static async search(query, options = {}) {
+    const opts = { limit: 5, ...options };
+    const { value, cached } = await this.cached(
+      `search:${this.biasKey(opts)}:${opts.limit}:${this.normalizeQuery(query)}`,
+      () => this.provider.search(query, opts),
+    );
+    return { results: value, cached };
+  }
+
+  /**
+   * Suggestions while typing an address
+   * @param {Object} options { countryCode, near: { lat, lng }, limit }
+   * @returns {Object} { results, cached }
+   */
+  static async autocomplete(query, options = {}) {
+    const opts = { limit: 5, ...options };
+    const { value, cached } = await this.cached(
+      `autocomplete:${this.biasKey(opts)}:${opts.limit}:${this.normalizeQuery(query)}`,
+      () => this.provider.autocomplete(query, opts),
+    );
+    return { results: value, cached };
+  }
+
+  static async cacheStats() {
+    const keys = await safeKeys(`${CACHE_PREFIX}*`);
+    return {
+      provider: this.provider.name,
+      cacheSize: keys.length,
+      cacheEntries: keys.slice(0, 100),
+      inFlight: this.inFlight.size,
+    };
+  }
+
+  static async clearCache() {
+    const keys = await safeKeys(`${CACHE_PREFIX}*`);
+    if (keys.length > 0) await safeDel(keys);
+    return keys.length;
+  }
+}
+
+module.exports = GeocodingService;
@@ -1,6 +1,7 @@
 const axios = require("axios");
 const User = require("../models/User");
-const { generateTokens } = require("../utils/jwt");
+const SessionService = require("./sessionService");
+const MfaService = require("./mfaService");
 
 /**
  * Verifies Google ID token and returns user info
@@ -19,9 +20,10 @@ async function verifyGoogleIdToken(idToken) {
 /**
  * Login or register user with Google
  * @param {string} idToken
+ * @param {object} req - for the session's device details
  * @returns {Promise<object>} user and tokens
  */
-async function loginOrRegisterWithGoogle(idToken) {
+async function loginOrRegisterWithGoogle(idToken, req = null) {
   const googleUser = await verifyGoogleIdToken(idToken);
   let user = await User.findOne({ email: googleUser.email, deleted_at: null });
   if (!user) {
@@ -35,7 +37,8 @@ async function loginOrRegisterWithGoogle(idToken) {
       phone: "", // Optional: update if you collect phone
     });
   }
-  const tokens = generateTokens(user._id.toString());
+  if (user.mfa?.enabled) return MfaService.challenge(user);
+  const tokens = await SessionService.create(user._id, req);
   return { user: user.toJSON(), ...tokens };
 }
 
@@ -0,0 +1,126 @@
+const User = require("../models/User");
+const AuditService = require("./auditService");
+const NotificationService = require("./notificationService");
+
+const statusError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Review of the ID images users upload (at registration or later).
+ *
+ *   none | rejected | submitted --submit--> submitted
+ *   submitted --start_review--> in_review
+ *   submitted | in_review --approve--> approved
+ *   submitted | in_review | approved --reject--> rejected (with a reason)
+ *
+ * Approved users show a "verified" badge. With
+ * REQUIRE_ID_VERIFICATION_TO_PUBLISH=true only they can publish rides.
+ */
+class IdentityVerificationService {
+  static TRANSITIONS = {
+    submit: { from: ["none", "submitted", "rejected"], to: "submitted" },
+    start_review: { from: ["submitted"], to: "in_review" },
+    approve: { from: ["submitted", "in_review"], to: "approved" },
+    reject: { from: ["submitted", "in_review", "approved"], to: "rejected" },
+  };
+
+  static get requiredToPublish() {
+    return process.env.REQUIRE_ID_VERIFICATION_TO_PUBLISH === "true";
+  }
+
+  /**
+   * Whether a user (document or lean object) has an approved ID
+   */
+  static isVerified(user) {
+    return user?.identity_verification?.status === "approved";
+  }
+
+  /**
+   * Whether the user can (re)submit ID images now
+   */
+  static canSubmit(user) {
+    const status = user?.identity_verification?.status || "none";
+    return this.TRANSITIONS.submit.from.includes(status);
+  }
+
+  /**
+   * Apply a transition, atomically: it only happens if the status is still one
+   * it can start from
+   * @param {string} userId
+   * @param {string} action key of TRANSITIONS
+   * @param {Object} options
+   * @param {Object} options.set extra fields to update (e.g. new image URLs)
+   * @param {string} options.reason rejection reason
+   * @param {string} options.reviewerId admin taking the action
+   * @returns {Promise<{user: Object, before: Object}>}
+   * @throws 404 if the user doesn't exist, 409 if the transition isn't allowed
+   */
+  static async transition(userId, action, { set = {}, reason = null, reviewerId = null } = {}) {
+    const { from, to } = this.TRANSITIONS[action];
+    const now = new Date();
+
+    const update = { ...set, "identity_verification.status": to };
+    if (action === "submit") {
+      Object.assign(update, {
+        "identity_verification.submitted_at": now,
+        "identity_verification.reviewed_at": null,
+        "identity_verification.reviewer_id": null,
+        "identity_verification.rejection_reason": null,
+      });
+    } else {
+      update["identity_verification.reviewer_id"] = reviewerId;
+      if (action !== "start_review") update["identity_verification.reviewed_at"] = now;
+      if (action === "reject") update["identity_verification.rejection_reason"] = reason;
+    }
+
+    const before = await User.findOneAndUpdate(
+      { _id: userId, deleted_at: null, "identity_verification.status": { $in: from } },
+      { $set: update },
+      { new: false },
+    );
+    if (!before) {
+      const exists = await User.findOne({ _id: userId, deleted_at: null }).select(
+        "identity_verification.status",
+      );
+      if (!exists) throw statusError(404, "User not found", "USER_NOT_FOUND");
+      throw statusError(
+        409,
+        `Cannot ${action.replace("_", " ")} an identity verification that is ${exists.identity_verification.status}`,
+        "INVALID_VERIFICATION_STATUS",
+      );
+    }
+
+    const beforeStatus = before.identity_verification?.status || "none";
+    await AuditService.record({
+      action: `identity.${action}`,
+      target_type: "user",
+      target_id: userId,
+      before: { status: beforeStatus },
+      after: { status: to },
+      reason,
+    });
+
+    // Only decisions are notified
+    if (action === "approve" || action === "reject") {
+      try {
+        await NotificationService.notifyIdentityVerification(userId, {
+          status: to,
+          rejection_reason: reason,
+        });
+      } catch (error) {
+        console.error("[IdentityVerification] Failed to notify user:", error.message);
+      }
+    }
+
+    const user = await User.findById(userId).select(
+      "first_name last_name email identity_verification id_image_front_url id_image_back_url",
+    );
+    return { user, before: before.toObject() };
+  }
+}
+
+module.exports = IdentityVerificationService;
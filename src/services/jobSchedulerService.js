@@ -0,0 +1,175 @@
+const os = require("os");
+const crypto = require("crypto");
+const ScheduledJob = require("../models/ScheduledJob");
+const JobRun = require("../models/JobRun");
+
+// How often each instance looks for due jobs
+const TICK_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Persistent job scheduler backed by MongoDB.
+ * Each job has a ScheduledJob document holding its next run time and a lock,
+ * so overdue jobs run after a restart and only one instance runs a job at a time.
+ * Failed runs are retried with exponential backoff; every run is kept in JobRun.
+ */
+class JobSchedulerService {
+  static jobs = new Map();
+  static intervalId = null;
+  static instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+
+  /**
+   * Register a job. The handler must throw to signal failure (triggers a retry)
+   * and may return a small result object that is stored in the run history.
+   * @param {string} name - Unique job name
+   * @param {Object} options - { intervalMs, handler, maxRetries, retryDelayMs, lockMs }
+   */
+  static register(name, options) {
+    this.jobs.set(name, {
+      name,
+      intervalMs: options.intervalMs,
+      handler: options.handler,
+      maxRetries: options.maxRetries ?? 3,
+      retryDelayMs: options.retryDelayMs ?? 60 * 1000,
+      lockMs: options.lockMs ?? 10 * 60 * 1000,
+    });
+  }
+
+  /**
+   * Create missing job documents and start polling for due jobs
+   */
+  static async start() {
+    for (const job of this.jobs.values()) {
+      await ScheduledJob.updateOne(
+        { name: job.name },
+        {
+          $set: { interval_ms: job.intervalMs },
+          $setOnInsert: { next_run_at: new Date() },
+        },
+        { upsert: true },
+      );
+    }
+
+    console.log(
+      `🕐 Job scheduler started (${this.jobs.size} jobs, instance ${this.instanceId})`,
+    );
+
+    this.tick();
+    this.intervalId = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+  }
+
+  /**
+   * Stop polling (running jobs finish on their own)
+   */
+  static stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      console.log("🛑 Job scheduler stopped");
+    }
+  }
+
+  /**
+   * Run every registered job that is due and not locked by another instance
+   */
+  static async tick() {
+    for (const job of this.jobs.values()) {
+      try {
+        const claimed = await this.acquire(job);
+        if (claimed) {
+          await this.execute(job, claimed);
+        }
+      } catch (error) {
+        console.error(
+          `[JobSchedulerService] Tick failed for ${job.name}:`,
+          error.message,
+        );
+      }
+    }
+  }
+
+  /**
+   * Atomically lock a due job for this instance
+   * @returns {Object|null} the locked ScheduledJob document
+   */
+  static async acquire(job) {
+    const now = new Date();
+    return await ScheduledJob.findOneAndUpdate(
+      {
+        name: job.name,
+        next_run_at: { $lte: now },
+        $or: [{ locked_until: null }, { locked_until: { $lte: now } }],
+      },
+      {
+        locked_by: this.instanceId,
+        locked_until: new Date(now.getTime() + job.lockMs),
+      },
+      { new: true },
+    );
+  }
+
+  /**
+   * Run a locked job, schedule its next run (or retry) and record the run
+   */
+  static async execute(job, scheduled) {
+    const startedAt = new Date();
+    const attempt = scheduled.attempts + 1;
+    let result = null;
+    let error = null;
+
+    try {
+      result = await job.handler();
+    } catch (err) {
+      error = err;
+      console.error(
+        `[JobSchedulerService] ${job.name} failed (attempt ${attempt}):`,
+        err.message,
+      );
+    }
+
+    const finishedAt = new Date();
+    let nextRunAt;
+    let attempts;
+    if (!error) {
+      nextRunAt = new Date(startedAt.getTime() + job.intervalMs);
+      attempts = 0;
+    } else if (attempt <= job.maxRetries) {
+      // Exponential backoff: 1x, 2x, 4x... the retry delay
+      nextRunAt = new Date(
+        finishedAt.getTime() + job.retryDelayMs * 2 ** (attempt - 1),
+      );
+      attempts = attempt;
+    } else {
+      // Out of retries: give up on this run and wait for the next interval
+      nextRunAt = new Date(startedAt.getTime() + job.intervalMs);
+      attempts = 0;
+    }
+
+    // Only release the lock if we still own it
+    await ScheduledJob.updateOne(
+      { name: job.name, locked_by: this.instanceId },
+      {
+        next_run_at: nextRunAt,
+        attempts,
+        locked_by: null,
+        locked_until: null,
+        last_run_at: startedAt,
+        last_status: error ? "failed" : "success",
+        last_error: error ? error.message : null,
+      },
+    );
+
+    await JobRun.create({
+      job_name: job.name,
+      instance_id: this.instanceId,
+      status: error ? "failed" : "success",
+      attempt,
+      started_at: startedAt,
+      finished_at: finishedAt,
+      duration_ms: finishedAt - startedAt,
+      result: result ?? null,
+      error: error ? error.message : null,
+    });
+  }
+}
+
+module.exports = JobSchedulerService;
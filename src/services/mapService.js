@@ -1,44 +1,313 @@
 const axios = require("axios");
+const { Client } = require("@googlemaps/google-maps-services-js");
+const { decode } = require("@googlemaps/polyline-codec");
+const { safeGet, safeSetex } = require("../config/redisClient");
+
+const ROUTING_TIMEOUT_MS = parseInt(process.env.ROUTING_TIMEOUT_MS || "5000", 10);
+
+// Routes are cached by endpoints rounded to 3 decimals (about 100 m)
+const ROUTE_CACHE_TTL = parseInt(
+  process.env.ROUTE_CACHE_TTL_SECONDS || String(7 * 24 * 60 * 60),
+  10,
+);
+const CACHE_PRECISION = 3;
+
+// Average speed used when a duration has to be estimated
+const ESTIMATE_SPEED_KMH = 50;
+
+/**
+ * OSRM provider (Open Source Routing Machine).
+ * Point OSRM_URL at a self-hosted server; the public demo server is only
+ * meant for light use.
+ */
+const osrmProvider = {
+  name: "osrm",
+  async route(points) {
+    const baseUrl = (
+      process.env.OSRM_URL || "https://router.project-osrm.org"
+    ).replace(/\/$/, "");
+    // OSRM requires coordinates in "lng,lat" format, separated by ";"
+    const coordinates = points.map((p) => `${p.lng},${p.lat}`).join(";");
+    const response = await axios.get(
+      `${baseUrl}/route/v1/driving/${coordinates}`,
+      {
+        params: { overview: "full", geometries: "geojson" },
+        timeout: ROUTING_TIMEOUT_MS,
+      },
+    );
+
+    const route = response.data?.routes?.[0];
+    if (!route) throw new Error("No route found from OSRM");
+    return {
+      // OSRM returns the geometry directly in GeoJSON format
+      coordinates: route.geometry.coordinates,
+      distance: route.distance,
+      duration: route.duration,
+    };
+  },
+};
+
+/**
+ * Google Directions provider.
+ * Enable with ROUTING_PROVIDER=google and GOOGLE_MAPS_API_KEY.
+ */
+const googleProvider = {
+  name: "google",
+  client: null,
+  async route(points) {
+    if (!this.client) this.client = new Client({});
+    const toParam = (p) => `${p.lat},${p.lng}`;
+    const response = await this.client.directions({
+      params: {
+        origin: toParam(points[0]),
+        destination: toParam(points[points.length - 1]),
+        waypoints: points.slice(1, -1).map(toParam),
+        mode: "driving",
+        key: process.env.GOOGLE_MAPS_API_KEY,
+      },
+      timeout: ROUTING_TIMEOUT_MS,
+    });
+
+    const route = response.data?.routes?.[0];
+    if (!route) {
+      throw new Error(`No route found from Google (${response.data?.status})`);
+    }
+    return {
+      // Polyline points are [lat, lng]; GeoJSON wants [lng, lat]
+      coordinates: decode(route.overview_polyline.points).map(([lat, lng]) => [
+        lng,
+        lat,
+      ]),
+      distance: route.legs.reduce((sum, leg) => sum + leg.distance.value, 0),
+      duration: route.legs.reduce((sum, leg) => sum + leg.duration.value, 0),
+    };
+  },
+};
+
+/**
+ * Offline fake provider: straight lines between the points.
+ * Enable with ROUTING_PROVIDER=fake (development and tests).
+ */
+const fakeProvider = {
+  name: "fake",
+  async route(points) {
+    return MapService.estimateRoute(points);
+  },
+};
 
 class MapService {
+  static providers = {
+    osrm: osrmProvider,
+    google: googleProvider,
+    fake: fakeProvider,
+  };
+  static provider =
+    MapService.providers[process.env.ROUTING_PROVIDER] || osrmProvider;
+
+  // Counters since startup, see getMetrics()
+  static metrics = {
+    requests: 0,
+    cache_hits: 0,
+    provider_calls: 0,
+    fallbacks: 0,
+  };
+
   /**
-   * Get route between two points using OSRM (Open Source Routing Machine)
-   * Free, no API key required.
+   * Replace the routing provider (e.g. with the fake in tests)
+   */
+  static setProvider(provider) {
+    this.provider =
+      typeof provider === "string" ? this.providers[provider] : provider;
+  }
+
+  /**
+   * Routing counters and the share of provider calls that fell back to
+   * a straight line
+   */
+  static getMetrics() {
+    const { provider_calls, fallbacks } = this.metrics;
+    return {
+      provider: this.provider.name,
+      ...this.metrics,
+      fallback_rate: provider_calls > 0 ? fallbacks / provider_calls : 0,
+    };
+  }
+
+  static cacheKey(points) {
+    return `route:${this.provider.name}:${points
+      .map((p) => `${p.lat.toFixed(CACHE_PRECISION)},${p.lng.toFixed(CACHE_PRECISION)}`)
+      .join(";")}`;
+  }
+
+  /**
+   * Get the driving route between two points with the configured provider.
+   * Falls back to straight lines when the provider fails; those routes
+   * have estimated: true and are not cached.
    * @param {Object} origin { lat, lng }
    * @param {Object} destination { lat, lng }
+   * @param {Array} waypoints Optional ordered stops [{ lat, lng }] to route through
    * @returns {Object} GeoJSON LineString { type: 'LineString', coordinates: [[lng, lat], ...] }
+   *   plus distance (meters), duration (seconds) and estimated
    */
-  static async getRoute(origin, destination) {
+  static async getRoute(origin, destination, waypoints = []) {
+    const points = [origin, ...waypoints, destination].map((p) => ({
+      lat: Number(p.lat),
+      lng: Number(p.lng),
+    }));
+    this.metrics.requests++;
+
+    const key = this.cacheKey(points);
+    const cached = await safeGet(key);
+    if (cached) {
+      this.metrics.cache_hits++;
+      return JSON.parse(cached);
+    }
+
+    this.metrics.provider_calls++;
     try {
-      // OSRM requires coordinates in "lng,lat" format
-      const url = `http://router.project-osrm.org/route/v1/driving/${origin.lng},${origin.lat};${destination.lng},${destination.lat}?overview=full&geometries=geojson`;
-      
-      console.log("🗺️ Fetching route from OSRM...");
-      const response = await axios.get(url);
-
-      if (response.data && response.data.routes && response.data.routes.length > 0) {
-        // OSRM returns the geometry directly in GeoJSON format!
-        return response.data.routes[0].geometry;
-      }
-      
-      throw new Error("No route found from OSRM");
+      console.log(`🗺️ Fetching route from ${this.provider.name}...`);
+      const result = await this.provider.route(points);
+      const route = {
+        type: "LineString",
+        coordinates: result.coordinates,
+        distance: Math.round(result.distance),
+        duration: Math.round(result.duration),
+        estimated: false,
+      };
+      await safeSetex(key, ROUTE_CACHE_TTL, JSON.stringify(route));
+      return route;
     } catch (error) {
-      console.error("⚠️ MapService Error:", error.message);
+      this.metrics.fallbacks++;
+      console.error(
+        `⚠️ MapService Error (${this.provider.name}):`,
+        error.message,
+      );
       console.log("⚠️ Falling back to straight line calculation.");
-      // Fallback to straight line if API fails
-      return this.getStraightLine(origin, destination);
+      // Fallback to straight lines (through the waypoints) if the provider fails
+      return {
+        type: "LineString",
+        ...this.estimateRoute(points),
+        estimated: true,
+      };
     }
   }
 
-  static getStraightLine(origin, destination) {
+  /**
+   * Straight lines through the points, with distance and an estimated
+   * duration at an average speed
+   */
+  static estimateRoute(points) {
+    const coordinates = points.map((p) => [p.lng, p.lat]);
+    const distance = Math.round(this.routeLength({ coordinates }));
+    return {
+      coordinates,
+      distance,
+      duration: Math.round(distance / ((ESTIMATE_SPEED_KMH * 1000) / 3600)),
+    };
+  }
+
+  static getStraightLine(origin, destination, waypoints = []) {
     return {
       type: "LineString",
-      coordinates: [
-        [origin.lng, origin.lat],
-        [destination.lng, destination.lat],
-      ],
+      coordinates: [origin, ...waypoints, destination].map((p) => [
+        p.lng,
+        p.lat,
+      ]),
     };
   }
+
+  /**
+   * Great-circle distance in meters between two { lat, lng } points
+   */
+  static haversineDistance(a, b) {
+    const R = 6371000;
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h =
+      Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * R * Math.asin(Math.sqrt(h));
+  }
+
+  /**
+   * Length of a GeoJSON LineString in meters
+   */
+  static routeLength(route) {
+    const coords = route?.coordinates || [];
+    let length = 0;
+    for (let i = 1; i < coords.length; i++) {
+      length += this.haversineDistance(
+        { lat: coords[i - 1][1], lng: coords[i - 1][0] },
+        { lat: coords[i][1], lng: coords[i][0] },
+      );
+    }
+    return length;
+  }
+
+  /**
+   * Closest point of a GeoJSON LineString to a { lat, lng } point.
+   * Segments are projected on a local flat plane around the point, which is
+   * accurate enough at the scale of a ride.
+   * @returns {Object|null} { point: { lat, lng }, distance, along, length }
+   *   distance: meters from the point to the route
+   *   along: meters from the start of the route to the closest point
+   *   length: total route length in meters
+   */
+  static closestPointOnRoute(route, point) {
+    const coords = route?.coordinates || [];
+    if (coords.length === 0) return null;
+
+    const R = 6371000;
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const cosLat = Math.cos(toRad(point.lat));
+    // Local plane in meters, centered on the point
+    const project = ([lng, lat]) => ({
+      x: toRad(lng - point.lng) * cosLat * R,
+      y: toRad(lat - point.lat) * R,
+    });
+
+    let best = null;
+    let travelled = 0;
+    let previous = project(coords[0]);
+    if (coords.length === 1) {
+      return {
+        point: { lat: coords[0][1], lng: coords[0][0] },
+        distance: Math.hypot(previous.x, previous.y),
+        along: 0,
+        length: 0,
+      };
+    }
+
+    for (let i = 1; i < coords.length; i++) {
+      const a = previous;
+      const b = project(coords[i]);
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const segment = Math.hypot(dx, dy);
+      const t =
+        segment > 0
+          ? Math.min(1, Math.max(0, -(a.x * dx + a.y * dy) / (segment * segment)))
+          : 0;
+      const x = a.x + t * dx;
+      const y = a.y + t * dy;
+      const distance = Math.hypot(x, y);
+
+      if (!best || distance < best.distance) {
+        const [lng0, lat0] = coords[i - 1];
+        const [lng1, lat1] = coords[i];
+        best = {
+          point: { lat: lat0 + t * (lat1 - lat0), lng: lng0 + t * (lng1 - lng0) },
+          distance,
+          along: travelled + t * segment,
+        };
+      }
+      travelled += segment;
+      previous = b;
+    }
+
+    return { ...best, length: travelled };
+  }
 }
 
 module.exports = MapService;
@@ -0,0 +1,244 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const AuditService = require("./auditService");
+const totp = require("../utils/totp");
+const { generateMfaToken } = require("../utils/jwt");
+
+const ISSUER = process.env.MFA_ISSUER || "Airport Carpooling";
+const RECOVERY_CODE_COUNT = 10;
+// Failed codes in a row before verification is locked for a while
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.MFA_MAX_FAILED_ATTEMPTS || "5", 10);
+const LOCK_MINUTES = parseInt(process.env.MFA_LOCK_MINUTES || "15", 10);
+
+const mfaError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+// Recovery codes are random enough for a fast hash
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).toLowerCase().replace(/[\s-]/g, ""))
+    .digest("hex");
+
+class MfaService {
+  static async loadUser(userId) {
+    const user = await User.findOne({ _id: userId, deleted_at: null });
+    if (!user) throw mfaError(404, "User not found", "USER_NOT_FOUND");
+    return user;
+  }
+
+  /**
+   * New recovery codes ("xxxxx-xxxxx"), returned in clear once and stored hashed
+   */
+  static generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString("hex");
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return {
+      codes,
+      stored: codes.map((code) => ({ code_hash: hashRecoveryCode(code) })),
+    };
+  }
+
+  /**
+   * Start enrollment: a new secret, pending until confirmed with a code
+   * @returns {Promise<{secret: string, otpauth_url: string}>} for the
+   *   authenticator app (the client renders otpauth_url as a QR code)
+   */
+  static async setup(userId) {
+    const user = await this.loadUser(userId);
+    if (user.mfa?.enabled) {
+      throw mfaError(409, "Two-factor authentication is already enabled", "MFA_ALREADY_ENABLED");
+    }
+
+    const secret = totp.generateSecret();
+    user.mfa.pending_secret = totp.encryptSecret(secret);
+    await user.save();
+
+    return {
+      secret,
+      otpauth_url: totp.otpauthUrl({ secret, label: user.email, issuer: ISSUER }),
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the app
+   * @returns {Promise<string[]>} recovery codes, shown to the user once
+   */
+  static async enable(userId, code) {
+    const user = await this.loadUser(userId);
+    if (user.mfa?.enabled) {
+      throw mfaError(409, "Two-factor authentication is already enabled", "MFA_ALREADY_ENABLED");
+    }
+    if (!user.mfa?.pending_secret) {
+      throw mfaError(400, "Start the setup first", "MFA_NOT_SET_UP");
+    }
+
+    const step = totp.verifyCode(totp.decryptSecret(user.mfa.pending_secret), code);
+    if (step === null) {
+      throw mfaError(401, "Invalid verification code", "MFA_INVALID");
+    }
+
+    const { codes, stored } = this.generateRecoveryCodes();
+    user.mfa.secret = user.mfa.pending_secret;
+    user.mfa.pending_secret = null;
+    user.mfa.enabled = true;
+    user.mfa.enabled_at = new Date();
+    user.mfa.last_used_step = step;
+    user.mfa.recovery_codes = stored;
+    user.mfa.failed_attempts = 0;
+    user.mfa.locked_until = null;
+    await user.save();
+
+    await AuditService.record({
+      action: "mfa.enable",
+      target_type: "user",
+      target_id: user._id,
+    });
+    return codes;
+  }
+
+  /**
+   * Check a TOTP code or an unused recovery code for a user with MFA enabled.
+   * Each TOTP code and recovery code is accepted once; after
+   * MAX_FAILED_ATTEMPTS failures in a row verification is locked for
+   * LOCK_MINUTES.
+   * @returns {Promise<"totp"|"recovery_code">} what was used
+   * @throws 401 MFA_INVALID, 429 MFA_LOCKED
+   */
+  static async verify(user, code) {
+    const now = new Date();
+    if (user.mfa.locked_until && user.mfa.locked_until > now) {
+      throw mfaError(
+        429,
+        "Too many invalid codes. Try again later.",
+        "MFA_LOCKED",
+      );
+    }
+
+    const reset = { "mfa.failed_attempts": 0, "mfa.locked_until": null };
+
+    const step = totp.verifyCode(totp.decryptSecret(user.mfa.secret), code);
+    if (step !== null) {
+      // Conditional on the step, so a code can't be replayed concurrently
+      const result = await User.updateOne(
+        { _id: user._id, "mfa.last_used_step": { $lt: step } },
+        { $set: { "mfa.last_used_step": step, ...reset } },
+      );
+      if (result.modifiedCount > 0) return "totp";
+    } else if (code) {
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          "mfa.recovery_codes": {
+            $elemMatch: { code_hash: hashRecoveryCode(code), used_at: null },
+          },
+        },
+        { $set: { "mfa.recovery_codes.$.used_at": now, ...reset } },
+      );
+      if (result.modifiedCount > 0) {
+        const remaining =
+          user.mfa.recovery_codes.filter((c) => !c.used_at).length - 1;
+        await AuditService.record({
+          action: "mfa.recovery_code_used",
+          target_type: "user",
+          target_id: user._id,
+          metadata: { remaining },
+        });
+        return "recovery_code";
+      }
+    }
+
+    const failed = await User.findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { "mfa.failed_attempts": 1 } },
+      { new: true },
+    );
+    if (failed && failed.mfa.failed_attempts >= MAX_FAILED_ATTEMPTS) {
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            "mfa.failed_attempts": 0,
+            "mfa.locked_until": new Date(now.getTime() + LOCK_MINUTES * 60 * 1000),
+          },
+        },
+      );
+      await AuditService.record({
+        action: "mfa.locked",
+        target_type: "user",
+        target_id: user._id,
+        metadata: { lock_minutes: LOCK_MINUTES },
+      });
+    }
+    throw mfaError(401, "Invalid verification code", "MFA_INVALID");
+  }
+
+  /**
+   * Turn MFA off (requires a valid code)
+   */
+  static async disable(userId, code) {
+    const user = await this.loadUser(userId);
+    if (!user.mfa?.enabled) {
+      throw mfaError(400, "Two-factor authentication is not enabled", "MFA_NOT_ENABLED");
+    }
+    await this.verify(user, code);
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "mfa.enabled": false,
+          "mfa.secret": null,
+          "mfa.pending_secret": null,
+          "mfa.enabled_at": null,
+          "mfa.last_used_step": 0,
+          "mfa.recovery_codes": [],
+        },
+      },
+    );
+    await AuditService.record({
+      action: "mfa.disable",
+      target_type: "user",
+      target_id: user._id,
+    });
+  }
+
+  /**
+   * Replace the recovery codes (requires a valid code)
+   * @returns {Promise<string[]>}
+   */
+  static async regenerateRecoveryCodes(userId, code) {
+    const user = await this.loadUser(userId);
+    if (!user.mfa?.enabled) {
+      throw mfaError(400, "Two-factor authentication is not enabled", "MFA_NOT_ENABLED");
+    }
+    await this.verify(user, code);
+
+    const { codes, stored } = this.generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { "mfa.recovery_codes": stored } });
+    await AuditService.record({
+      action: "mfa.recovery_codes_regenerate",
+      target_type: "user",
+      target_id: user._id,
+    });
+    return codes;
+  }
+
+  /**
+   * Login response when the password was right but a code is still needed
+   */
+  static challenge(user) {
+    return {
+      mfa_required: true,
+      mfa_token: generateMfaToken(user._id.toString()),
+    };
+  }
+}
+
+module.exports = MfaService;
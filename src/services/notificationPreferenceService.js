@@ -0,0 +1,119 @@
+const User = require("../models/User");
+
+class NotificationPreferenceService {
+  // Used for any type the user hasn't customised
+  static DEFAULT_CHANNELS = { in_app: true, push: true, email: false };
+
+  /**
+   * Decide which channels a notification should go out on for a user.
+   * Push and email are dropped during the user's quiet hours.
+   * @returns {Object} { in_app, push, email, quiet }
+   */
+  static async getDeliveryChannels(userId, type, date = new Date()) {
+    const user = await User.findById(userId).select(
+      "email timezone notification_preferences",
+    );
+    if (!user) {
+      return { ...this.DEFAULT_CHANNELS, quiet: false, email_to: null };
+    }
+
+    const prefs = user.notification_preferences || {};
+    const override = prefs.types?.get(type);
+    const channels = {
+      in_app: override?.in_app ?? this.DEFAULT_CHANNELS.in_app,
+      push: override?.push ?? this.DEFAULT_CHANNELS.push,
+      email: override?.email ?? this.DEFAULT_CHANNELS.email,
+    };
+
+    const quiet = this.isQuietTime(prefs.quiet_hours, user.timezone, date);
+
+    return {
+      in_app: channels.in_app,
+      push: channels.push && !quiet,
+      email: channels.email && !quiet,
+      quiet,
+      email_to: user.email,
+    };
+  }
+
+  /**
+   * Whether `date` falls inside the quiet hours window in the given timezone.
+   * Windows may cross midnight (e.g. 22:00 → 07:00).
+   */
+  static isQuietTime(quietHours, timezone, date = new Date()) {
+    if (!quietHours?.enabled) return false;
+
+    const start = this.toMinutes(quietHours.start);
+    const end = this.toMinutes(quietHours.end);
+    if (start === null || end === null || start === end) return false;
+
+    const now = this.localMinutes(date, timezone);
+    return start < end
+      ? now >= start && now < end
+      : now >= start || now < end;
+  }
+
+  /**
+   * Minutes since local midnight in the user's timezone
+   */
+  static localMinutes(date, timezone) {
+    let parts;
+    try {
+      parts = new Intl.DateTimeFormat("en-GB", {
+        timeZone: timezone || "UTC",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+      }).formatToParts(date);
+    } catch (e) {
+      // Unknown timezone stored on the user - fall back to UTC
+      return date.getUTCHours() * 60 + date.getUTCMinutes();
+    }
+    const hour = Number(parts.find((p) => p.type === "hour").value);
+    const minute = Number(parts.find((p) => p.type === "minute").value);
+    return hour * 60 + minute;
+  }
+
+  static toMinutes(hhmm) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(hhmm || "");
+    if (!match) return null;
+    return Number(match[1]) * 60 + Number(match[2]);
+  }
+
+  static isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat("en-GB", { timeZone: timezone });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Preferences as returned by the API, with defaults filled in for every type
+   */
+  static serialize(user, types) {
+    const prefs = user.notification_preferences || {};
+    const byType = {};
+    for (const type of types) {
+      const override = prefs.types?.get(type);
+      byType[type] = {
+        in_app: override?.in_app ?? this.DEFAULT_CHANNELS.in_app,
+        push: override?.push ?? this.DEFAULT_CHANNELS.push,
+        email: override?.email ?? this.DEFAULT_CHANNELS.email,
+      };
+    }
+
+    return {
+      timezone: user.timezone,
+      types: byType,
+      quiet_hours: {
+        enabled: prefs.quiet_hours?.enabled ?? false,
+        start: prefs.quiet_hours?.start ?? "22:00",
+        end: prefs.quiet_hours?.end ?? "07:00",
+      },
+    };
+  }
+}
+
+module.exports = NotificationPreferenceService;
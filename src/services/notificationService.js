@@ -1,9 +1,15 @@
 const Notification = require("../models/Notification");
+const Booking = require("../models/Booking");
 const { safeDel } = require("../config/redisClient");
+const NotificationStreamService = require("./notificationStreamService");
+const PushService = require("./pushService");
+const NotificationPreferenceService = require("./notificationPreferenceService");
+const { sendEmail } = require("./emailService");
 
 class NotificationService {
   /**
-   * Helper to create notification and invalidate cache
+   * Helper to create notification and invalidate cache.
+   * Honors the user's per-type channel preferences and quiet hours.
    */
   static async createAndInvalidateCache(userId, notificationData) {
     console.log(
@@ -19,21 +25,68 @@ class NotificationService {
       JSON.stringify(notificationData.payload),
     );
 
-    const notification = await Notification.create(notificationData);
-
-    console.log(
-      "[NotificationService] Notification created with ID:",
-      notification._id,
+    const channels = await NotificationPreferenceService.getDeliveryChannels(
+      userId,
+      notificationData.type,
     );
 
-    // Invalidate user's notification cache so they see updates immediately
-    const cacheKey = `notifications:${userId.toString()}`;
-    await safeDel(cacheKey);
-    console.log("[NotificationService] Cache invalidated for key:", cacheKey);
+    // In-app disabled: nothing is stored, but push/email still need an id
+    const notification = channels.in_app
+      ? await Notification.create(notificationData)
+      : new Notification(notificationData);
+
+    if (channels.in_app) {
+      console.log(
+        "[NotificationService] Notification created with ID:",
+        notification._id,
+      );
+
+      // Invalidate user's notification cache so they see updates immediately
+      const cacheKey = `notifications:${userId.toString()}`;
+      await safeDel(cacheKey);
+      console.log("[NotificationService] Cache invalidated for key:", cacheKey);
+
+      // Push to the user's open notification streams
+      NotificationStreamService.publish(notification);
+    }
+
+    if (channels.quiet) {
+      console.log(
+        "[NotificationService] Quiet hours - push/email suppressed for user:",
+        userId,
+      );
+    }
+
+    // Mobile push (fire and forget - never blocks or fails the caller)
+    if (channels.push) {
+      PushService.sendForNotification(notification);
+    }
+
+    if (channels.email && channels.email_to) {
+      this.sendEmailForNotification(channels.email_to, notification);
+    }
 
     return notification;
   }
 
+  /**
+   * Email copy of a notification, reusing the push title/body (never throws)
+   */
+  static async sendEmailForNotification(to, notification) {
+    try {
+      const message = PushService.buildMessage(notification);
+      if (!message) return null;
+      return await sendEmail({
+        to,
+        subject: message.notification.title,
+        text: message.notification.body,
+      });
+    } catch (error) {
+      console.error("[NotificationService] Email delivery failed:", error.message);
+      return null;
+    }
+  }
+
   /**
    * Notification types
    */
@@ -52,6 +105,10 @@ class NotificationService {
     REQUEST_ACCEPTED: "request_accepted",
     REQUEST_BOOKED: "request_booked",
     RATING_RECEIVED: "rating_received",
+    OFFER_CANCELLED: "offer_cancelled",
+    RIDE_REMINDER: "ride_reminder",
+    FLIGHT_UPDATED: "flight_updated",
+    IDENTITY_VERIFICATION: "identity_verification",
   };
 
   /**
@@ -157,23 +214,44 @@ class NotificationService {
     });
   }
 
+  /**
+   * Mark a booking's rating prompt as sent, once
+   * @returns {Promise<boolean>} false if it already was
+   */
+  static async claimRatingPrompt(bookingId, field) {
+    const result = await Booking.updateOne(
+      { _id: bookingId, [field]: null },
+      { $set: { [field]: new Date() } },
+    );
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Create a claimed rating prompt, releasing the claim if that fails so the
+   * next run retries it
+   */
+  static async sendRatingPrompt(bookingId, field, userId, notificationData) {
+    try {
+      return await this.createAndInvalidateCache(userId, notificationData);
+    } catch (error) {
+      await Booking.updateOne({ _id: bookingId }, { $set: { [field]: null } });
+      throw error;
+    }
+  }
+
   /**
    * Send rate driver notification to passenger
    * Called 30 minutes after ride departure time
    */
   static async notifyRateDriver(passengerId, ratingData) {
-    // Check if notification already sent for this booking
-    const existing = await Notification.findOne({
-      user_id: passengerId,
-      type: this.TYPES.RATE_DRIVER,
-      "payload.booking_id": ratingData.booking_id,
-    });
-
-    if (existing) {
-      return existing; // Don't send duplicate
+    // Claimed on the booking: the notification isn't stored when the user
+    // turned in-app off, so it can't be used to detect a duplicate
+    const field = "rate_driver_prompted_at";
+    if (!(await this.claimRatingPrompt(ratingData.booking_id, field))) {
+      return null; // Already sent
     }
 
-    return await this.createAndInvalidateCache(passengerId, {
+    return await this.sendRatingPrompt(ratingData.booking_id, field, passengerId, {
       user_id: passengerId,
       type: this.TYPES.RATE_DRIVER,
       payload: {
@@ -193,18 +271,14 @@ class NotificationService {
    * Called 30 minutes after ride departure time
    */
   static async notifyRatePassenger(driverId, ratingData) {
-    // Check if notification already sent for this booking
-    const existing = await Notification.findOne({
-      user_id: driverId,
-      type: this.TYPES.RATE_PASSENGER,
-      "payload.booking_id": ratingData.booking_id,
-    });
-
-    if (existing) {
-      return existing; // Don't send duplicate
+    // Claimed on the booking: the notification isn't stored when the user
+    // turned in-app off, so it can't be used to detect a duplicate
+    const field = "rate_passenger_prompted_at";
+    if (!(await this.claimRatingPrompt(ratingData.booking_id, field))) {
+      return null; // Already sent
     }
 
-    return await this.createAndInvalidateCache(driverId, {
+    return await this.sendRatingPrompt(ratingData.booking_id, field, driverId, {
       user_id: driverId,
       type: this.TYPES.RATE_PASSENGER,
       payload: {
@@ -283,7 +357,7 @@ class NotificationService {
   static async notifyOfferCancelled(passengerId, offerData) {
     return await this.createAndInvalidateCache(passengerId, {
       user_id: passengerId,
-      type: "offer_cancelled",
+      type: this.TYPES.OFFER_CANCELLED,
       payload: {
         request_id: offerData.request_id,
         driver_name: offerData.driver_name,
@@ -345,6 +419,68 @@ class NotificationService {
       },
     });
   }
+
+  /**
+   * Send pre-departure reminder to driver or passenger
+   * Called by RideReminderService at the configured offsets (e.g. 24h, 2h)
+   */
+  static async notifyRideReminder(userId, reminderData) {
+    return await this.createAndInvalidateCache(userId, {
+      user_id: userId,
+      type: this.TYPES.RIDE_REMINDER,
+      payload: {
+        role: reminderData.role, // 'driver' or 'passenger'
+        hours_before: reminderData.hours_before,
+        ride_id: reminderData.ride_id,
+        booking_id: reminderData.booking_id,
+        datetime_start: reminderData.datetime_start,
+        direction: reminderData.direction,
+        airport_name: reminderData.airport_name,
+        pickup_location: reminderData.pickup_location,
+        driver_name: reminderData.driver_name,
+        car_model: reminderData.car_model,
+        car_color: reminderData.car_color,
+        chat_link: reminderData.chat_link,
+        passengers: reminderData.passengers, // Driver only
+      },
+    });
+  }
+
+  /**
+   * Send flight update notification to driver
+   * Called when a passenger's flight delay moves the suggested pickup time
+   */
+  static async notifyFlightUpdated(driverId, flightData) {
+    return await this.createAndInvalidateCache(driverId, {
+      user_id: driverId,
+      type: this.TYPES.FLIGHT_UPDATED,
+      payload: {
+        booking_id: flightData.booking_id,
+        request_id: flightData.request_id,
+        ride_id: flightData.ride_id,
+        passenger_name: flightData.passenger_name,
+        flight_number: flightData.flight_number,
+        flight_status: flightData.flight_status,
+        delay_minutes: flightData.delay_minutes,
+        estimated_arrival: flightData.estimated_arrival,
+        suggested_pickup_at: flightData.suggested_pickup_at,
+      },
+    });
+  }
+
+  /**
+   * Send the outcome of the ID review to the user
+   */
+  static async notifyIdentityVerification(userId, verificationData) {
+    return await this.createAndInvalidateCache(userId, {
+      user_id: userId,
+      type: this.TYPES.IDENTITY_VERIFICATION,
+      payload: {
+        status: verificationData.status, // 'approved' or 'rejected'
+        rejection_reason: verificationData.rejection_reason || null,
+      },
+    });
+  }
 }
 
 module.exports = NotificationService;
@@ -0,0 +1,82 @@
+const EventEmitter = require("events");
+const redis = require("../config/redisClient");
+const { isRedisReady } = require("../config/redisClient");
+
+const CHANNEL_PREFIX = "notification-stream:";
+
+/**
+ * Pub/sub for newly created notifications.
+ * NotificationService publishes, the SSE stream in notificationRoutes subscribes per user.
+ * Notifications go through Redis pub/sub so a stream open on one instance gets
+ * the ones created on another (jobs, webhooks). While Redis is down they are
+ * only delivered to streams open on the instance that created them.
+ */
+class NotificationStreamService {
+  static emitter = (() => {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0); // One listener per open stream
+    return emitter;
+  })();
+
+  // Dedicated connection: a subscribed Redis client can't run other commands
+  static subscriber = null;
+
+  /**
+   * Publish a freshly created notification to the owner's open streams
+   */
+  static publish(notification) {
+    const userId = notification.user_id?.toString();
+    if (!userId) return;
+
+    if (isRedisReady()) {
+      redis
+        .publish(this.channel(userId), JSON.stringify(notification))
+        .catch((err) => {
+          console.error("[NotificationStream] Redis publish failed:", err.message);
+          this.emitLocal(userId, notification);
+        });
+      return;
+    }
+    this.emitLocal(userId, notification);
+  }
+
+  /**
+   * Listen for a user's new notifications
+   * @returns {Function} unsubscribe
+   */
+  static subscribe(userId, listener) {
+    this.ensureSubscriber();
+    const channel = this.channel(userId.toString());
+    this.emitter.on(channel, listener);
+    return () => this.emitter.off(channel, listener);
+  }
+
+  static emitLocal(userId, notification) {
+    this.emitter.emit(this.channel(userId), notification);
+  }
+
+  /**
+   * Start relaying Redis messages to local listeners (once, on the first stream)
+   */
+  static ensureSubscriber() {
+    if (this.subscriber) return;
+    this.subscriber = redis.duplicate();
+    this.subscriber.on("error", () => {}); // Logged once by the main client
+    this.subscriber.on("pmessage", (pattern, channel, message) => {
+      try {
+        this.emitter.emit(channel, JSON.parse(message));
+      } catch (err) {
+        console.error("[NotificationStream] Invalid message on", channel);
+      }
+    });
+    this.subscriber.psubscribe(`${CHANNEL_PREFIX}*`).catch((err) => {
+      console.error("[NotificationStream] Redis subscribe failed:", err.message);
+    });
+  }
+
+  static channel(userId) {
+    return `${CHANNEL_PREFIX}${userId}`;
+  }
+}
+
+module.exports = NotificationStreamService;
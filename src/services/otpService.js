@@ -0,0 +1,52 @@
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const EmailOtp = require("../models/EmailOtp");
+
+// Wrong guesses allowed per code before a new one must be requested
+const MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || "5", 10);
+
+class OtpService {
+  static MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+  /**
+   * 6-digit code from a cryptographically secure source
+   */
+  static generate() {
+    return crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+  }
+
+  /**
+   * Check a code against an EmailOtp record. The attempt is counted before
+   * comparing, atomically, so parallel guesses can't exceed MAX_ATTEMPTS;
+   * the record is deleted once they are used up.
+   * @param {Object} doc EmailOtp record with a code_hash
+   * @param {string} code
+   * @returns {Promise<{status: "valid"|"invalid"|"locked"|"expired", doc?: Object, remaining?: number}>}
+   */
+  static async check(doc, code) {
+    const claimed = await EmailOtp.findOneAndUpdate(
+      { _id: doc._id, attempts: { $lt: MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true },
+    );
+    if (!claimed) {
+      await EmailOtp.deleteOne({ _id: doc._id });
+      return { status: "locked" };
+    }
+    // Used by a parallel request, or expired in the meantime
+    if (!claimed.code_hash || (claimed.expiresAt && new Date() > claimed.expiresAt)) {
+      return { status: "expired" };
+    }
+
+    if (await bcrypt.compare(String(code), claimed.code_hash)) {
+      return { status: "valid", doc: claimed };
+    }
+    if (claimed.attempts >= MAX_ATTEMPTS) {
+      await EmailOtp.deleteOne({ _id: doc._id });
+      return { status: "locked" };
+    }
+    return { status: "invalid", remaining: MAX_ATTEMPTS - claimed.attempts };
+  }
+}
+
+module.exports = OtpService;
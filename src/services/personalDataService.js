@@ -0,0 +1,273 @@
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const cloudinary = require("cloudinary").v2;
+const User = require("../models/User");
+const Ride = require("../models/Ride");
+const RideSeries = require("../models/RideSeries");
+const Booking = require("../models/Booking");
+const RideRequest = require("../models/RideRequest");
+const Message = require("../models/Message");
+const Rating = require("../models/Rating");
+const Wallet = require("../models/Wallet");
+const Transaction = require("../models/Transaction");
+const Payout = require("../models/Payout");
+const Notification = require("../models/Notification");
+const DeviceToken = require("../models/DeviceToken");
+const Session = require("../models/Session");
+const EmailOtp = require("../models/EmailOtp");
+const PasswordReset = require("../models/PasswordReset");
+const IdempotencyKey = require("../models/IdempotencyKey");
+const AuditLog = require("../models/AuditLog");
+const AuditService = require("./auditService");
+
+// "https://res.cloudinary.com/<cloud>/image/upload/v123/chat_images/abc.jpg" -> "chat_images/abc"
+const cloudinaryPublicId = (url) => {
+  if (!url || !url.includes("res.cloudinary.com")) return null;
+  const match = url.match(/\/upload\/(?:v\d+\/)?(.+)\.[^./]+$/);
+  return match ? match[1] : null;
+};
+
+/**
+ * Personal data of a user: export (right of access) and erasure (right to
+ * erasure). Trips, payments and the audit log are kept for accounting and
+ * dispute purposes, attached to the anonymized account.
+ */
+class PersonalDataService {
+  /**
+   * Full JSON archive of the user's data
+   */
+  static async export(userId) {
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    const [
+      rides,
+      rideSeries,
+      bookings,
+      rideRequests,
+      messages,
+      ratingsGiven,
+      ratingsReceived,
+      wallet,
+      transactions,
+      payouts,
+      notifications,
+      devices,
+      sessions,
+      activity,
+    ] = await Promise.all([
+      Ride.find({ driver_id: userId }).sort({ datetime_start: -1 }).lean(),
+      RideSeries.find({ driver_id: userId }).lean(),
+      Booking.find({ passenger_id: userId }).sort({ createdAt: -1 }).lean(),
+      RideRequest.find({ passenger: userId }).sort({ createdAt: -1 }).lean(),
+      Message.find({ $or: [{ sender_id: userId }, { receiver_id: userId }] })
+        .sort({ createdAt: 1 })
+        .lean(),
+      Rating.find({ from_user: userId }).lean(),
+      Rating.find({ to_user: userId }).lean(),
+      Wallet.findOne({ user_id: userId }).lean(),
+      Transaction.find({ user_id: userId }).sort({ createdAt: -1 }).lean(),
+      Payout.find({ user_id: userId }).sort({ createdAt: -1 }).lean(),
+      Notification.find({ user_id: userId }).sort({ createdAt: -1 }).lean(),
+      DeviceToken.find({ user_id: userId }).select("-token").lean(),
+      Session.find({ user_id: userId }).select("-refresh_jti").lean(),
+      AuditLog.find({ actor_id: userId }).sort({ createdAt: -1 }).lean(),
+    ]);
+
+    const profile = user.toJSON();
+    profile.mfa_enabled = Boolean(user.mfa?.enabled);
+
+    return {
+      exported_at: new Date(),
+      profile,
+      rides,
+      ride_series: rideSeries,
+      bookings,
+      ride_requests: rideRequests,
+      messages,
+      ratings_given: ratingsGiven,
+      ratings_received: ratingsReceived,
+      wallet,
+      transactions,
+      payouts,
+      notifications,
+      devices,
+      sessions,
+      activity,
+    };
+  }
+
+  /**
+   * What prevents deleting the account right now
+   * @returns {Promise<Array<{type: string, message: string, count?: number}>>}
+   *   empty when the account can be deleted
+   */
+  static async deletionBlockers(userId) {
+    const [activeRides, rideIds, wallet, pendingPayouts] = await Promise.all([
+      Ride.countDocuments({ driver_id: userId, status: "active" }),
+      Booking.find({
+        passenger_id: userId,
+        status: { $in: ["pending", "accepted"] },
+      }).distinct("ride_id"),
+      Wallet.findOne({ user_id: userId }).lean(),
+      Payout.countDocuments({
+        user_id: userId,
+        status: { $in: ["pending", "processing"] },
+      }),
+    ]);
+    const activeBookings = rideIds.length
+      ? await Ride.countDocuments({ _id: { $in: rideIds }, status: "active" })
+      : 0;
+
+    const blockers = [];
+    if (activeRides > 0) {
+      blockers.push({
+        type: "active_rides",
+        message: "Cancel or complete your upcoming rides first",
+        count: activeRides,
+      });
+    }
+    if (activeBookings > 0) {
+      blockers.push({
+        type: "active_bookings",
+        message: "Cancel your upcoming bookings first",
+        count: activeBookings,
+      });
+    }
+    if (wallet && (wallet.balance > 0 || wallet.pending_balance > 0)) {
+      blockers.push({
+        type: "wallet_balance",
+        message: "Withdraw your wallet balance first (pending earnings are released after the ride)",
+        balance: wallet.balance,
+        pending_balance: wallet.pending_balance,
+      });
+    }
+    if (pendingPayouts > 0) {
+      blockers.push({
+        type: "pending_payouts",
+        message: "Wait for your withdrawal to complete",
+        count: pendingPayouts,
+      });
+    }
+    return blockers;
+  }
+
+  /**
+   * Delete Cloudinary assets, logging failures
+   * @returns {Promise<string[]>} public IDs that couldn't be deleted
+   */
+  static async destroyAssets(publicIds) {
+    if (!process.env.CLOUDINARY_URL) return [];
+    const failed = [];
+    for (const publicId of publicIds) {
+      try {
+        await cloudinary.uploader.destroy(publicId, { resource_type: "image" });
+      } catch (err) {
+        console.warn(`[PersonalData] Cloudinary destroy failed for ${publicId}:`, err.message);
+        failed.push(publicId);
+      }
+    }
+    return failed;
+  }
+
+  /**
+   * Erase the account: anonymize the profile, messages and rating comments,
+   * delete images and everything only used to operate the account (devices,
+   * sessions, notifications, codes). Call after checking deletionBlockers.
+   */
+  static async erase(userId) {
+    const user = await User.findById(userId);
+    if (!user) return;
+    const email = user.email;
+
+    const chatImages = await Message.find({
+      sender_id: userId,
+      image_url: { $ne: null },
+    })
+      .select("image_url")
+      .lean();
+    const publicIds = [
+      user.avatar_public_id,
+      user.id_image_front_public_id,
+      user.id_image_back_public_id,
+      ...chatImages.map((m) => cloudinaryPublicId(m.image_url)),
+    ].filter(Boolean);
+
+    // The account first: it can't be logged into from here on, and the
+    // email and phone are free for a new registration
+    const deletedAt = user.deleted_at || new Date();
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          email: `deleted-${userId}@deleted.invalid`,
+          phone: "",
+          password_hash: await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10),
+          first_name: "Deleted",
+          last_name: "User",
+          date_of_birth: null,
+          avatar_url: null,
+          avatar_public_id: null,
+          firebase_uid: null,
+          phone_verified: false,
+          email_verified: false,
+          bio: null,
+          languages: [],
+          car_model: null,
+          car_color: null,
+          id_image_front_url: null,
+          id_image_back_url: null,
+          id_image_front_public_id: null,
+          id_image_back_public_id: null,
+          identity_verification: { status: "none" },
+          saved_locations: [],
+          "mfa.enabled": false,
+          "mfa.secret": null,
+          "mfa.pending_secret": null,
+          "mfa.recovery_codes": [],
+          deleted_at: deletedAt,
+        },
+      },
+    );
+
+    const [messages, ratings] = await Promise.all([
+      Message.updateMany(
+        { sender_id: userId },
+        { $set: { content: "[deleted]", message_type: "text", image_url: null } },
+      ),
+      Rating.updateMany({ from_user: userId }, { $set: { comment: null } }),
+      RideRequest.updateMany(
+        { passenger: userId, status: { $in: ["pending", "matched"] } },
+        { $set: { status: "cancelled" } },
+      ),
+      RideSeries.updateMany(
+        { driver_id: userId, status: "active" },
+        { $set: { status: "cancelled" } },
+      ),
+      Session.deleteMany({ user_id: userId }),
+      DeviceToken.deleteMany({ user_id: userId }),
+      Notification.deleteMany({ user_id: userId }),
+      PasswordReset.deleteMany({ user_id: userId }),
+      IdempotencyKey.deleteMany({ user_id: userId }),
+      EmailOtp.deleteMany({ email: { $in: [email, `reset:${email}`] } }),
+    ]);
+
+    const failedAssets = await this.destroyAssets(publicIds);
+
+    await AuditService.record({
+      action: "user.delete",
+      target_type: "user",
+      target_id: userId,
+      before: { deleted_at: user.deleted_at || null },
+      after: { deleted_at: deletedAt },
+      metadata: {
+        anonymized_messages: messages.modifiedCount,
+        anonymized_ratings: ratings.modifiedCount,
+        deleted_assets: publicIds.length - failedAssets.length,
+        failed_assets: failedAssets,
+      },
+    });
+  }
+}
+
+module.exports = PersonalDataService;
@@ -0,0 +1,187 @@
+const mongoose = require("mongoose");
+const Airport = require("../models/Airport");
+const Booking = require("../models/Booking");
+const MapService = require("./mapService");
+const RouteMatchingService = require("./routeMatchingService");
+const { getTimezoneOffset } = require("../utils/timezone");
+
+// Cost model, in euros per seat
+const BASE_FARE = parseFloat(process.env.PRICING_BASE_FARE || "2");
+const PER_KM = parseFloat(process.env.PRICING_PER_KM || "0.08");
+// Detours are driven for one passenger, so they cost more per km
+const DETOUR_PER_KM = parseFloat(process.env.PRICING_DETOUR_PER_KM || "0.3");
+// Rides departing between 22:00 and 06:00 (airport local time)
+const NIGHT_MULTIPLIER = parseFloat(process.env.PRICING_NIGHT_MULTIPLIER || "1.2");
+
+// Suggested range around the price, e.g. 0.2 = +/- 20%
+const RANGE = 0.2;
+// Past rides needed before the platform's prices weigh in
+const MIN_HISTORY_SAMPLES = 5;
+const HISTORY_DAYS = 90;
+const HISTORY_LIMIT = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Prices are shown to the nearest 50 cents
+const roundPrice = (price) => Math.max(0, Math.round(price * 2) / 2);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+class PricingService {
+  /**
+   * Whether a departure falls in night hours at the airport
+   */
+  static isNight(datetime, timezone) {
+    const date = new Date(datetime);
+    const local = new Date(
+      date.getTime() + getTimezoneOffset(date, timezone || "Europe/Paris"),
+    );
+    const hour = local.getUTCHours();
+    return hour >= 22 || hour < 6;
+  }
+
+  /**
+   * Median price per km of recent rides with accepted bookings at the
+   * same airport and direction
+   * @returns {Object} { per_km, samples }
+   */
+  static async historicalPricePerKm(airportId, direction, now = new Date()) {
+    const rides = await Booking.aggregate([
+      {
+        $match: {
+          status: "accepted",
+          createdAt: { $gte: new Date(now.getTime() - HISTORY_DAYS * DAY_MS) },
+        },
+      },
+      { $group: { _id: "$ride_id" } },
+      {
+        $lookup: {
+          from: "rides",
+          localField: "_id",
+          foreignField: "_id",
+          as: "ride",
+        },
+      },
+      { $unwind: "$ride" },
+      {
+        $match: {
+          "ride.airport_id": new mongoose.Types.ObjectId(airportId.toString()),
+          "ride.direction": direction,
+          "ride.route.coordinates.1": { $exists: true },
+        },
+      },
+      { $sort: { "ride.datetime_start": -1 } },
+      { $limit: HISTORY_LIMIT },
+      { $project: { price_per_seat: "$ride.price_per_seat", route: "$ride.route" } },
+    ]);
+
+    const rates = [];
+    for (const ride of rides) {
+      const km = MapService.routeLength(ride.route) / 1000;
+      if (km >= 1) rates.push(ride.price_per_seat / km);
+    }
+
+    return {
+      per_km: rates.length > 0 ? median(rates) : null,
+      samples: rates.length,
+    };
+  }
+
+  /**
+   * Suggested price range per seat for a trip
+   * @param {Object} params
+   * @param {Object} params.airport Airport document (_id, timezone)
+   * @param {string} params.direction home_to_airport | airport_to_home
+   * @param {Date} params.datetime departure
+   * @param {number} params.distance route length in meters
+   * @returns {Object} { suggested, min, max, currency, breakdown }
+   */
+  static async suggest({ airport, direction, datetime, distance }) {
+    const km = distance / 1000;
+    const night = datetime ? this.isNight(datetime, airport.timezone) : false;
+    const multiplier = night ? NIGHT_MULTIPLIER : 1;
+
+    const costPrice = (BASE_FARE + km * PER_KM) * multiplier;
+
+    // Blend with what passengers actually accepted on similar trips
+    const history = await this.historicalPricePerKm(airport._id, direction);
+    let price = costPrice;
+    if (history.samples >= MIN_HISTORY_SAMPLES) {
+      price = (costPrice + history.per_km * km * multiplier) / 2;
+    }
+
+    return {
+      suggested: roundPrice(price),
+      min: roundPrice(price * (1 - RANGE)),
+      max: roundPrice(price * (1 + RANGE)),
+      currency: "EUR",
+      breakdown: {
+        distance_km: Math.round(km * 10) / 10,
+        base_fare: BASE_FARE,
+        per_km: PER_KM,
+        night,
+        night_multiplier: NIGHT_MULTIPLIER,
+        cost_price: roundPrice(costPrice),
+        history_per_km:
+          history.per_km !== null ? Math.round(history.per_km * 1000) / 1000 : null,
+        history_samples: history.samples,
+      },
+    };
+  }
+
+  /**
+   * Suggested price per seat for a driver offering a ride to a ride request.
+   * With one of the driver's rides, the detour to the passenger is added.
+   * @param {Object} request RideRequest document
+   * @param {Object|null} ride the driver's Ride the offer is for
+   */
+  static async suggestForRequest(request, ride = null) {
+    const airport = await Airport.findById(request.airport);
+    if (!airport) return null;
+
+    const passengerLoc = {
+      lat: request.location_latitude,
+      lng: request.location_longitude,
+    };
+    const airportLoc = { lat: airport.latitude, lng: airport.longitude };
+    const toAirport = request.direction === "to_airport";
+    const route = toAirport
+      ? await MapService.getRoute(passengerLoc, airportLoc)
+      : await MapService.getRoute(airportLoc, passengerLoc);
+
+    const suggestion = await this.suggest({
+      airport,
+      direction: toAirport ? "home_to_airport" : "airport_to_home",
+      datetime: request.preferred_datetime,
+      distance: route.distance ?? MapService.routeLength(route),
+    });
+
+    const match = ride?.route ? RouteMatchingService.match(ride, passengerLoc) : null;
+    if (match) {
+      const surcharge = this.detourSurcharge(match.detour_distance);
+      suggestion.detour = {
+        detour_distance: match.detour_distance,
+        detour_minutes: match.detour_minutes,
+        surcharge,
+      };
+      suggestion.suggested = roundPrice(suggestion.suggested + surcharge);
+      suggestion.min = roundPrice(suggestion.min + surcharge);
+      suggestion.max = roundPrice(suggestion.max + surcharge);
+    }
+    return suggestion;
+  }
+
+  /**
+   * Extra price per seat for a passenger who needs a detour
+   * @param {number} detourDistance extra meters driven (out and back)
+   */
+  static detourSurcharge(detourDistance) {
+    return roundPrice((detourDistance / 1000) * DETOUR_PER_KM);
+  }
+}
+
+module.exports = PricingService;
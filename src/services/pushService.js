@@ -0,0 +1,198 @@
+const DeviceToken = require("../models/DeviceToken");
+
+// FCM error codes meaning the token will never work again
+const INVALID_TOKEN_CODES = [
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+];
+
+/**
+ * Firebase Cloud Messaging provider (uses the admin app from config/firebaseAdmin)
+ */
+const fcmProvider = {
+  name: "fcm",
+  async send(tokens, message) {
+    const admin = require("../config/firebaseAdmin");
+    const response = await admin.messaging().sendEachForMulticast({
+      tokens,
+      notification: message.notification,
+      data: message.data,
+    });
+    return response.responses.map((r) => ({
+      success: r.success,
+      errorCode: r.error?.code || null,
+    }));
+  },
+};
+
+/**
+ * Local stub provider: logs and keeps the last messages in memory.
+ * Enable with PUSH_PROVIDER=stub (development and tests).
+ */
+const stubProvider = {
+  name: "stub",
+  sent: [],
+  invalidTokens: new Set(), // Tokens the stub should reject as unregistered
+  async send(tokens, message) {
+    console.log(
+      `[PushService:stub] ${message.notification.title} → ${tokens.length} device(s)`,
+    );
+    this.sent.push({ tokens, message, sent_at: new Date() });
+    if (this.sent.length > 100) this.sent.shift();
+    return tokens.map((token) =>
+      this.invalidTokens.has(token)
+        ? { success: false, errorCode: INVALID_TOKEN_CODES[0] }
+        : { success: true, errorCode: null },
+    );
+  },
+};
+
+class PushService {
+  static providers = { fcm: fcmProvider, stub: stubProvider };
+  static provider =
+    PushService.providers[process.env.PUSH_PROVIDER] || fcmProvider;
+
+  /**
+   * Replace the delivery provider (e.g. with the stub in tests)
+   */
+  static setProvider(provider) {
+    this.provider =
+      typeof provider === "string" ? this.providers[provider] : provider;
+  }
+
+  /**
+   * Register (or move) a device token for a user
+   */
+  static async registerDevice(userId, token, platform) {
+    return await DeviceToken.findOneAndUpdate(
+      { token },
+      { user_id: userId, token, platform, last_seen_at: new Date() },
+      { new: true, upsert: true, runValidators: true },
+    );
+  }
+
+  /**
+   * Remove a device token (logout / notifications disabled on the device)
+   */
+  static async unregisterDevice(userId, token) {
+    const result = await DeviceToken.deleteOne({ user_id: userId, token });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Send a push to every device of a user and prune tokens FCM rejects
+   * @returns {Object} { sent, failed, pruned }
+   */
+  static async sendToUser(userId, message) {
+    const devices = await DeviceToken.find({ user_id: userId }).select("token");
+    if (devices.length === 0) return { sent: 0, failed: 0, pruned: 0 };
+
+    const tokens = devices.map((d) => d.token);
+    const results = await this.provider.send(tokens, message);
+
+    const invalidTokens = tokens.filter(
+      (token, i) =>
+        !results[i]?.success &&
+        INVALID_TOKEN_CODES.includes(results[i]?.errorCode),
+    );
+    if (invalidTokens.length > 0) {
+      await DeviceToken.deleteMany({ token: { $in: invalidTokens } });
+      console.log(
+        `[PushService] Pruned ${invalidTokens.length} invalid token(s) for user ${userId}`,
+      );
+    }
+
+    const sent = results.filter((r) => r?.success).length;
+    return { sent, failed: tokens.length - sent, pruned: invalidTokens.length };
+  }
+
+  /**
+   * Build the push message for a stored notification.
+   * Returns null for notification types that are in-app only.
+   */
+  static buildMessage(notification) {
+    const p = notification.payload || {};
+    let title;
+    let body;
+
+    switch (notification.type) {
+      case "booking_request":
+        title = "New booking request";
+        body = `${p.passenger_name} requested ${p.seats} seat(s) on your ride`;
+        break;
+      case "booking_accepted":
+        title = "Booking accepted";
+        body = `${p.driver_name} accepted your booking`;
+        break;
+      case "request_accepted":
+        title = "Ride request accepted";
+        body = `${p.driver_name} accepted your ride request`;
+        break;
+      case "offer_received":
+        title = "New offer";
+        body = `${p.driver_name} offered a ride at €${p.price_per_seat}/seat`;
+        break;
+      case "offer_accepted":
+        title = "Offer accepted";
+        body = `${p.passenger_name} accepted your offer`;
+        break;
+      case "ride_cancelled":
+        title = "Ride cancelled";
+        body = `Your ride${p.airport_name ? ` to ${p.airport_name}` : ""} was cancelled by the driver`;
+        break;
+      case "ride_reminder": {
+        const when = p.hours_before >= 1 ? `${p.hours_before}h` : "soon";
+        title = `Ride in ${when}`;
+        body =
+          p.role === "driver"
+            ? `${p.passengers?.length || 0} passenger(s) booked${p.airport_name ? ` - ${p.airport_name}` : ""}`
+            : `Pickup: ${p.pickup_location?.address || "see app"}${p.car_model ? ` - ${[p.car_color, p.car_model].filter(Boolean).join(" ")}` : ""}`;
+        break;
+      }
+      case "flight_updated":
+        title = `Flight ${p.flight_number} update`;
+        body =
+          p.delay_minutes > 0
+            ? `${p.passenger_name || "Your passenger"}'s flight is ${p.delay_minutes} min late - suggested pickup moved`
+            : `${p.passenger_name || "Your passenger"}'s flight time changed - suggested pickup moved`;
+        break;
+      case "identity_verification":
+        title = p.status === "approved" ? "ID verified" : "ID verification rejected";
+        body =
+          p.status === "approved"
+            ? "Your profile now shows the verified badge"
+            : p.rejection_reason || "Please upload your ID again";
+        break;
+      case "chat_message":
+        title = p.sender_name || "New message";
+        body = p.content || "New message";
+        break;
+      default:
+        return null;
+    }
+
+    // FCM data values must be strings
+    const data = { type: notification.type, notification_id: notification._id.toString() };
+    for (const key of ["booking_id", "ride_id", "request_id", "offer_id"]) {
+      if (p[key]) data[key] = p[key].toString();
+    }
+
+    return { notification: { title, body }, data };
+  }
+
+  /**
+   * Deliver a stored notification as a push (never throws)
+   */
+  static async sendForNotification(notification) {
+    try {
+      const message = this.buildMessage(notification);
+      if (!message) return null;
+      return await this.sendToUser(notification.user_id, message);
+    } catch (error) {
+      console.error("[PushService] Push delivery failed:", error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = PushService;
@@ -0,0 +1,153 @@
+const crypto = require("crypto");
+const redis = require("../config/redisClient");
+const { isRedisReady } = require("../config/redisClient");
+
+// Failures within the window that trigger a lockout (default)
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD || "5", 10);
+const LOCKOUT_WINDOW_SECONDS = parseInt(process.env.LOCKOUT_WINDOW_SECONDS || "900", 10);
+// First lockout, doubled for each further one up to the max
+const LOCKOUT_BASE_SECONDS = parseInt(process.env.LOCKOUT_BASE_SECONDS || "60", 10);
+const LOCKOUT_MAX_SECONDS = parseInt(process.env.LOCKOUT_MAX_SECONDS || "3600", 10);
+// Lockouts count towards the next one's length for this long
+const LOCKOUT_LEVEL_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Counters and lockouts shared by every instance through Redis, with
+ * per-process memory entries while Redis is down
+ */
+class RateLimitService {
+  static memory = new Map();
+
+  static memoryEntry(key) {
+    const entry = this.memory.get(key);
+    if (entry && entry.expires_at <= Date.now()) {
+      this.memory.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  static memorySet(key, value, ttlSeconds) {
+    const now = Date.now();
+    // Drop expired entries now and then so the map doesn't grow forever
+    if (this.memory.size > 10000) {
+      for (const [k, v] of this.memory) {
+        if (v.expires_at <= now) this.memory.delete(k);
+      }
+    }
+    this.memory.set(key, { value, expires_at: now + ttlSeconds * 1000 });
+  }
+
+  /**
+   * Run a Redis command, or null when Redis is unavailable
+   */
+  static async withRedis(fn) {
+    if (!isRedisReady()) return null;
+    try {
+      return await fn(redis);
+    } catch (err) {
+      console.error("[RateLimit] Redis error, using memory store:", err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Identifiers (emails, phones) are hashed before going into keys
+   */
+  static hashIdentifier(value) {
+    return crypto
+      .createHash("sha256")
+      .update(String(value).toLowerCase().trim())
+      .digest("hex")
+      .slice(0, 32);
+  }
+
+  /**
+   * Increment a counter expiring windowSeconds after its first hit
+   * @returns {Promise<number>} the new count
+   */
+  static async increment(key, windowSeconds) {
+    const count = await this.withRedis(async (client) => {
+      const value = await client.incr(key);
+      if (value === 1) await client.expire(key, windowSeconds);
+      return value;
+    });
+    if (count !== null) return count;
+
+    const entry = this.memoryEntry(key);
+    if (!entry) {
+      this.memorySet(key, 1, windowSeconds);
+      return 1;
+    }
+    entry.value++;
+    return entry.value;
+  }
+
+  /**
+   * Seconds until a key expires, 0 if it doesn't exist
+   */
+  static async ttl(key) {
+    const ttl = await this.withRedis((client) => client.ttl(key));
+    if (ttl !== null) return Math.max(ttl, 0);
+    const entry = this.memoryEntry(key);
+    return entry ? Math.ceil((entry.expires_at - Date.now()) / 1000) : 0;
+  }
+
+  static async set(key, value, ttlSeconds) {
+    const done = await this.withRedis((client) => client.set(key, value, "EX", ttlSeconds));
+    if (done === null) this.memorySet(key, value, ttlSeconds);
+  }
+
+  static async del(...keys) {
+    await this.withRedis((client) => client.del(keys));
+    for (const key of keys) this.memory.delete(key);
+  }
+
+  // --- progressive lockouts ---
+
+  static lockKeys(scope, id) {
+    const base = `lockout:${scope}:${id}`;
+    return { failures: `${base}:failures`, lock: `${base}:lock`, level: `${base}:level` };
+  }
+
+  /**
+   * Seconds left on a lockout, 0 if not locked
+   * @param {string} scope e.g. "login:ip", "login:identifier"
+   * @param {string} id
+   */
+  static async lockedFor(scope, id) {
+    return this.ttl(this.lockKeys(scope, id).lock);
+  }
+
+  /**
+   * Count a failed attempt. `threshold` failures within
+   * LOCKOUT_WINDOW_SECONDS lock the scope/id for LOCKOUT_BASE_SECONDS, twice
+   * as long for each further lockout within a day (up to LOCKOUT_MAX_SECONDS).
+   * @returns {Promise<number>} lockout length in seconds if this failure
+   *   caused one, 0 otherwise
+   */
+  static async recordFailure(scope, id, threshold = LOCKOUT_THRESHOLD) {
+    const keys = this.lockKeys(scope, id);
+    const failures = await this.increment(keys.failures, LOCKOUT_WINDOW_SECONDS);
+    if (failures < threshold) return 0;
+
+    const level = await this.increment(keys.level, LOCKOUT_LEVEL_TTL_SECONDS);
+    const seconds = Math.min(
+      LOCKOUT_BASE_SECONDS * 2 ** (level - 1),
+      LOCKOUT_MAX_SECONDS,
+    );
+    await this.set(keys.lock, "1", seconds);
+    await this.del(keys.failures);
+    return seconds;
+  }
+
+  /**
+   * Successful attempt: forget failures and past lockouts
+   */
+  static async recordSuccess(scope, id) {
+    const keys = this.lockKeys(scope, id);
+    await this.del(keys.failures, keys.level);
+  }
+}
+
+module.exports = RateLimitService;
@@ -0,0 +1,464 @@
+const Booking = require("../models/Booking");
+const Transaction = require("../models/Transaction");
+const Payout = require("../models/Payout");
+const RideRequest = require("../models/RideRequest");
+const ReconciliationReport = require("../models/ReconciliationReport");
+const AuditService = require("./auditService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far back each scheduled run looks
+const LOOKBACK_DAYS = parseInt(process.env.RECONCILIATION_LOOKBACK_DAYS || "3", 10);
+// Objects younger than this may still be in flight (webhook not received yet)
+const GRACE_MINUTES = parseInt(process.env.RECONCILIATION_GRACE_MINUTES || "30", 10);
+// Scheduled runs fix the safe cases themselves
+const AUTO_HEAL = process.env.RECONCILIATION_AUTO_HEAL !== "false";
+// Refunding payments without a booking moves money, so it's opt-in
+const REFUND_ORPHANS = process.env.RECONCILIATION_REFUND_ORPHANS === "true";
+
+// Discrepancy types. Healable ones only bring our records in line with Stripe.
+const TYPES = {
+  orphaned_payment: "Succeeded payment with no booking or accepted offer",
+  payment_not_recorded: "Booking not marked as paid although the payment succeeded",
+  payment_on_closed_booking: "Payment succeeded for a cancelled or rejected booking and wasn't refunded",
+  refund_not_recorded: "Payment refunded on Stripe but the booking is still paid",
+  missing_earning: "Succeeded payment without the driver's ride earning transaction",
+  amount_mismatch: "Earning transaction amount differs from the amount charged",
+  payment_missing_on_stripe: "Booking paid by card but the payment didn't succeed on Stripe",
+  refund_missing_on_stripe: "Booking refunded but no successful refund on Stripe",
+  orphaned_transfer: "Transfer for a payout that doesn't exist",
+  transfer_not_recorded: "Payout still pending although its transfer was created",
+  transfer_for_failed_payout: "Transfer sent for a payout that failed (wallet refunded too)",
+  transfer_reversed: "Transfer reversed on Stripe but the payout isn't failed",
+  transfer_missing_on_stripe: "Payout references a transfer that doesn't exist on Stripe",
+  payout_stuck: "Payout pending with no transfer",
+};
+
+/**
+ * Compares Stripe PaymentIntents, refunds and transfers with bookings,
+ * transactions and payouts, stores a ReconciliationReport and optionally
+ * heals the safe cases. The Stripe client can be replaced with
+ * setStripeClient().
+ */
+class ReconciliationService {
+  static stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+
+  static TYPES = TYPES;
+
+  static setStripeClient(client) {
+    this.stripe = client;
+  }
+
+  /**
+   * Run a reconciliation and store its report
+   * @param {Object} options
+   * @param {number} options.days - Lookback in days
+   * @param {boolean} options.autoHeal - Fix safe discrepancies
+   * @param {boolean} options.refundOrphans - Refund payments with no booking (needs autoHeal)
+   * @param {string} options.trigger - "job", "manual" or "script"
+   * @returns {Promise<ReconciliationReport>}
+   */
+  static async run({
+    days = LOOKBACK_DAYS,
+    autoHeal = AUTO_HEAL,
+    refundOrphans = REFUND_ORPHANS,
+    trigger = "job",
+  } = {}) {
+    const startedAt = new Date();
+    const windowEnd = new Date(startedAt.getTime() - GRACE_MINUTES * 60 * 1000);
+    const windowStart = new Date(windowEnd.getTime() - days * DAY_MS);
+
+    const report = new ReconciliationReport({
+      trigger,
+      window_start: windowStart,
+      window_end: windowEnd,
+      auto_heal: autoHeal,
+      refund_orphans: autoHeal && refundOrphans,
+      started_at: startedAt,
+    });
+    const context = {
+      report,
+      autoHeal,
+      refundOrphans: autoHeal && refundOrphans,
+      windowStart,
+      windowEnd,
+    };
+
+    try {
+      const created = {
+        gte: Math.floor(windowStart.getTime() / 1000),
+        lte: Math.floor(windowEnd.getTime() / 1000),
+      };
+      const [paymentIntents, refunds, transfers] = await Promise.all([
+        this.listAll("paymentIntents", { created }),
+        this.listAll("refunds", { created }),
+        this.listAll("transfers", { created }),
+      ]);
+
+      await this.checkPaymentIntents(context, paymentIntents, refunds);
+      await this.checkBookings(context, paymentIntents, refunds);
+      await this.checkTransfers(context, transfers);
+      await this.checkPayouts(context, transfers);
+    } catch (error) {
+      console.error("[Reconciliation] Run failed:", error.message);
+      report.error = error.message;
+    }
+
+    report.summary = {};
+    for (const d of report.discrepancies) {
+      report.summary[d.type] = (report.summary[d.type] || 0) + 1;
+    }
+    report.discrepancy_count = report.discrepancies.length;
+    report.healed_count = report.discrepancies.filter((d) => d.healed).length;
+    report.finished_at = new Date();
+    await report.save();
+
+    console.log(
+      `[Reconciliation] ${report.discrepancy_count} discrepancies, ${report.healed_count} healed`,
+    );
+    return report;
+  }
+
+  /**
+   * Every object of a Stripe list endpoint, following pagination
+   */
+  static async listAll(resource, params) {
+    const items = [];
+    let startingAfter = null;
+    do {
+      const page = await this.stripe[resource].list({
+        ...params,
+        limit: 100,
+        ...(startingAfter && { starting_after: startingAfter }),
+      });
+      items.push(...page.data);
+      startingAfter =
+        page.has_more && page.data.length > 0
+          ? page.data[page.data.length - 1].id
+          : null;
+    } while (startingAfter);
+    return items;
+  }
+
+  /**
+   * Retrieve a Stripe object, null if it doesn't exist
+   */
+  static async retrieveOrNull(resource, id) {
+    try {
+      return await this.stripe[resource].retrieve(id);
+    } catch (error) {
+      if (error.statusCode === 404 || error.code === "resource_missing") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Add a discrepancy to the report, healing it when allowed.
+   * heal() returns a description of what it did.
+   */
+  static async flag(context, discrepancy, heal = null) {
+    const entry = {
+      ...discrepancy,
+      message: discrepancy.message || TYPES[discrepancy.type],
+    };
+    if (heal && context.autoHeal) {
+      try {
+        entry.heal_action = await heal();
+        entry.healed = true;
+      } catch (error) {
+        entry.heal_error = error.message;
+        console.error(
+          `[Reconciliation] Failed to heal ${entry.type} ${entry.stripe_id || ""}:`,
+          error.message,
+        );
+      }
+    }
+    context.report.discrepancies.push(entry);
+  }
+
+  /**
+   * Succeeded PaymentIntents must belong to a booking (or an accepted
+   * ride request offer) with a matching earning transaction
+   */
+  static async checkPaymentIntents(context, paymentIntents, refunds) {
+    const refundedByIntent = new Map();
+    for (const refund of refunds) {
+      if (refund.status !== "succeeded" || !refund.payment_intent) continue;
+      refundedByIntent.set(
+        refund.payment_intent,
+        (refundedByIntent.get(refund.payment_intent) || 0) + refund.amount,
+      );
+    }
+
+    for (const pi of paymentIntents) {
+      if (pi.status !== "succeeded") continue;
+      context.report.checked.payment_intents++;
+
+      const amount = pi.amount_received ?? pi.amount;
+      const refunded = refundedByIntent.get(pi.id) || 0;
+      const fullyRefunded = refunded >= amount;
+
+      const booking = await Booking.findOne({ payment_intent_id: pi.id });
+      const offerPaid = !booking && (await this.isAcceptedOfferPayment(pi));
+
+      if (!booking && !offerPaid) {
+        // Nothing to give back once Stripe refunded it
+        if (fullyRefunded) continue;
+        await this.flag(
+          context,
+          { type: "orphaned_payment", stripe_id: pi.id, amount: amount - refunded },
+          context.refundOrphans
+            ? async () => {
+                const refund = await this.stripe.refunds.create({
+                  payment_intent: pi.id,
+                });
+                await AuditService.record({
+                  action: "payment.refund_orphan",
+                  target_type: "payment",
+                  after: { refund_id: refund.id },
+                  metadata: { payment_intent_id: pi.id, amount: refund.amount },
+                });
+                return `refunded (${refund.id})`;
+              }
+            : null,
+        );
+        continue;
+      }
+
+      if (booking) {
+        if (fullyRefunded && booking.payment_status === "paid") {
+          await this.flag(context, {
+            type: "refund_not_recorded",
+            stripe_id: pi.id,
+            booking_id: booking._id,
+            amount: refunded,
+          });
+        } else if (
+          ["pending", "failed"].includes(booking.payment_status) &&
+          !fullyRefunded
+        ) {
+          if (["pending", "accepted"].includes(booking.status)) {
+            await this.flag(
+              context,
+              {
+                type: "payment_not_recorded",
+                stripe_id: pi.id,
+                booking_id: booking._id,
+                amount,
+              },
+              async () => {
+                // Only while the booking is still open and unpaid
+                const result = await Booking.updateOne(
+                  {
+                    _id: booking._id,
+                    status: { $in: ["pending", "accepted"] },
+                    payment_status: { $in: ["pending", "failed"] },
+                  },
+                  { payment_status: "paid", payment_method: "card" },
+                );
+                if (result.modifiedCount === 0) {
+                  throw new Error("Booking changed since it was checked");
+                }
+                return "booking marked as paid";
+              },
+            );
+          } else {
+            // Marking a closed booking paid would hide money we must give back
+            await this.flag(context, {
+              type: "payment_on_closed_booking",
+              message: `Payment succeeded for a ${booking.status} booking and wasn't refunded`,
+              stripe_id: pi.id,
+              booking_id: booking._id,
+              amount: amount - refunded,
+            });
+          }
+        }
+      }
+
+      // Drivers with Stripe Connect are paid by Stripe directly (transfer_data)
+      if (pi.transfer_data?.destination || refunded > 0) continue;
+      const earning = await Transaction.findOne({
+        stripe_payment_intent_id: pi.id,
+        type: "ride_earning",
+      });
+      if (!earning) {
+        await this.flag(context, {
+          type: "missing_earning",
+          stripe_id: pi.id,
+          booking_id: booking?._id || null,
+          amount,
+        });
+      } else if (earning.gross_amount != null && earning.gross_amount !== amount) {
+        await this.flag(context, {
+          type: "amount_mismatch",
+          message: `Charged ${amount} cents, earning transaction records ${earning.gross_amount}`,
+          stripe_id: pi.id,
+          booking_id: booking?._id || null,
+          transaction_id: earning._id,
+          amount,
+        });
+      }
+    }
+  }
+
+  /**
+   * Offer payments are recorded on the ride request, not on a booking
+   */
+  static async isAcceptedOfferPayment(pi) {
+    const { type, requestId, offerId } = pi.metadata || {};
+    if (type !== "offer_acceptance" || !requestId) return false;
+    const request = await RideRequest.findById(requestId).catch(() => null);
+    const offer = request?.offers?.id(offerId);
+    return offer?.status === "accepted";
+  }
+
+  /**
+   * Card bookings paid or refunded in the window must match Stripe
+   */
+  static async checkBookings(context, paymentIntents, refunds) {
+    const intentsById = new Map(paymentIntents.map((pi) => [pi.id, pi]));
+    const refundsById = new Map(refunds.map((r) => [r.id, r]));
+
+    const paid = await Booking.find({
+      payment_method: "card",
+      payment_status: "paid",
+      payment_intent_id: { $ne: null },
+      createdAt: { $gte: context.windowStart, $lte: context.windowEnd },
+    });
+    for (const booking of paid) {
+      context.report.checked.bookings++;
+      const pi =
+        intentsById.get(booking.payment_intent_id) ||
+        (await this.retrieveOrNull("paymentIntents", booking.payment_intent_id));
+      if (!pi || pi.status !== "succeeded") {
+        await this.flag(context, {
+          type: "payment_missing_on_stripe",
+          message: pi
+            ? `PaymentIntent status is ${pi.status}`
+            : "PaymentIntent not found on Stripe",
+          stripe_id: booking.payment_intent_id,
+          booking_id: booking._id,
+        });
+      }
+    }
+
+    const refunded = await Booking.find({
+      payment_method: "card",
+      payment_status: "refunded",
+      refunded_at: { $gte: context.windowStart, $lte: context.windowEnd },
+    });
+    for (const booking of refunded) {
+      context.report.checked.bookings++;
+      const refund = booking.refund_id
+        ? refundsById.get(booking.refund_id) ||
+          (await this.retrieveOrNull("refunds", booking.refund_id))
+        : null;
+      if (!refund || !["succeeded", "pending"].includes(refund.status)) {
+        await this.flag(context, {
+          type: "refund_missing_on_stripe",
+          message: refund
+            ? `Refund status is ${refund.status}`
+            : "Refund not found on Stripe",
+          stripe_id: booking.refund_id || booking.payment_intent_id,
+          booking_id: booking._id,
+        });
+      }
+    }
+  }
+
+  /**
+   * Withdrawal transfers (metadata.payout_id) must match their payout
+   */
+  static async checkTransfers(context, transfers) {
+    for (const transfer of transfers) {
+      const payoutId = transfer.metadata?.payout_id;
+      if (!payoutId) continue;
+      context.report.checked.transfers++;
+
+      const payout = await Payout.findById(payoutId).catch(() => null);
+      const fullyReversed =
+        transfer.reversed || transfer.amount_reversed >= transfer.amount;
+
+      if (!payout) {
+        if (fullyReversed) continue;
+        await this.flag(context, {
+          type: "orphaned_transfer",
+          stripe_id: transfer.id,
+          amount: transfer.amount,
+        });
+        continue;
+      }
+
+      const ids = {
+        stripe_id: transfer.id,
+        payout_id: payout._id,
+        transaction_id: payout.transaction_id,
+        amount: transfer.amount,
+      };
+
+      if (payout.status === "pending" && !fullyReversed) {
+        await this.flag(context, { type: "transfer_not_recorded", ...ids }, async () => {
+          await payout.markProcessing(null, transfer.id);
+          if (payout.transaction_id) {
+            const transaction = await Transaction.findById(payout.transaction_id);
+            if (transaction && transaction.status === "pending") {
+              transaction.stripe_transfer_id = transfer.id;
+              transaction.status = "completed";
+              transaction.processed_at = new Date();
+              await transaction.save();
+            }
+          }
+          return "payout marked as processing";
+        });
+      } else if (["failed", "cancelled"].includes(payout.status) && !fullyReversed) {
+        await this.flag(context, { type: "transfer_for_failed_payout", ...ids });
+      } else if (["processing", "completed"].includes(payout.status) && fullyReversed) {
+        await this.flag(context, { type: "transfer_reversed", ...ids });
+      }
+    }
+  }
+
+  /**
+   * Payouts requested in the window must have a transfer on Stripe
+   */
+  static async checkPayouts(context, transfers) {
+    const transfersById = new Map(transfers.map((t) => [t.id, t]));
+    const payouts = await Payout.find({
+      requested_at: { $gte: context.windowStart, $lte: context.windowEnd },
+      status: { $in: ["pending", "processing", "completed"] },
+    });
+
+    for (const payout of payouts) {
+      context.report.checked.payouts++;
+      const ids = {
+        payout_id: payout._id,
+        transaction_id: payout.transaction_id,
+        amount: payout.amount,
+      };
+
+      if (!payout.stripe_transfer_id) {
+        // Already flagged (and possibly healed) by checkTransfers
+        const reported = context.report.discrepancies.some(
+          (d) => d.payout_id && String(d.payout_id) === String(payout._id),
+        );
+        if (payout.status === "pending" && !reported) {
+          await this.flag(context, { type: "payout_stuck", ...ids });
+        }
+        continue;
+      }
+
+      const transfer =
+        transfersById.get(payout.stripe_transfer_id) ||
+        (await this.retrieveOrNull("transfers", payout.stripe_transfer_id));
+      if (!transfer) {
+        await this.flag(context, {
+          type: "transfer_missing_on_stripe",
+          stripe_id: payout.stripe_transfer_id,
+          ...ids,
+        });
+      }
+    }
+  }
+}
+
+module.exports = ReconciliationService;
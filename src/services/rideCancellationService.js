@@ -0,0 +1,331 @@
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const Ride = require("../models/Ride");
+const Booking = require("../models/Booking");
+const User = require("../models/User");
+const Wallet = require("../models/Wallet");
+const Transaction = require("../models/Transaction");
+const NotificationService = require("./notificationService");
+const RideLifecycleService = require("./rideLifecycleService");
+
+// How the cancellation shows up in refund transaction descriptions
+const REASON_TEXT = {
+  driver: "driver cancelled ride",
+  admin: "ride cancelled by support",
+};
+
+class RideCancellationService {
+  /**
+   * Cancel an active ride, cancel its bookings, refund paid passengers
+   * (card or wallet), reverse the driver's earnings and notify passengers.
+   * Callers check who may cancel and when.
+   * @param {Object} existingRide Ride document with airport_id populated
+   * @param {Object} options { cancelledBy: "driver" | "admin" }
+   * @returns {Object|null} { ride, cancelled_bookings, refunds }, or null
+   *   when the ride was no longer active
+   */
+  static async cancelRide(existingRide, { cancelledBy = "driver" } = {}) {
+    const driverId = existingRide.driver_id.toString();
+    const reasonText = REASON_TEXT[cancelledBy] || REASON_TEXT.driver;
+
+    // Get all affected bookings that need refunds BEFORE cancelling
+    const paidBookings = await Booking.find({
+      ride_id: existingRide._id,
+      status: { $in: ["pending", "accepted"] },
+      payment_status: "paid",
+    }).populate("passenger_id", "first_name last_name");
+
+    console.log(
+      `[RideCancel] Found ${paidBookings.length} paid bookings to refund for ride ${existingRide._id}`,
+    );
+
+    // Cancel the ride
+    const cancelledRide = await Ride.findOneAndUpdate(
+      { _id: existingRide._id, status: "active" },
+      { status: "cancelled" },
+      { new: true },
+    );
+
+    if (!cancelledRide) return null;
+
+    // Cancel all associated bookings
+    const result = await Booking.updateMany(
+      { ride_id: existingRide._id, status: { $in: ["pending", "accepted"] } },
+      { status: "cancelled" },
+    );
+
+    // Process refunds for paid bookings
+    const refundResults = {
+      processed: 0,
+      failed: 0,
+      errors: [],
+    };
+
+    for (const booking of paidBookings) {
+      try {
+        console.log(
+          `[RideCancel] Processing refund for booking ${booking._id}, payment method: ${booking.payment_method}`,
+        );
+
+        if (booking.payment_method === "card" && booking.payment_intent_id) {
+          // CARD PAYMENT REFUND via Stripe
+          console.log(
+            `[RideCancel] Refunding card payment for booking ${booking._id}, PaymentIntent: ${booking.payment_intent_id}`,
+          );
+
+          const refundParams = {
+            payment_intent: booking.payment_intent_id,
+          };
+
+          // Check if the payment had a transfer (driver has Stripe Connect)
+          try {
+            const paymentIntent = await stripe.paymentIntents.retrieve(
+              booking.payment_intent_id,
+            );
+            if (paymentIntent.transfer_data?.destination) {
+              // Driver has Stripe Connect - reverse the transfer and application fee
+              refundParams.reverse_transfer = true;
+              refundParams.refund_application_fee = true;
+              console.log(
+                `[RideCancel] Reversing transfer to ${paymentIntent.transfer_data.destination} and application fee`,
+              );
+            }
+          } catch (retrieveErr) {
+            console.error(
+              `[RideCancel] Error retrieving PaymentIntent ${booking.payment_intent_id}:`,
+              retrieveErr.message,
+            );
+          }
+
+          const refund = await stripe.refunds.create(refundParams);
+          console.log(
+            `[RideCancel] Stripe refund created: ${refund.id}, Amount: ${refund.amount} cents`,
+          );
+
+          // Create a transaction record for the passenger to show the refund in their history
+          const passengerWallet = await Wallet.getOrCreateWallet(
+            booking.passenger_id,
+          );
+
+          // ADD MONEY TO PASSENGER'S WALLET BALANCE
+          passengerWallet.balance += refund.amount;
+          await passengerWallet.save();
+
+          await Transaction.create({
+            wallet_id: passengerWallet._id,
+            user_id: booking.passenger_id,
+            type: "refund",
+            amount: refund.amount,
+            gross_amount: refund.amount,
+            fee_amount: 0,
+            fee_percentage: 0,
+            net_amount: refund.amount,
+            currency: "EUR",
+            status: "completed",
+            reference_type: "booking",
+            reference_id: booking._id,
+            stripe_payment_intent_id: booking.payment_intent_id,
+            description: `Card refund - ${reasonText}`,
+            processed_at: new Date(),
+          });
+          console.log(
+            `[RideCancel] Added ${refund.amount} cents to passenger wallet and created transaction record`,
+          );
+
+          // If driver was credited via wallet (no Stripe Connect), deduct from driver's wallet
+          const driver = await User.findById(driverId);
+          if (!driver?.stripeAccountId) {
+            try {
+              const driverWallet = await Wallet.getOrCreateWallet(driverId);
+              const feePercentage = parseFloat(
+                process.env.PLATFORM_FEE_PERCENT || "10",
+              );
+              const grossAmount =
+                existingRide.price_per_seat * booking.seats * 100;
+              const driverEarnings = Math.round(
+                grossAmount * ((100 - feePercentage) / 100),
+              );
+
+              // Not released yet: just drop it from pending balance
+              const pendingEarning =
+                await RideLifecycleService.cancelPendingEarning(booking._id);
+
+              if (pendingEarning) {
+                console.log(
+                  `[RideCancel] Cancelled pending earning of ${pendingEarning.net_amount} cents for driver`,
+                );
+              } else if (driverWallet.balance >= driverEarnings) {
+                driverWallet.balance -= driverEarnings;
+                driverWallet.total_earned -= driverEarnings;
+                await driverWallet.save();
+
+                await Transaction.create({
+                  wallet_id: driverWallet._id,
+                  user_id: driverId,
+                  type: "refund",
+                  amount: -driverEarnings,
+                  gross_amount: grossAmount,
+                  fee_amount: 0,
+                  fee_percentage: 0,
+                  net_amount: driverEarnings,
+                  currency: "EUR",
+                  status: "completed",
+                  reference_type: "booking",
+                  reference_id: booking._id,
+                  stripe_payment_intent_id: booking.payment_intent_id,
+                  description:
+                    `Driver earnings reversed - ${reasonText}`,
+                  processed_at: new Date(),
+                });
+                console.log(
+                  `[RideCancel] Deducted ${driverEarnings} cents from driver wallet`,
+                );
+              } else {
+                console.warn(
+                  `[RideCancel] Driver wallet has insufficient balance for refund. Required: ${driverEarnings}, Available: ${driverWallet.balance}`,
+                );
+              }
+            } catch (walletErr) {
+              console.error(
+                `[RideCancel] Error deducting from driver wallet:`,
+                walletErr.message,
+              );
+            }
+          }
+
+          // Update booking with refund information
+          await Booking.findByIdAndUpdate(booking._id, {
+            payment_status: "refunded",
+            refund_id: refund.id,
+            refunded_at: new Date(),
+            refund_reason: "ride_cancelled",
+          });
+        } else if (booking.payment_method === "wallet") {
+          // WALLET PAYMENT REFUND
+          console.log(
+            `[RideCancel] Refunding wallet payment for booking ${booking._id}`,
+          );
+
+          const totalAmount = Math.round(
+            existingRide.price_per_seat * booking.seats * 100,
+          );
+          const feePercentage = parseFloat(
+            process.env.PLATFORM_FEE_PERCENT || "10",
+          );
+          const driverEarnings = Math.round(
+            totalAmount * ((100 - feePercentage) / 100),
+          );
+
+          // Credit passenger's wallet with FULL amount (100%)
+          const passengerWallet = await Wallet.getOrCreateWallet(
+            booking.passenger_id,
+          );
+          passengerWallet.balance += totalAmount;
+          await passengerWallet.save();
+
+          // Create refund transaction for passenger
+          await Transaction.create({
+            wallet_id: passengerWallet._id,
+            user_id: booking.passenger_id,
+            type: "refund",
+            amount: totalAmount,
+            gross_amount: totalAmount,
+            fee_amount: 0,
+            fee_percentage: 0,
+            net_amount: totalAmount,
+            currency: "EUR",
+            status: "completed",
+            reference_type: "booking",
+            reference_id: booking._id,
+            description: `Full refund - ${reasonText}`,
+            processed_at: new Date(),
+          });
+
+          // Deduct from driver's wallet
+          const driverWallet = await Wallet.getOrCreateWallet(driverId);
+          const pendingEarning =
+            await RideLifecycleService.cancelPendingEarning(booking._id);
+
+          if (pendingEarning) {
+            console.log(
+              `[RideCancel] Cancelled pending earning of ${pendingEarning.net_amount} cents for driver`,
+            );
+          } else if (driverWallet.balance >= driverEarnings) {
+            driverWallet.balance -= driverEarnings;
+            driverWallet.total_earned -= driverEarnings;
+            await driverWallet.save();
+
+            await Transaction.create({
+              wallet_id: driverWallet._id,
+              user_id: driverId,
+              type: "refund",
+              amount: -driverEarnings,
+              gross_amount: totalAmount,
+              fee_amount: 0,
+              fee_percentage: 0,
+              net_amount: driverEarnings,
+              currency: "EUR",
+              status: "completed",
+              reference_type: "booking",
+              reference_id: booking._id,
+              description: `Driver earnings reversed - ${reasonText}`,
+              processed_at: new Date(),
+            });
+          } else {
+            console.warn(
+              `[RideCancel] Driver wallet has insufficient balance for refund. Required: ${driverEarnings}, Available: ${driverWallet.balance}`,
+            );
+          }
+
+          // Update booking with refund information
+          await Booking.findByIdAndUpdate(booking._id, {
+            payment_status: "refunded",
+            refunded_at: new Date(),
+            refund_reason: "ride_cancelled",
+          });
+
+          console.log(
+            `[RideCancel] Wallet refund: ${totalAmount} cents to passenger, ${driverEarnings} cents deducted from driver`,
+          );
+        }
+
+        refundResults.processed++;
+      } catch (refundError) {
+        console.error(
+          `[RideCancel] Error processing refund for booking ${booking._id}:`,
+          refundError,
+        );
+        refundResults.failed++;
+        refundResults.errors.push(
+          `Booking ${booking._id}: ${refundError.message}`,
+        );
+      }
+    }
+
+    // Get all affected bookings for notifications
+    const affectedBookings = await Booking.find({
+      ride_id: existingRide._id,
+      status: "cancelled",
+    });
+
+    // Notify all affected passengers
+    for (const booking of affectedBookings) {
+      await NotificationService.notifyRideCancelled(
+        booking.passenger_id.toString(),
+        {
+          id: existingRide._id.toString(),
+          airport_name: existingRide.airport_id?.name,
+          datetime_start: existingRide.datetime_start,
+          refund_processed: booking.payment_status === "paid", // Will be refunded
+        },
+      );
+    }
+
+    return {
+      ride: cancelledRide,
+      cancelled_bookings: result.modifiedCount,
+      refunds: refundResults,
+    };
+  }
+}
+
+module.exports = RideCancellationService;
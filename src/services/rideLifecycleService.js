@@ -0,0 +1,236 @@
+const Booking = require("../models/Booking");
+const Ride = require("../models/Ride");
+const RideRequest = require("../models/RideRequest");
+const Transaction = require("../models/Transaction");
+const User = require("../models/User");
+const Wallet = require("../models/Wallet");
+const { withTransaction } = require("../utils/transaction");
+
+// Time after departure before a ride counts as completed
+const RIDE_COMPLETION_BUFFER_MS =
+  parseInt(process.env.RIDE_COMPLETION_BUFFER_MINUTES || "60", 10) * 60 * 1000;
+
+/**
+ * Ride lifecycle jobs (run by JobSchedulerService as "ride_completion"
+ * and "request_expiry")
+ */
+class RideLifecycleService {
+  /**
+   * One pass of the completion job. Safe to run repeatedly: every step is
+   * guarded by a conditional status update, committed in one transaction with
+   * what it pays for (trip counts, wallet), so a restart mid-run never
+   * completes a ride or releases an earning twice, nor half-way.
+   * @returns {Object} { completed, released }
+   */
+  static async run(now = new Date()) {
+    const cutoff = new Date(now.getTime() - RIDE_COMPLETION_BUFFER_MS);
+    const completed = await this.completeDueRides(cutoff);
+    const released = await this.releaseDueEarnings(cutoff);
+
+    if (completed > 0 || released > 0) {
+      console.log(
+        `[RideLifecycleService] Completed ${completed} ride(s), released ${released} earning(s)`,
+      );
+    }
+    return { completed, released };
+  }
+
+  /**
+   * Expire open ride requests whose expires_at has passed
+   * @returns {Object} { expired }
+   */
+  static async expireRequests(now = new Date()) {
+    const result = await RideRequest.updateMany(
+      {
+        status: { $in: ["pending", "matched"] },
+        expires_at: { $lte: now },
+      },
+      { status: "expired" },
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(
+        `[RideLifecycleService] Expired ${result.modifiedCount} ride request(s)`,
+      );
+    }
+    return { expired: result.modifiedCount };
+  }
+
+  /**
+   * Mark active rides whose departure + buffer has passed as completed
+   * and count the trip for the driver and every accepted passenger.
+   */
+  static async completeDueRides(cutoff) {
+    const dueRides = await Ride.find({
+      status: "active",
+      datetime_start: { $lte: cutoff },
+    }).select("_id driver_id");
+
+    let completed = 0;
+    for (const ride of dueRides) {
+      try {
+        // The status flip and the trip counts are committed together, and
+        // only the run that flips the status counts the trip
+        const flipped = await withTransaction(async (session) => {
+          const ok = await Ride.findOneAndUpdate(
+            { _id: ride._id, status: "active" },
+            { status: "completed" },
+            { new: true, session },
+          );
+          if (!ok) return null;
+
+          try {
+            const bookings = await Booking.find({
+              ride_id: ride._id,
+              status: "accepted",
+            })
+              .select("passenger_id")
+              .session(session);
+
+            const userIds = [
+              ride.driver_id,
+              ...bookings.map((b) => b.passenger_id),
+            ];
+            await User.updateMany(
+              { _id: { $in: userIds } },
+              { $inc: { trips_completed: 1 } },
+              { session },
+            );
+          } catch (err) {
+            // Without a transaction (standalone MongoDB) put the ride back,
+            // so the next run counts the trip
+            if (!session) {
+              await Ride.updateOne(
+                { _id: ride._id, status: "completed" },
+                { status: "active" },
+              );
+            }
+            throw err;
+          }
+          return ok;
+        });
+        if (!flipped) continue;
+
+        completed++;
+      } catch (err) {
+        console.error(
+          `[RideLifecycleService] Failed to complete ride ${ride._id}:`,
+          err.message,
+        );
+      }
+    }
+    return completed;
+  }
+
+  /**
+   * Move pending ride earnings into the driver's available balance once
+   * their ride is completed (or, for ride requests without a published
+   * ride, once the requested departure + buffer has passed).
+   */
+  static async releaseDueEarnings(cutoff) {
+    const due = await this.findDueEarnings(cutoff);
+
+    let released = 0;
+    for (const transaction of due) {
+      try {
+        if (await this.releaseEarning(transaction)) released++;
+      } catch (err) {
+        console.error(
+          `[RideLifecycleService] Failed to release earning ${transaction._id}:`,
+          err.message,
+        );
+      }
+    }
+    return released;
+  }
+
+  /**
+   * Pending earnings that can be released, selected in a few queries
+   * instead of looking up each earning's ride
+   */
+  static async findDueEarnings(cutoff) {
+    const pending = { type: "ride_earning", status: "pending" };
+
+    // ride_details.ride_id is the ride, or the request when none was published
+    const rideIds = await Transaction.distinct("ride_details.ride_id", pending);
+    const rides = await Ride.find({ _id: { $in: rideIds } })
+      .select("status")
+      .lean();
+    const existingRideIds = rides.map((r) => r._id);
+    const completedRideIds = rides
+      .filter((r) => r.status === "completed")
+      .map((r) => r._id);
+
+    // Ride request paid without a published ride
+    const requestIds = await Transaction.distinct("reference_id", {
+      ...pending,
+      "ride_details.ride_id": { $nin: existingRideIds },
+    });
+    const dueRequestIds = await RideRequest.find({
+      _id: { $in: requestIds },
+      status: "accepted",
+      preferred_datetime: { $lte: cutoff },
+    }).distinct("_id");
+
+    return Transaction.find({
+      ...pending,
+      $or: [
+        { "ride_details.ride_id": { $in: completedRideIds } },
+        {
+          "ride_details.ride_id": { $nin: existingRideIds },
+          reference_id: { $in: dueRequestIds },
+        },
+      ],
+    });
+  }
+
+  /**
+   * Claim a pending earning and credit the driver in one transaction, so it
+   * is released exactly once and never marked completed without the credit
+   * @returns {Promise<boolean>} false if another run released it first
+   */
+  static async releaseEarning(transaction) {
+    await Wallet.getOrCreateWallet(transaction.user_id);
+    return withTransaction(async (session) => {
+      const claimed = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: "pending" },
+        { status: "completed", processed_at: new Date() },
+        { new: true, session },
+      );
+      if (!claimed) return false;
+
+      await Wallet.releasePending(claimed.user_id, claimed.net_amount, session);
+      return true;
+    });
+  }
+
+  /**
+   * Cancel a booking's still-pending earning (booking refunded before the
+   * ride completed) and take it back out of the driver's pending balance.
+   * Returns the cancelled transaction, or null if the earning was already
+   * released to the balance.
+   */
+  static async cancelPendingEarning(bookingId) {
+    const pending = await Transaction.findOne({
+      type: "ride_earning",
+      status: "pending",
+      "ride_details.booking_id": bookingId,
+    }).select("user_id");
+    if (!pending) return null;
+
+    await Wallet.getOrCreateWallet(pending.user_id);
+    return withTransaction(async (session) => {
+      const transaction = await Transaction.findOneAndUpdate(
+        { _id: pending._id, status: "pending" },
+        { status: "cancelled", processed_at: new Date() },
+        { new: true, session },
+      );
+      if (!transaction) return null;
+
+      await Wallet.reversePending(transaction.user_id, transaction.net_amount, session);
+      return transaction;
+    });
+  }
+}
+
+module.exports = RideLifecycleService;
@@ -0,0 +1,161 @@
+const Booking = require("../models/Booking");
+const Ride = require("../models/Ride");
+const NotificationService = require("./notificationService");
+
+// Hours before datetime_start at which reminders go out, e.g. "24,2"
+const REMINDER_OFFSETS_HOURS = (process.env.RIDE_REMINDER_OFFSETS_HOURS || "24,2")
+  .split(",")
+  .map((h) => parseFloat(h))
+  .filter((h) => h > 0)
+  .sort((a, b) => b - a);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Pre-departure reminders job (run by JobSchedulerService as "ride_reminders")
+ */
+class RideReminderService {
+  static OFFSETS_HOURS = REMINDER_OFFSETS_HOURS;
+
+  /**
+   * Send the reminders that are due for upcoming rides.
+   * Only the closest due offset is sent: a ride booked 3 hours before
+   * departure gets the 2h reminder, not a late 24h one as well.
+   * @returns {Object} { drivers, passengers }
+   */
+  static async sendDueReminders(now = new Date()) {
+    if (this.OFFSETS_HOURS.length === 0) {
+      return { drivers: 0, passengers: 0 };
+    }
+
+    const horizon = new Date(now.getTime() + this.OFFSETS_HOURS[0] * HOUR_MS);
+    const rides = await Ride.find({
+      status: "active",
+      datetime_start: { $gt: now, $lte: horizon },
+    })
+      .populate("driver_id", "first_name last_name car_model car_color")
+      .populate("airport_id", "name iata_code");
+
+    let drivers = 0;
+    let passengers = 0;
+    for (const ride of rides) {
+      const dueOffsets = this.dueOffsets(ride.datetime_start, now);
+      if (dueOffsets.length === 0) continue;
+
+      const bookings = await Booking.find({
+        ride_id: ride._id,
+        status: "accepted",
+      }).populate("passenger_id", "first_name last_name");
+
+      if (await this.remindDriver(ride, bookings, dueOffsets)) drivers++;
+
+      for (const booking of bookings) {
+        if (await this.remindPassenger(ride, booking, dueOffsets)) passengers++;
+      }
+    }
+
+    if (drivers > 0 || passengers > 0) {
+      console.log(
+        `[RideReminderService] Sent ${drivers} driver and ${passengers} passenger reminder(s)`,
+      );
+    }
+    return { drivers, passengers };
+  }
+
+  /**
+   * Offsets whose reminder time has passed, closest to departure last
+   */
+  static dueOffsets(datetimeStart, now) {
+    const hoursLeft = (new Date(datetimeStart).getTime() - now.getTime()) / HOUR_MS;
+    return this.OFFSETS_HOURS.filter((h) => hoursLeft <= h);
+  }
+
+  /**
+   * Claim the closest due offset on a Ride or Booking.
+   * All due offsets are recorded so earlier (skipped) ones never fire later.
+   * @returns {number|null} the claimed offset, or null if already sent
+   */
+  static async claim(Model, id, dueOffsets) {
+    const offset = dueOffsets[dueOffsets.length - 1];
+    const result = await Model.updateOne(
+      { _id: id, reminders_sent: { $ne: offset } },
+      { $addToSet: { reminders_sent: { $each: dueOffsets } } },
+    );
+    return result.modifiedCount > 0 ? offset : null;
+  }
+
+  static async remindDriver(ride, bookings, dueOffsets) {
+    const offset = await this.claim(Ride, ride._id, dueOffsets);
+    if (offset === null || !ride.driver_id) return false;
+
+    await NotificationService.notifyRideReminder(ride.driver_id._id, {
+      role: "driver",
+      hours_before: offset,
+      ride_id: ride._id,
+      datetime_start: ride.datetime_start,
+      direction: ride.direction,
+      airport_name: ride.airport_id?.name,
+      passengers: bookings.map((b) => ({
+        booking_id: b._id,
+        name: b.passenger_id
+          ? `${b.passenger_id.first_name} ${b.passenger_id.last_name}`
+          : null,
+        seats: b.seats,
+        pickup_location: this.pickupLocation(ride, b),
+        chat_link: this.chatLink(b._id),
+      })),
+    });
+    return true;
+  }
+
+  static async remindPassenger(ride, booking, dueOffsets) {
+    const offset = await this.claim(Booking, booking._id, dueOffsets);
+    if (offset === null || !booking.passenger_id) return false;
+
+    const driver = ride.driver_id;
+    await NotificationService.notifyRideReminder(booking.passenger_id._id, {
+      role: "passenger",
+      hours_before: offset,
+      ride_id: ride._id,
+      booking_id: booking._id,
+      datetime_start: ride.datetime_start,
+      direction: ride.direction,
+      airport_name: ride.airport_id?.name,
+      pickup_location: this.pickupLocation(ride, booking),
+      driver_name: driver ? `${driver.first_name} ${driver.last_name}` : null,
+      car_model: driver?.car_model || null,
+      car_color: driver?.car_color || null,
+      chat_link: this.chatLink(booking._id),
+    });
+    return true;
+  }
+
+  /**
+   * Where the passenger is picked up: the booking's own pickup point,
+   * otherwise the driver's home address or the airport depending on direction
+   */
+  static pickupLocation(ride, booking) {
+    if (booking.pickup_location?.address) {
+      const { address, latitude, longitude } = booking.pickup_location;
+      return { address, latitude, longitude };
+    }
+    if (ride.direction === "airport_to_home") {
+      return { address: ride.airport_id?.name || null };
+    }
+    return {
+      address: ride.home_address || ride.home_city,
+      latitude: ride.home_latitude,
+      longitude: ride.home_longitude,
+    };
+  }
+
+  /**
+   * Deep link to the booking chat in the mobile app
+   */
+  static chatLink(bookingId) {
+    const base = process.env.APP_DEEP_LINK_BASE || "covoitair://";
+    return `${base}chat/booking/${bookingId}`;
+  }
+}
+
+module.exports = RideReminderService;
@@ -0,0 +1,263 @@
+const Booking = require("../models/Booking");
+const Ride = require("../models/Ride");
+const RideSeries = require("../models/RideSeries");
+const User = require("../models/User");
+const IdentityVerificationService = require("./identityVerificationService");
+const {
+  zonedTimeToUtc,
+  toLocalDateString,
+  addDays,
+  dayOfWeek,
+} = require("../utils/timezone");
+
+// How far ahead concrete rides are generated
+const HORIZON_DAYS = parseInt(process.env.RIDE_SERIES_HORIZON_DAYS || "14", 10);
+
+// Series fields copied onto every generated ride
+const RIDE_FIELDS = [
+  "driver_id",
+  "airport_id",
+  "direction",
+  "home_address",
+  "home_postcode",
+  "home_city",
+  "home_latitude",
+  "home_longitude",
+  "seats_total",
+  "price_per_seat",
+  "luggage_capacity",
+  "comment",
+  "waypoints",
+];
+
+class RideSeriesService {
+  /**
+   * Whether the recurrence rule includes a local date
+   */
+  static matches(series, dateStr) {
+    const { frequency, days_of_week, start_date, until_date } =
+      series.recurrence;
+    if (dateStr < start_date) return false;
+    if (until_date && dateStr > until_date) return false;
+
+    const day = dayOfWeek(dateStr);
+    if (frequency === "weekdays") return day >= 1 && day <= 5;
+    if (frequency === "weekly") return days_of_week.includes(day);
+    return true; // daily
+  }
+
+  /**
+   * Departure instant of the occurrence on a local date
+   */
+  static departureFor(series, dateStr) {
+    return zonedTimeToUtc(dateStr, series.time_of_day, series.timezone);
+  }
+
+  /**
+   * Ride fields for the occurrence on a local date
+   */
+  static buildRide(series, dateStr) {
+    const ride = {
+      series_id: series._id,
+      series_date: dateStr,
+      datetime_start: this.departureFor(series, dateStr),
+      seats_left: series.seats_total,
+      luggage_left: series.luggage_capacity || 0,
+    };
+    for (const field of RIDE_FIELDS) {
+      ride[field] = series[field];
+    }
+    if (series.route?.coordinates?.length) {
+      ride.route = series.route;
+    }
+    return ride;
+  }
+
+  /**
+   * Create the missing rides of a series up to the horizon.
+   * Idempotent: the unique (series_id, series_date) index rejects duplicates,
+   * so dates whose occurrence was cancelled are not recreated either, except
+   * occurrences removed by a series edit (reactivated instead).
+   * @returns {number} rides created
+   */
+  static async generate(series, now = new Date()) {
+    if (series.status !== "active") return 0;
+
+    const today = toLocalDateString(now, series.timezone);
+    const lastDate = addDays(today, HORIZON_DAYS);
+    let date =
+      series.generated_until && series.generated_until >= today
+        ? addDays(series.generated_until, 1)
+        : today;
+    if (date < series.recurrence.start_date) {
+      date = series.recurrence.start_date;
+    }
+
+    let created = 0;
+    for (; date <= lastDate; date = addDays(date, 1)) {
+      if (series.recurrence.until_date && date > series.recurrence.until_date) {
+        break;
+      }
+      if (!this.matches(series, date)) continue;
+      if (this.departureFor(series, date) <= now) continue;
+
+      const fields = this.buildRide(series, date);
+      try {
+        await Ride.create(fields);
+        created++;
+      } catch (err) {
+        if (err.code !== 11000) throw err; // Already generated
+        const reactivated = await Ride.updateOne(
+          { series_id: series._id, series_date: date, status: "cancelled", series_removed: true },
+          { ...fields, status: "active", series_removed: false, reminders_sent: [] },
+        );
+        created += reactivated.modifiedCount;
+      }
+    }
+
+    await RideSeries.updateOne(
+      { _id: series._id },
+      { generated_until: lastDate },
+    );
+    series.generated_until = lastDate;
+    return created;
+  }
+
+  /**
+   * Ride series job (run by JobSchedulerService as "ride_series")
+   * When publishing requires a verified ID, series of drivers who aren't
+   * approved (any more) are skipped until they are.
+   * @returns {Object} { series, created, skipped }
+   */
+  static async generateAll(now = new Date()) {
+    const allSeries = await RideSeries.find({ status: "active" });
+
+    let verifiedDrivers = null;
+    if (IdentityVerificationService.requiredToPublish) {
+      const driverIds = await User.distinct("_id", {
+        _id: { $in: allSeries.map((s) => s.driver_id) },
+        "identity_verification.status": "approved",
+      });
+      verifiedDrivers = new Set(driverIds.map((id) => id.toString()));
+    }
+
+    let created = 0;
+    let skipped = 0;
+    for (const series of allSeries) {
+      if (verifiedDrivers && !verifiedDrivers.has(series.driver_id.toString())) {
+        skipped++;
+        continue;
+      }
+      try {
+        created += await this.generate(series, now);
+      } catch (err) {
+        console.error(
+          `[RideSeriesService] Failed to generate rides for series ${series._id}:`,
+          err.message,
+        );
+      }
+    }
+
+    if (created > 0) {
+      console.log(`[RideSeriesService] Generated ${created} ride(s)`);
+    }
+    if (skipped > 0) {
+      console.log(
+        `[RideSeriesService] Skipped ${skipped} series of drivers without a verified ID`,
+      );
+    }
+    return { series: allSeries.length, created, skipped };
+  }
+
+  /**
+   * Future, active occurrences of a series (by default only those still
+   * following it), split by whether they have pending/accepted bookings
+   */
+  static async futureOccurrences(series, now = new Date(), includeDetached = false) {
+    const filter = {
+      series_id: series._id,
+      status: "active",
+      datetime_start: { $gt: now },
+    };
+    if (!includeDetached) filter.series_detached = false;
+    const rides = await Ride.find(filter);
+
+    const bookedRideIds = await Booking.distinct("ride_id", {
+      ride_id: { $in: rides.map((r) => r._id) },
+      status: { $in: ["pending", "accepted"] },
+    });
+    const booked = new Set(bookedRideIds.map((id) => id.toString()));
+
+    return {
+      free: rides.filter((r) => !booked.has(r._id.toString())),
+      booked: rides.filter((r) => booked.has(r._id.toString())),
+    };
+  }
+
+  /**
+   * Push a series edit to its future occurrences.
+   * Occurrences with bookings are left untouched so passengers keep the
+   * ride they booked; the driver can still edit those one by one.
+   * @returns {Object} { updated, removed, created, skipped }
+   */
+  static async applySeriesUpdate(series, now = new Date()) {
+    const { free, booked } = await this.futureOccurrences(series, now);
+
+    let updated = 0;
+    let removed = 0;
+    for (const ride of free) {
+      if (!this.matches(series, ride.series_date)) {
+        // Cancelled rather than deleted: keeps the audit trail and any
+        // reference to the ride (e.g. ride request offers) valid
+        const cancelled = await Ride.updateOne(
+          { _id: ride._id, status: "active" },
+          { status: "cancelled", series_removed: true },
+        );
+        removed += cancelled.modifiedCount;
+        continue;
+      }
+
+      const fields = this.buildRide(series, ride.series_date);
+      if (fields.datetime_start <= now) continue;
+      if (fields.datetime_start.getTime() !== ride.datetime_start.getTime()) {
+        fields.reminders_sent = [];
+      }
+      await Ride.updateOne({ _id: ride._id }, fields);
+      updated++;
+    }
+
+    // Regenerate from today so newly included dates get rides
+    series.generated_until = null;
+    const created = await this.generate(series, now);
+
+    return {
+      updated,
+      removed,
+      created,
+      skipped: booked.map((r) => r._id),
+    };
+  }
+
+  /**
+   * Stop a series: no more rides are generated and future occurrences
+   * without bookings are cancelled. Booked occurrences stay active.
+   * @returns {Object} { cancelled, kept }
+   */
+  static async cancelSeries(series, now = new Date()) {
+    series.status = "cancelled";
+    await series.save();
+
+    const { free, booked } = await this.futureOccurrences(series, now, true);
+    await Ride.updateMany(
+      { _id: { $in: free.map((r) => r._id) } },
+      { status: "cancelled" },
+    );
+
+    return {
+      cancelled: free.length,
+      kept: booked.map((r) => r._id),
+    };
+  }
+}
+
+module.exports = RideSeriesService;
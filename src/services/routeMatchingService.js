@@ -0,0 +1,80 @@
+const MapService = require("./mapService");
+
+// Roads are longer than the straight line to the passenger
+const ROAD_FACTOR = parseFloat(process.env.ROUTE_MATCH_ROAD_FACTOR || "1.3");
+
+// Average speeds used for estimates, in km/h: local streets for the detour,
+// the whole trip for the time to reach a point of the route
+const DETOUR_SPEED_KMH = parseFloat(process.env.ROUTE_MATCH_DETOUR_SPEED_KMH || "30");
+const ROUTE_SPEED_KMH = parseFloat(process.env.ROUTE_MATCH_ROUTE_SPEED_KMH || "50");
+
+// Default cap on the detour a driver is expected to make
+const MAX_DETOUR_MINUTES = parseFloat(process.env.SEARCH_MAX_DETOUR_MINUTES || "20");
+
+const metersPerMinute = (kmh) => (kmh * 1000) / 60;
+
+/**
+ * Corridor matching of a passenger location against a ride's route
+ */
+class RouteMatchingService {
+  static MAX_DETOUR_MINUTES = MAX_DETOUR_MINUTES;
+
+  /**
+   * Estimate what picking up (to the airport) or dropping off (from the
+   * airport) a passenger at a location costs the driver.
+   * @param {Object} ride needs route, direction and datetime_start
+   * @param {Object} location { lat, lng }
+   * @returns {Object|null} null when the ride has no route
+   *   { closest_point, distance_from_route, detour_distance, detour_minutes,
+   *     projected_pickup_at, projected_dropoff_at }
+   */
+  static match(ride, location) {
+    const closest = MapService.closestPointOnRoute(ride.route, location);
+    if (!closest) return null;
+
+    // Leave the route at the closest point, reach the passenger, come back
+    const detourDistance = 2 * closest.distance * ROAD_FACTOR;
+    const detourMinutes = detourDistance / metersPerMinute(DETOUR_SPEED_KMH);
+
+    // Time from departure until the driver reaches the passenger
+    const minutesToPassenger =
+      closest.along / metersPerMinute(ROUTE_SPEED_KMH) + detourMinutes / 2;
+    const departure = new Date(ride.datetime_start);
+    const atPassenger = new Date(departure.getTime() + minutesToPassenger * 60000);
+    const toAirport = ride.direction === "home_to_airport";
+
+    return {
+      closest_point: {
+        latitude: closest.point.lat,
+        longitude: closest.point.lng,
+      },
+      distance_from_route: Math.round(closest.distance),
+      detour_distance: Math.round(detourDistance),
+      detour_minutes: Math.round(detourMinutes),
+      // From the airport everybody is picked up at departure
+      projected_pickup_at: toAirport ? atPassenger : departure,
+      projected_dropoff_at: toAirport ? null : atPassenger,
+    };
+  }
+
+  /**
+   * Match rides against a location, drop those over the detour cap and
+   * sort by detour, then departure time
+   * @returns {Array} rides with a route_match field
+   */
+  static rank(rides, location, maxDetourMinutes = this.MAX_DETOUR_MINUTES) {
+    return rides
+      .map((ride) => ({ ...ride, route_match: this.match(ride, location) }))
+      .filter(
+        (ride) =>
+          ride.route_match && ride.route_match.detour_minutes <= maxDetourMinutes,
+      )
+      .sort(
+        (a, b) =>
+          a.route_match.detour_minutes - b.route_match.detour_minutes ||
+          new Date(a.datetime_start) - new Date(b.datetime_start),
+      );
+  }
+}
+
+module.exports = RouteMatchingService;
@@ -0,0 +1,212 @@
+const crypto = require("crypto");
+const Session = require("../models/Session");
+const AuditService = require("./auditService");
+const {
+  generateTokens,
+  verifyRefreshToken,
+  REFRESH_TOKEN_TTL_MS,
+} = require("../utils/jwt");
+
+// How long a refresh can be retried with the token it replaced
+const REFRESH_RETRY_GRACE_MS = 30 * 1000;
+
+const unauthorized = (message, code) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  if (code) error.code = code;
+  return error;
+};
+
+class SessionService {
+  /**
+   * Device details stored with the session
+   */
+  static deviceInfo(req) {
+    return {
+      user_agent: req?.get?.("User-Agent")?.slice(0, 500) || null,
+      ip: req?.ip || null,
+    };
+  }
+
+  /**
+   * Start a session (login, registration) and issue its first tokens
+   * @param {string} userId
+   * @param {Object} req - for the device details
+   * @returns {Promise<{accessToken: string, refreshToken: string}>}
+   */
+  static async create(userId, req = null) {
+    const jti = crypto.randomUUID();
+    const session = await Session.create({
+      user_id: userId,
+      refresh_jti: jti,
+      expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+      ...this.deviceInfo(req),
+    });
+    return generateTokens(userId.toString(), session._id.toString(), jti);
+  }
+
+  /**
+   * Exchange a refresh token for new tokens. The presented token must be the
+   * session's latest one; an older one being replayed means it leaked, so the
+   * session is revoked and every token issued from it stops working.
+   * The token replaced by the last refresh is the exception for
+   * REFRESH_RETRY_GRACE_MS: presenting it again returns the same tokens that
+   * refresh issued (a retry after a lost response).
+   * @param {string} refreshToken
+   * @param {Object} req
+   * @returns {Promise<{session: Object, accessToken: string, refreshToken: string}>}
+   * @throws 401 error (code "refresh_token_reused" on reuse)
+   */
+  static async rotate(refreshToken, req = null) {
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      throw unauthorized("Invalid refresh token");
+    }
+    // Tokens issued before sessions existed can't be checked: log in again
+    if (!decoded.sid || !decoded.jti) throw unauthorized("Invalid refresh token");
+
+    const now = new Date();
+    const jti = crypto.randomUUID();
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: decoded.sid,
+        user_id: decoded.userId,
+        refresh_jti: decoded.jti,
+        revoked_at: null,
+        expires_at: { $gt: now },
+      },
+      {
+        refresh_jti: jti,
+        previous_jti: decoded.jti,
+        rotated_at: now,
+        $inc: { rotation_count: 1 },
+        last_used_at: now,
+        expires_at: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+        ...this.deviceInfo(req),
+      },
+      { new: true },
+    );
+
+    if (!session) {
+      const retried = await Session.findOne({
+        _id: decoded.sid,
+        user_id: decoded.userId,
+        previous_jti: decoded.jti,
+        rotated_at: { $gt: new Date(now.getTime() - REFRESH_RETRY_GRACE_MS) },
+        revoked_at: null,
+        expires_at: { $gt: now },
+      });
+      if (retried) {
+        return {
+          session: retried,
+          ...generateTokens(
+            decoded.userId,
+            retried._id.toString(),
+            retried.refresh_jti,
+            retried.rotated_at,
+          ),
+        };
+      }
+
+      const revoked = await Session.findOneAndUpdate(
+        { _id: decoded.sid, user_id: decoded.userId, revoked_at: null },
+        { revoked_at: now, revoke_reason: "refresh_token_reuse" },
+        { new: true },
+      );
+      if (revoked) {
+        await AuditService.record({
+          req,
+          action: "session.reuse_detected",
+          target_type: "session",
+          target_id: revoked._id,
+          reason: "refresh_token_reuse",
+          metadata: { user_id: decoded.userId, ...this.deviceInfo(req) },
+        });
+        throw unauthorized(
+          "Refresh token already used. The session was ended, please log in again.",
+          "refresh_token_reused",
+        );
+      }
+      throw unauthorized("Session expired or revoked. Please log in again.");
+    }
+
+    return {
+      session,
+      ...generateTokens(decoded.userId, session._id.toString(), jti, now),
+    };
+  }
+
+  /**
+   * Whether the session behind an access token is still active. Tokens
+   * without a session (issued before sessions existed) expire within minutes
+   * and are let through.
+   * @param {string} sessionId
+   */
+  static async isActive(sessionId) {
+    if (!sessionId) return true;
+    const session = await Session.exists({
+      _id: sessionId,
+      revoked_at: null,
+      expires_at: { $gt: new Date() },
+    });
+    return Boolean(session);
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   */
+  static async list(userId) {
+    return Session.find({
+      user_id: userId,
+      revoked_at: null,
+      expires_at: { $gt: new Date() },
+    })
+      .select("-refresh_jti -previous_jti")
+      .sort({ last_used_at: -1 })
+      .lean();
+  }
+
+  /**
+   * Revoke one session of a user
+   * @returns {Promise<boolean>} false if there is no such active session
+   */
+  static async revoke(userId, sessionId, reason = "logout") {
+    const result = await Session.updateOne(
+      { _id: sessionId, user_id: userId, revoked_at: null },
+      { revoked_at: new Date(), revoke_reason: reason },
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every session of a user (password reset, account deletion,
+   * "log out everywhere")
+   * @param {string} userId
+   * @param {Object} options
+   * @param {string} options.reason
+   * @param {string} options.except - session to keep (the current one)
+   * @returns {Promise<number>} number of sessions revoked
+   */
+  static async revokeAll(userId, { reason = "user_revoked", except = null } = {}) {
+    const filter = { user_id: userId, revoked_at: null };
+    if (except) filter._id = { $ne: except };
+    const result = await Session.updateMany(filter, {
+      revoked_at: new Date(),
+      revoke_reason: reason,
+    });
+    if (result.modifiedCount > 0) {
+      await AuditService.record({
+        action: "session.revoke_all",
+        target_type: "user",
+        target_id: userId,
+        reason,
+        metadata: { revoked: result.modifiedCount, kept: except },
+      });
+    }
+    return result.modifiedCount;
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,271 @@
+const { Server } = require("socket.io");
+const { verifyAccessToken } = require("../utils/jwt");
+const User = require("../models/User");
+const Message = require("../models/Message");
+const ChatService = require("./chatService");
+const SessionService = require("./sessionService");
+const redis = require("../config/redisClient");
+const { isRedisReady } = require("../config/redisClient");
+
+// How long a positive chat access check is reused for typing indicators.
+// Short, so a cancelled booking or withdrawn offer stops access quickly.
+const CHAT_ACCESS_TTL_MS = 30 * 1000;
+
+// Events for users go through Redis pub/sub, so a socket connected to one
+// instance gets the events emitted on another. While Redis is down they only
+// reach sockets connected to the instance that emitted them.
+const EVENTS_CHANNEL = "socket-events";
+
+class SocketService {
+  static io = null;
+  // Dedicated connection: a subscribed Redis client can't run other commands
+  static subscriber = null;
+
+  /**
+   * Attach Socket.IO to the HTTP server
+   * Clients connect with { auth: { token: <accessToken> } }
+   */
+  static init(httpServer) {
+    this.io = new Server(httpServer, {
+      cors: { origin: "*" },
+    });
+
+    this.io.use((socket, next) => this.authenticate(socket, next));
+    this.io.on("connection", (socket) => this.handleConnection(socket));
+    this.ensureSubscriber();
+
+    console.log("🔌 WebSocket server started");
+    return this.io;
+  }
+
+  /**
+   * Socket authentication middleware
+   * Uses the same access token as the REST API
+   */
+  static async authenticate(socket, next) {
+    try {
+      const authHeader = socket.handshake.headers?.authorization;
+      const token =
+        socket.handshake.auth?.token ||
+        (authHeader && authHeader.startsWith("Bearer ")
+          ? authHeader.substring(7)
+          : null);
+
+      if (!token) {
+        return next(new Error("No token provided. Authentication required."));
+      }
+
+      const decoded = verifyAccessToken(token);
+      const user = await User.findOne({
+        _id: decoded.userId,
+        deleted_at: null,
+      }).select("_id");
+
+      if (!user) {
+        return next(new Error("User not found or deleted."));
+      }
+      if (!(await SessionService.isActive(decoded.sid))) {
+        return next(new Error("Session ended. Please log in again."));
+      }
+
+      socket.data.userId = user._id.toString();
+      // Recent access checks per conversation, see resolveChatAccess
+      socket.data.chatAccess = new Map();
+      return next();
+    } catch (e) {
+      return next(new Error("Invalid or expired token."));
+    }
+  }
+
+  static handleConnection(socket) {
+    const userId = socket.data.userId;
+    socket.join(this.userRoom(userId));
+
+    socket.on("chat:typing", async (data, ack) => {
+      const access = await this.resolveChatAccess(socket, data);
+      if (access.error) return this.reply(ack, access.error);
+
+      this.emitToUser(access.receiverId, "chat:typing", {
+        booking_id: data?.booking_id || null,
+        request_id: data?.request_id || null,
+        user_id: userId,
+        is_typing: data?.is_typing !== false,
+      });
+      this.reply(ack, null);
+    });
+
+    socket.on("chat:read", async (data, ack) => {
+      // Changes messages: always check against the current booking/request
+      const access = await this.resolveChatAccess(socket, data, { fresh: true });
+      if (access.error) return this.reply(ack, access.error);
+
+      try {
+        await this.markConversationRead({
+          bookingId: data?.booking_id,
+          requestId: data?.request_id,
+          readerId: userId,
+          otherUserId: access.receiverId,
+        });
+        this.reply(ack, null);
+      } catch (error) {
+        console.error("[SocketService] chat:read error:", error.message);
+        this.reply(ack, { message: "Failed to mark messages as read" });
+      }
+    });
+  }
+
+  /**
+   * Check chat access for a socket event. Positive results are cached per
+   * socket for CHAT_ACCESS_TTL_MS so typing indicators don't hit the
+   * database on every keystroke; `fresh` skips the cache.
+   */
+  static async resolveChatAccess(socket, data, { fresh = false } = {}) {
+    const bookingId = data?.booking_id;
+    const requestId = data?.request_id;
+
+    if (!bookingId && !requestId) {
+      return { error: { message: "booking_id or request_id is required" } };
+    }
+
+    const key = bookingId ? `booking:${bookingId}` : `request:${requestId}`;
+    const cached = socket.data.chatAccess.get(key);
+    if (cached && !fresh && cached.expires_at > Date.now()) return cached.result;
+    socket.data.chatAccess.delete(key);
+
+    try {
+      const access = bookingId
+        ? await ChatService.getBookingChatAccess(bookingId, socket.data.userId)
+        : await ChatService.getRequestChatAccess(requestId, socket.data.userId);
+
+      if (access.error) return access;
+
+      const result = { receiverId: access.receiverId };
+      socket.data.chatAccess.set(key, {
+        result,
+        expires_at: Date.now() + CHAT_ACCESS_TTL_MS,
+      });
+      return result;
+    } catch (error) {
+      console.error("[SocketService] Chat access check failed:", error.message);
+      return { error: { message: "Chat not found" } };
+    }
+  }
+
+  /**
+   * Mark all unread messages of a conversation as read for the reader
+   * and push a read receipt to the other participant.
+   */
+  static async markConversationRead({
+    bookingId,
+    requestId,
+    readerId,
+    otherUserId,
+  }) {
+    const readAt = new Date();
+    const filter = bookingId
+      ? { booking_id: bookingId, receiver_id: readerId, read: false }
+      : { request_id: requestId, receiver_id: readerId, read: false };
+
+    const result = await Message.updateMany(filter, {
+      read: true,
+      read_at: readAt,
+    });
+
+    if (result.modifiedCount > 0) {
+      this.emitReadReceipt({
+        bookingId,
+        requestId,
+        readerId,
+        otherUserId,
+        readAt,
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Push a new chat message to both participants
+   * (the sender too, so their other devices stay in sync)
+   */
+  static emitChatMessage(message, { senderId, receiverId }) {
+    const payload = {
+      booking_id: message.booking_id || null,
+      request_id: message.request_id || null,
+      message,
+    };
+    this.emitToUser(receiverId, "chat:message", payload);
+    this.emitToUser(senderId, "chat:message", payload);
+  }
+
+  /**
+   * Tell the other participant that their messages were read
+   */
+  static emitReadReceipt({ bookingId, requestId, readerId, otherUserId, readAt }) {
+    this.emitToUser(otherUserId, "chat:read", {
+      booking_id: bookingId || null,
+      request_id: requestId || null,
+      reader_id: readerId,
+      read_at: readAt,
+    });
+  }
+
+  /**
+   * Emit an event to every socket of a user, on every instance
+   */
+  static emitToUser(userId, event, payload) {
+    if (!userId) return;
+    userId = userId.toString();
+
+    if (isRedisReady()) {
+      redis
+        .publish(EVENTS_CHANNEL, JSON.stringify({ userId, event, payload }))
+        .catch((err) => {
+          console.error("[SocketService] Redis publish failed:", err.message);
+          this.emitLocal(userId, event, payload);
+        });
+      return;
+    }
+    this.emitLocal(userId, event, payload);
+  }
+
+  /**
+   * Emit to the user's sockets connected to this instance (no-op when
+   * sockets aren't started here)
+   */
+  static emitLocal(userId, event, payload) {
+    if (!this.io) return;
+    this.io.to(this.userRoom(userId)).emit(event, payload);
+  }
+
+  /**
+   * Relay events published by any instance to local sockets
+   */
+  static ensureSubscriber() {
+    if (this.subscriber) return;
+    this.subscriber = redis.duplicate();
+    this.subscriber.on("error", () => {}); // Logged once by the main client
+    this.subscriber.on("message", (channel, message) => {
+      try {
+        const { userId, event, payload } = JSON.parse(message);
+        this.emitLocal(userId, event, payload);
+      } catch (err) {
+        console.error("[SocketService] Invalid message on", channel);
+      }
+    });
+    this.subscriber.subscribe(EVENTS_CHANNEL).catch((err) => {
+      console.error("[SocketService] Redis subscribe failed:", err.message);
+    });
+  }
+
+  static userRoom(userId) {
+    return `user:${userId}`;
+  }
+
+  static reply(ack, error) {
+    if (typeof ack !== "function") return;
+    ack(error ? { success: false, message: error.message } : { success: true });
+  }
+}
+
+module.exports = SocketService;
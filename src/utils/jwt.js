@@ -4,23 +4,44 @@ const JWT_SECRET =
   process.env.JWT_SECRET || "your-secret-key-change-in-production";
 const JWT_REFRESH_SECRET =
   process.env.JWT_REFRESH_SECRET || "your-refresh-secret-key";
+// Separate key: an MFA challenge token must never pass as an access token
+const JWT_MFA_SECRET = process.env.JWT_MFA_SECRET || `${JWT_SECRET}:mfa`;
 const ACCESS_TOKEN_EXPIRY = "15m"; // 15 minutes
+const MFA_TOKEN_EXPIRY = "5m"; // 5 minutes
 const REFRESH_TOKEN_EXPIRY = "7d"; // 7 days
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Fixed issue time (in seconds) so the same tokens can be signed again
+const issuedAtClaim = (issuedAt) =>
+  issuedAt ? { iat: Math.floor(new Date(issuedAt).getTime() / 1000) } : {};
 
 /**
  * Generate access token
+ * @param {string} userId
+ * @param {string} sessionId - session the token belongs to (see models/Session)
+ * @param {Date} [issuedAt] - defaults to now
  */
-function generateAccessToken(userId) {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRY });
+function generateAccessToken(userId, sessionId, issuedAt = null) {
+  return jwt.sign(
+    { userId, sid: sessionId, ...issuedAtClaim(issuedAt) },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRY },
+  );
 }
 
 /**
  * Generate refresh token
+ * @param {string} userId
+ * @param {string} sessionId
+ * @param {string} jti - unique token ID, rotated on every refresh
+ * @param {Date} [issuedAt] - defaults to now
  */
-function generateRefreshToken(userId) {
-  return jwt.sign({ userId }, JWT_REFRESH_SECRET, {
-    expiresIn: REFRESH_TOKEN_EXPIRY,
-  });
+function generateRefreshToken(userId, sessionId, jti, issuedAt = null) {
+  return jwt.sign(
+    { userId, sid: sessionId, ...issuedAtClaim(issuedAt) },
+    JWT_REFRESH_SECRET,
+    { expiresIn: REFRESH_TOKEN_EXPIRY, jwtid: jti },
+  );
 }
 
 /**
@@ -46,12 +67,33 @@ function verifyRefreshToken(token) {
 }
 
 /**
- * Generate both tokens
+ * Generate the token proving the password step of a login, exchanged with a
+ * TOTP code for real tokens (POST /auth/mfa/verify)
+ */
+function generateMfaToken(userId) {
+  return jwt.sign({ userId }, JWT_MFA_SECRET, { expiresIn: MFA_TOKEN_EXPIRY });
+}
+
+/**
+ * Verify MFA challenge token
+ */
+function verifyMfaToken(token) {
+  try {
+    return jwt.verify(token, JWT_MFA_SECRET);
+  } catch (error) {
+    throw new Error("Invalid or expired MFA token");
+  }
+}
+
+/**
+ * Generate both tokens for a session
+ * (use SessionService.create / rotate rather than calling this directly).
+ * With the same issuedAt the same tokens come out again.
  */
-function generateTokens(userId) {
+function generateTokens(userId, sessionId, jti, issuedAt = null) {
   return {
-    accessToken: generateAccessToken(userId),
-    refreshToken: generateRefreshToken(userId),
+    accessToken: generateAccessToken(userId, sessionId, issuedAt),
+    refreshToken: generateRefreshToken(userId, sessionId, jti, issuedAt),
   };
 }
 
@@ -61,4 +103,7 @@ module.exports = {
   verifyAccessToken,
   verifyRefreshToken,
   generateTokens,
+  generateMfaToken,
+  verifyMfaToken,
+  REFRESH_TOKEN_TTL_MS,
 };
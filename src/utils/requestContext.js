@@ -0,0 +1,24 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Keeps the current Express request reachable from code that isn't handed
+// `req` (models, services), e.g. to attribute audit log entries
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run the rest of the request handling with `req` as the current request
+ */
+function runWithRequest(req, fn) {
+  return storage.run({ req }, fn);
+}
+
+/**
+ * The request being handled, or null outside of a request (jobs, scripts)
+ */
+function currentRequest() {
+  return storage.getStore()?.req || null;
+}
+
+module.exports = {
+  runWithRequest,
+  currentRequest,
+};
@@ -0,0 +1,79 @@
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ */
+function getTimezoneOffset(date, timezone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  const asUtc = Date.UTC(
+    get("year"),
+    get("month") - 1,
+    get("day"),
+    get("hour"),
+    get("minute"),
+    get("second"),
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a local date ("YYYY-MM-DD") and time ("HH:mm") in a timezone to a UTC Date
+ */
+function zonedTimeToUtc(dateStr, timeStr, timezone) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  const [hour, minute] = timeStr.split(":").map(Number);
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Two passes so the offset is the one in effect at the result (DST changes)
+  let offset = getTimezoneOffset(new Date(guess), timezone);
+  offset = getTimezoneOffset(new Date(guess - offset), timezone);
+  return new Date(guess - offset);
+}
+
+/**
+ * Local calendar date ("YYYY-MM-DD") of an instant in a timezone
+ */
+function toLocalDateString(date, timezone) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+}
+
+/**
+ * Add days to a "YYYY-MM-DD" date string
+ */
+function addDays(dateStr, days) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days))
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Day of week (0 = Sunday ... 6 = Saturday) of a "YYYY-MM-DD" date string
+ */
+function dayOfWeek(dateStr) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+module.exports = {
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  toLocalDateString,
+  addDays,
+  dayOfWeek,
+};
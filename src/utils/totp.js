@@ -0,0 +1,135 @@
+const crypto = require("crypto");
+
+// RFC 6238 defaults, what authenticator apps expect
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// Key for secrets stored in the database (AES-256-GCM)
+const ENCRYPTION_KEY = crypto
+  .createHash("sha256")
+  .update(
+    process.env.MFA_ENCRYPTION_KEY ||
+      process.env.JWT_SECRET ||
+      "your-secret-key-change-in-production",
+  )
+  .digest();
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * New random secret, base32 (160 bits as recommended by RFC 4226)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Code for a time step
+ * @param {string} secret - base32
+ * @param {number} step - number of periods since the epoch
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD_SECONDS);
+
+/**
+ * Check a code, allowing `window` periods of clock drift either way
+ * @returns {number|null} the matching time step (to refuse replays), or null
+ */
+function verifyCode(secret, code, { window = 1, now = Date.now() } = {}) {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const step = currentStep(now);
+  for (let drift = -window; drift <= window; drift++) {
+    const expected = generateCode(secret, step + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step + drift;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI, rendered as a QR code by the client for authenticator apps
+ */
+function otpauthUrl({ secret, label, issuer }) {
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${encodeURIComponent(`${issuer}:${label}`)}?${params}`;
+}
+
+/**
+ * Encrypt a secret for storage: "iv.tag.ciphertext" in base64
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((b) => b.toString("base64")).join(".");
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored.split(".").map((p) => Buffer.from(p, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  currentStep,
+  verifyCode,
+  otpauthUrl,
+  encryptSecret,
+  decryptSecret,
+};
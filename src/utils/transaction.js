@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+let supported = null;
+
+/**
+ * Whether the server can run multi-document transactions (replica set or
+ * sharded cluster, e.g. Atlas). A standalone local mongod can't.
+ */
+async function transactionsSupported() {
+  if (supported === null) {
+    try {
+      const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+      supported = Boolean(hello.setName || hello.msg === "isdbgrid");
+    } catch (err) {
+      supported = false;
+    }
+    if (!supported) {
+      console.warn(
+        "⚠️  MongoDB transactions unavailable (standalone server): multi-document writes are not atomic",
+      );
+    }
+  }
+  return supported;
+}
+
+/**
+ * Run fn(session) in a transaction: every write passed the session is
+ * committed together or not at all. fn may be retried on transient errors,
+ * so keep side effects (Stripe, notifications) outside of it.
+ * On a standalone server fn runs once with a null session; callers still
+ * rely on conditional updates to never oversell or overdraw.
+ * @param {Function} fn - async (session) => result
+ */
+async function withTransaction(fn) {
+  if (!(await transactionsSupported())) return fn(null);
+  return mongoose.connection.transaction((session) => fn(session));
+}
+
+/**
+ * Error that aborts a transaction and is sent to the client with its status
+ */
+function abort(statusCode, message, details = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, details);
+  return error;
+}
+
+module.exports = {
+  withTransaction,
+  transactionsSupported,
+  abort,
+};
@@ -0,0 +1,132 @@
+process.env.NODE_ENV = "test";
+process.env.FLIGHT_PICKUP_BUFFER_MINUTES = "45";
+process.env.FLIGHT_DELAY_NOTIFY_MINUTES = "15";
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const Booking = require("../src/models/Booking");
+const RideRequest = require("../src/models/RideRequest");
+const FlightStatusService = require("../src/services/flightStatusService");
+const FlightTrackingService = require("../src/services/flightTrackingService");
+const NotificationService = require("../src/services/notificationService");
+const { useMemoryModel } = require("./helpers/memoryModel");
+
+const fake = FlightStatusService.providers.fake;
+const cdg = { iata_code: "CDG" };
+
+beforeEach(() => {
+  FlightStatusService.setProvider("fake");
+  fake.flights.clear();
+  fake.setFlight("AF1234", "2025-12-31", {
+    departure_iata: "LHR",
+    arrival_iata: "CDG",
+    scheduled_arrival: "2025-12-31T10:00:00Z",
+    estimated_arrival: "2025-12-31T10:30:00Z",
+  });
+});
+
+test("resolves an arrival with the suggested pickup after landing", async () => {
+  const { flight } = await FlightTrackingService.resolveFlight(
+    cdg, "airport_to_home", "AF1234", "2025-12-31",
+  );
+  assert.strictEqual(flight.delay_minutes, 30);
+  assert.strictEqual(flight.suggested_pickup_at.toISOString(), "2025-12-31T11:15:00.000Z");
+});
+
+test("rejects a flight that doesn't serve the ride's airport", async () => {
+  const wrongAirport = await FlightTrackingService.resolveFlight(
+    cdg, "home_to_airport", "AF1234", "2025-12-31",
+  );
+  assert.strictEqual(wrongAirport.error.status, 400);
+
+  const unknown = await FlightTrackingService.resolveFlight(
+    cdg, "airport_to_home", "AF9999", "2025-12-31",
+  );
+  assert.strictEqual(unknown.error.status, 404);
+});
+
+test("disables flight tracking without a configured provider", async () => {
+  // Never a silent fake outside tests
+  assert.strictEqual(FlightStatusService.resolveProvider({}), null);
+  assert.strictEqual(
+    FlightStatusService.resolveProvider({ FLIGHT_STATUS_PROVIDER: "nope" }),
+    null,
+  );
+  assert.strictEqual(
+    FlightStatusService.resolveProvider({ FLIGHT_STATUS_PROVIDER: "fake" }),
+    fake,
+  );
+
+  FlightStatusService.setProvider(null);
+  assert.strictEqual(FlightStatusService.isEnabled(), false);
+  const result = await FlightTrackingService.resolveFlight(
+    cdg, "airport_to_home", "AF1234", "2025-12-31",
+  );
+  assert.strictEqual(result.error.status, 503);
+});
+
+test("notifies the driver when a delay moves the suggested pickup", async (t) => {
+  const now = new Date("2025-12-31T08:00:00Z");
+  const driverId = new mongoose.Types.ObjectId();
+  const bookings = useMemoryModel(t, Booking, [
+    {
+      status: "accepted",
+      ride_id: {
+        _id: new mongoose.Types.ObjectId(),
+        driver_id: driverId,
+        direction: "airport_to_home",
+        status: "active",
+      },
+      passenger_id: { first_name: "Ana", last_name: "Silva" },
+      flight: {
+        number: "AF1234",
+        date: "2025-12-31",
+        scheduled_at: new Date("2025-12-31T10:00:00Z"),
+        estimated_at: new Date("2025-12-31T10:00:00Z"),
+        suggested_pickup_at: new Date("2025-12-31T10:45:00Z"),
+      },
+    },
+  ]);
+  useMemoryModel(t, RideRequest);
+  const notify = t.mock.method(NotificationService, "notifyFlightUpdated", async () => {});
+
+  const result = await FlightTrackingService.checkFlights(now);
+
+  assert.deepStrictEqual(result, { checked: 1, notified: 1 });
+  const [[notifiedDriver, payload]] = notify.mock.calls.map((c) => c.arguments);
+  assert.strictEqual(notifiedDriver, driverId);
+  assert.strictEqual(payload.delay_minutes, 30);
+  assert.strictEqual(payload.passenger_name, "Ana Silva");
+  assert.strictEqual(payload.suggested_pickup_at.toISOString(), "2025-12-31T11:15:00.000Z");
+  assert.strictEqual(
+    bookings[0].flight.suggested_pickup_at.toISOString(),
+    "2025-12-31T11:15:00.000Z",
+  );
+});
+
+test("doesn't notify for a slip below the threshold", async (t) => {
+  fake.setFlight("AF1234", "2025-12-31", {
+    departure_iata: "LHR",
+    arrival_iata: "CDG",
+    scheduled_arrival: "2025-12-31T10:00:00Z",
+    estimated_arrival: "2025-12-31T10:10:00Z",
+  });
+  const doc = {
+    flight: {
+      number: "AF1234",
+      date: "2025-12-31",
+      suggested_pickup_at: new Date("2025-12-31T10:45:00Z"),
+    },
+    save: async () => {},
+  };
+  const notify = t.mock.method(NotificationService, "notifyFlightUpdated", async () => {});
+
+  const notified = await FlightTrackingService.refresh(doc, new mongoose.Types.ObjectId(), {});
+
+  assert.strictEqual(notified, false);
+  assert.strictEqual(notify.mock.callCount(), 0);
+  assert.strictEqual(doc.flight.delay_minutes, 10);
+  // Kept until the shift is big enough to be worth a notification
+  assert.strictEqual(doc.flight.suggested_pickup_at.toISOString(), "2025-12-31T10:45:00.000Z");
+});
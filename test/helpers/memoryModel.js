@@ -0,0 +1,221 @@
+const mongoose = require("mongoose");
+
+/**
+ * In-memory stand-in for the Mongoose model methods the services use, so
+ * tests run without MongoDB. Each call matches and updates synchronously,
+ * like a single conditional update on the server: two concurrent requests
+ * racing for the same document behave as they would against MongoDB.
+ *
+ * Supports equality (ids compared as strings), $gt/$gte/$lt/$lte/$in/$ne,
+ * $or, dotted paths, and $set/$inc/$unset updates (plain fields are $set).
+ */
+
+const get = (doc, path) =>
+  path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const set = (doc, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((obj, key) => (obj[key] ??= {}), doc);
+  parent[last] = value;
+};
+
+const isId = (value) => value instanceof mongoose.Types.ObjectId;
+const same = (a, b) => {
+  if (a == null || b == null) return a == null && b == null;
+  if (isId(a) || isId(b)) return String(a) === String(b);
+  if (a instanceof Date || b instanceof Date) return +a === +b;
+  return a === b;
+};
+
+const isOperatorObject = (value) =>
+  value &&
+  typeof value === "object" &&
+  !isId(value) &&
+  !(value instanceof Date) &&
+  Object.keys(value).some((k) => k.startsWith("$"));
+
+function matchesValue(actual, condition) {
+  if (!isOperatorObject(condition)) {
+    return Array.isArray(actual)
+      ? actual.some((item) => same(item, condition))
+      : same(actual, condition);
+  }
+  return Object.entries(condition).every(([op, expected]) => {
+    switch (op) {
+      case "$gt":
+        return actual != null && actual > expected;
+      case "$gte":
+        return actual != null && actual >= expected;
+      case "$lt":
+        return actual != null && actual < expected;
+      case "$lte":
+        return actual != null && actual <= expected;
+      case "$in":
+        return expected.some((value) => same(actual, value));
+      case "$ne":
+        return !same(actual, expected);
+      case "$exists":
+        return (actual !== undefined) === expected;
+      default:
+        throw new Error(`memoryModel: unsupported operator ${op}`);
+    }
+  });
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([path, condition]) => {
+    if (path === "$or") return condition.some((f) => matches(doc, f));
+    if (path === "$and") return condition.every((f) => matches(doc, f));
+    return matchesValue(get(doc, path), condition);
+  });
+}
+
+function applyUpdate(doc, update) {
+  for (const [key, value] of Object.entries(update)) {
+    if (key === "$set") {
+      for (const [path, v] of Object.entries(value)) set(doc, path, v);
+    } else if (key === "$inc") {
+      for (const [path, v] of Object.entries(value)) set(doc, path, (get(doc, path) || 0) + v);
+    } else if (key === "$unset") {
+      for (const path of Object.keys(value)) set(doc, path, undefined);
+    } else if (key.startsWith("$")) {
+      throw new Error(`memoryModel: unsupported update ${key}`);
+    } else {
+      set(doc, key, value);
+    }
+  }
+  return doc;
+}
+
+/**
+ * Query-like result: chainable (select, populate, sort, ...) and awaitable
+ */
+function query(result) {
+  const q = {
+    then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject),
+  };
+  for (const method of ["select", "populate", "sort", "limit", "skip", "lean", "session"]) {
+    q[method] = () => q;
+  }
+  return q;
+}
+
+/**
+ * Replace the model's static query methods with an in-memory collection
+ * for the duration of the test (restored by node:test's mock)
+ * @param {import("node:test").TestContext} t
+ * @param {mongoose.Model} Model
+ * @param {Object[]} docs - initial documents (an _id is added when missing)
+ * @param {Object} defaults - fields set on created and upserted documents
+ * @returns {Object[]} the live collection, to inspect after the calls
+ */
+function useMemoryModel(t, Model, docs = [], defaults = {}) {
+  const collection = docs.map((doc) => ({
+    _id: new mongoose.Types.ObjectId(),
+    ...defaults,
+    ...doc,
+  }));
+
+  // Copies are handed out, so a caller only sees later changes by querying
+  // again; save() writes the copy back
+  const copy = (doc) => {
+    if (!doc) return null;
+    const out = { ...doc };
+    Object.defineProperty(out, "save", {
+      value: async function () {
+        const stored = collection.find((d) => same(d._id, out._id));
+        if (stored) Object.assign(stored, out);
+        else collection.push({ ...out });
+        return out;
+      },
+    });
+    Object.defineProperty(out, "toObject", { value: () => ({ ...out }) });
+    return out;
+  };
+  const findOne = (filter) => collection.find((doc) => matches(doc, filter));
+  const insert = (data) => {
+    const doc = { _id: new mongoose.Types.ObjectId(), ...defaults, ...data };
+    collection.push(doc);
+    return doc;
+  };
+  const upsertBase = (filter) =>
+    Object.fromEntries(
+      Object.entries(filter).filter(
+        ([path, value]) => !path.startsWith("$") && !isOperatorObject(value),
+      ),
+    );
+
+  const findOneAndUpdate = (filter, update, options = {}) => {
+    let doc = findOne(filter);
+    if (!doc) {
+      if (!options.upsert) return null;
+      doc = insert(upsertBase(filter));
+    }
+    const before = { ...doc };
+    applyUpdate(doc, update);
+    return copy(options.new ? doc : before);
+  };
+
+  const mocks = {
+    find: (filter) => query(() => collection.filter((doc) => matches(doc, filter)).map(copy)),
+    findOne: (filter) => query(() => copy(findOne(filter))),
+    findById: (id) => query(() => copy(findOne({ _id: id }))),
+    exists: (filter) => query(() => (findOne(filter) ? { _id: findOne(filter)._id } : null)),
+    countDocuments: (filter) =>
+      query(() => collection.filter((doc) => matches(doc, filter)).length),
+    distinct: (path, filter) =>
+      query(() => {
+        const values = [];
+        for (const doc of collection.filter((d) => matches(d, filter))) {
+          const value = get(doc, path);
+          if (value != null && !values.some((v) => same(v, value))) values.push(value);
+        }
+        return values;
+      }),
+    findOneAndUpdate: (filter, update, options) =>
+      query(() => findOneAndUpdate(filter, update, options)),
+    findByIdAndUpdate: (id, update, options) =>
+      query(() => findOneAndUpdate({ _id: id }, update, options)),
+    updateOne: (filter, update, options = {}) =>
+      query(() => {
+        const doc = findOne(filter);
+        if (!doc) {
+          if (options.upsert) insert(applyUpdate(upsertBase(filter), update));
+          return { matchedCount: 0, modifiedCount: 0 };
+        }
+        applyUpdate(doc, update);
+        return { matchedCount: 1, modifiedCount: 1 };
+      }),
+    updateMany: (filter, update) =>
+      query(() => {
+        const docs = collection.filter((doc) => matches(doc, filter));
+        docs.forEach((doc) => applyUpdate(doc, update));
+        return { matchedCount: docs.length, modifiedCount: docs.length };
+      }),
+    deleteOne: (filter) =>
+      query(() => {
+        const index = collection.findIndex((doc) => matches(doc, filter));
+        if (index === -1) return { deletedCount: 0 };
+        collection.splice(index, 1);
+        return { deletedCount: 1 };
+      }),
+    deleteMany: (filter) =>
+      query(() => {
+        const kept = collection.filter((doc) => !matches(doc, filter));
+        const deletedCount = collection.length - kept.length;
+        collection.splice(0, collection.length, ...kept);
+        return { deletedCount };
+      }),
+    // Model.create(doc) or Model.create([docs], { session })
+    create: async (data) =>
+      Array.isArray(data) ? data.map((d) => copy(insert(d))) : copy(insert(data)),
+  };
+
+  for (const [name, fn] of Object.entries(mocks)) {
+    t.mock.method(Model, name, fn);
+  }
+  return collection;
+}
+
+module.exports = { useMemoryModel, matches };
@@ -0,0 +1,126 @@
+process.env.PUSH_PROVIDER = "stub";
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const DeviceToken = require("../src/models/DeviceToken");
+const NotificationPreferenceService = require("../src/services/notificationPreferenceService");
+const NotificationService = require("../src/services/notificationService");
+const PushService = require("../src/services/pushService");
+const { useMemoryModel } = require("./helpers/memoryModel");
+
+const stub = PushService.providers.stub;
+const userId = new mongoose.Types.ObjectId();
+const otherUserId = new mongoose.Types.ObjectId();
+
+beforeEach(() => {
+  PushService.setProvider("stub");
+  stub.sent.length = 0;
+  stub.invalidTokens.clear();
+});
+
+test("sends to every device of the user and prunes unregistered tokens", async (t) => {
+  const devices = useMemoryModel(t, DeviceToken, [
+    { user_id: userId, token: "phone", platform: "ios" },
+    { user_id: userId, token: "old-tablet", platform: "android" },
+    { user_id: otherUserId, token: "someone-else", platform: "android" },
+  ]);
+  stub.invalidTokens.add("old-tablet");
+
+  const result = await PushService.sendToUser(userId, {
+    notification: { title: "Hi", body: "There" },
+    data: {},
+  });
+
+  assert.deepStrictEqual(result, { sent: 1, failed: 1, pruned: 1 });
+  assert.deepStrictEqual(stub.sent[0].tokens, ["phone", "old-tablet"]);
+  assert.deepStrictEqual(
+    devices.map((d) => d.token),
+    ["phone", "someone-else"],
+  );
+});
+
+test("does nothing for a user without devices", async (t) => {
+  useMemoryModel(t, DeviceToken);
+
+  const result = await PushService.sendToUser(userId, {
+    notification: { title: "Hi", body: "There" },
+  });
+
+  assert.deepStrictEqual(result, { sent: 0, failed: 0, pruned: 0 });
+  assert.strictEqual(stub.sent.length, 0);
+});
+
+test("builds the message from the notification, with string data", () => {
+  const bookingId = new mongoose.Types.ObjectId();
+  const message = PushService.buildMessage({
+    _id: new mongoose.Types.ObjectId(),
+    type: "booking_accepted",
+    payload: { driver_name: "Ana", booking_id: bookingId },
+  });
+
+  assert.strictEqual(message.notification.title, "Booking accepted");
+  assert.strictEqual(message.notification.body, "Ana accepted your booking");
+  assert.strictEqual(message.data.booking_id, bookingId.toString());
+  assert.strictEqual(message.data.type, "booking_accepted");
+});
+
+test("keeps in-app only notification types out of push", () => {
+  const message = PushService.buildMessage({
+    _id: new mongoose.Types.ObjectId(),
+    type: "rate_driver",
+    payload: {},
+  });
+  assert.strictEqual(message, null);
+});
+
+test("never throws when delivery fails", async (t) => {
+  useMemoryModel(t, DeviceToken, [{ user_id: userId, token: "phone", platform: "ios" }]);
+  PushService.setProvider({
+    name: "broken",
+    send: async () => {
+      throw new Error("FCM unavailable");
+    },
+  });
+
+  const result = await PushService.sendForNotification({
+    _id: new mongoose.Types.ObjectId(),
+    user_id: userId,
+    type: "booking_accepted",
+    payload: { driver_name: "Ana" },
+  });
+  assert.strictEqual(result, null);
+});
+
+test("notifications are pushed only when the push channel is on", async (t) => {
+  useMemoryModel(t, DeviceToken, [{ user_id: userId, token: "phone", platform: "ios" }]);
+  const channels = t.mock.method(
+    NotificationPreferenceService,
+    "getDeliveryChannels",
+    async () => ({ in_app: false, push: true, email: false, quiet: false }),
+  );
+
+  await NotificationService.notifyBookingAccepted(userId.toString(), {
+    id: new mongoose.Types.ObjectId().toString(),
+    ride_id: new mongoose.Types.ObjectId().toString(),
+    driver_first_name: "Ana",
+    driver_last_name: "Silva",
+  });
+  await new Promise((resolve) => setImmediate(resolve)); // Push is fire and forget
+  assert.strictEqual(stub.sent.length, 1);
+  assert.deepStrictEqual(stub.sent[0].tokens, ["phone"]);
+
+  // Quiet hours: push is switched off
+  channels.mock.mockImplementation(async () => ({
+    in_app: false,
+    push: false,
+    email: false,
+    quiet: true,
+  }));
+  await NotificationService.notifyBookingAccepted(userId.toString(), {
+    id: new mongoose.Types.ObjectId().toString(),
+    ride_id: new mongoose.Types.ObjectId().toString(),
+  });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.strictEqual(stub.sent.length, 1);
+});
@@ -0,0 +1,168 @@
+process.env.STRIPE_SECRET_KEY ??= "sk_test_placeholder"; // Never called: run() uses the stand-in
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const Booking = require("../src/models/Booking");
+const Payout = require("../src/models/Payout");
+const ReconciliationReport = require("../src/models/ReconciliationReport");
+const RideRequest = require("../src/models/RideRequest");
+const Transaction = require("../src/models/Transaction");
+const AuditService = require("../src/services/auditService");
+const ReconciliationService = require("../src/services/reconciliationService");
+const { useMemoryModel } = require("./helpers/memoryModel");
+
+/**
+ * Stripe stand-in: list endpoints return the given objects, refunds.create
+ * records what would have been refunded
+ */
+function fakeStripe({ paymentIntents = [], refunds = [], transfers = [] } = {}) {
+  const list = (items) => ({
+    list: async () => ({ data: items, has_more: false }),
+    retrieve: async (id) => {
+      const item = items.find((i) => i.id === id);
+      if (!item) throw Object.assign(new Error("No such object"), { statusCode: 404 });
+      return item;
+    },
+  });
+  const created = [];
+  return {
+    paymentIntents: list(paymentIntents),
+    transfers: list(transfers),
+    refunds: {
+      ...list(refunds),
+      created,
+      create: async (params) => {
+        const refund = { id: `re_${created.length + 1}`, amount: 1000, ...params };
+        created.push(refund);
+        return refund;
+      },
+    },
+  };
+}
+
+const succeeded = (id, amount = 2000) => ({
+  id,
+  status: "succeeded",
+  amount,
+  amount_received: amount,
+  metadata: {},
+});
+
+let collections;
+
+beforeEach((t) => {
+  collections = {
+    bookings: useMemoryModel(t, Booking),
+    transactions: useMemoryModel(t, Transaction),
+    payouts: useMemoryModel(t, Payout),
+    requests: useMemoryModel(t, RideRequest),
+  };
+  t.mock.method(ReconciliationReport.prototype, "save", async function () {
+    return this;
+  });
+  t.mock.method(AuditService, "record", async () => {});
+});
+
+const run = (stripe, options = {}) => {
+  ReconciliationService.setStripeClient(stripe);
+  return ReconciliationService.run({ autoHeal: true, trigger: "script", ...options });
+};
+
+const types = (report) => report.discrepancies.map((d) => d.type);
+
+test("marks an open booking paid when its payment succeeded", async () => {
+  collections.bookings.push({
+    _id: new mongoose.Types.ObjectId(),
+    status: "accepted",
+    payment_status: "pending",
+    payment_intent_id: "pi_open",
+  });
+  collections.transactions.push({
+    _id: new mongoose.Types.ObjectId(),
+    type: "ride_earning",
+    stripe_payment_intent_id: "pi_open",
+    gross_amount: 2000,
+  });
+
+  const report = await run(fakeStripe({ paymentIntents: [succeeded("pi_open")] }));
+
+  assert.deepStrictEqual(types(report), ["payment_not_recorded"]);
+  assert.strictEqual(report.discrepancies[0].healed, true);
+  assert.strictEqual(collections.bookings[0].payment_status, "paid");
+  assert.strictEqual(collections.bookings[0].payment_method, "card");
+});
+
+test("only flags a payment on a cancelled booking, without marking it paid", async () => {
+  collections.bookings.push({
+    _id: new mongoose.Types.ObjectId(),
+    status: "cancelled",
+    payment_status: "pending",
+    payment_intent_id: "pi_closed",
+  });
+  collections.transactions.push({
+    _id: new mongoose.Types.ObjectId(),
+    type: "ride_earning",
+    stripe_payment_intent_id: "pi_closed",
+    gross_amount: 2000,
+  });
+
+  const report = await run(fakeStripe({ paymentIntents: [succeeded("pi_closed")] }));
+
+  assert.deepStrictEqual(types(report), ["payment_on_closed_booking"]);
+  assert.strictEqual(report.discrepancies[0].healed, false);
+  assert.strictEqual(collections.bookings[0].payment_status, "pending");
+});
+
+test("reports orphaned payments and refunds them only when asked", async () => {
+  const stripe = fakeStripe({
+    paymentIntents: [succeeded("pi_orphan"), succeeded("pi_refunded_orphan")],
+    refunds: [
+      { id: "re_done", status: "succeeded", payment_intent: "pi_refunded_orphan", amount: 2000 },
+    ],
+  });
+
+  const report = await run(stripe);
+  assert.deepStrictEqual(types(report), ["orphaned_payment"]);
+  assert.strictEqual(report.discrepancies[0].stripe_id, "pi_orphan");
+  assert.strictEqual(stripe.refunds.created.length, 0);
+
+  const refunding = await run(stripe, { refundOrphans: true });
+  assert.strictEqual(refunding.discrepancies[0].healed, true);
+  assert.deepStrictEqual(
+    stripe.refunds.created.map((r) => r.payment_intent),
+    ["pi_orphan"],
+  );
+});
+
+test("flags missing and mismatched driver earnings", async () => {
+  collections.bookings.push(
+    {
+      _id: new mongoose.Types.ObjectId(),
+      status: "accepted",
+      payment_status: "paid",
+      payment_intent_id: "pi_no_earning",
+    },
+    {
+      _id: new mongoose.Types.ObjectId(),
+      status: "accepted",
+      payment_status: "paid",
+      payment_intent_id: "pi_mismatch",
+    },
+  );
+  collections.transactions.push({
+    _id: new mongoose.Types.ObjectId(),
+    type: "ride_earning",
+    stripe_payment_intent_id: "pi_mismatch",
+    gross_amount: 1500,
+  });
+
+  const report = await run(
+    fakeStripe({
+      paymentIntents: [succeeded("pi_no_earning"), succeeded("pi_mismatch")],
+    }),
+  );
+
+  assert.deepStrictEqual(types(report), ["missing_earning", "amount_mismatch"]);
+  assert.strictEqual(report.healed_count, 0);
+});
@@ -0,0 +1,174 @@
+process.env.STRIPE_SECRET_KEY ??= "sk_test_placeholder"; // Wallet payments never call Stripe
+process.env.PLATFORM_FEE_PERCENT = "10";
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const Booking = require("../src/models/Booking");
+const Ride = require("../src/models/Ride");
+const RideRequest = require("../src/models/RideRequest");
+const Transaction = require("../src/models/Transaction");
+const User = require("../src/models/User");
+const Wallet = require("../src/models/Wallet");
+const paymentController = require("../src/controllers/paymentController");
+const rideRequestController = require("../src/controllers/rideRequestController");
+const NotificationService = require("../src/services/notificationService");
+const { useMemoryModel } = require("./helpers/memoryModel");
+
+// No MongoDB connection: withTransaction runs without a session, so these
+// also cover the hand-written undo of the standalone fallback
+
+const walletDefaults = { balance: 0, pending_balance: 0, total_earned: 0, total_withdrawn: 0 };
+const driverId = new mongoose.Types.ObjectId();
+
+let db;
+
+beforeEach((t) => {
+  db = {
+    rides: useMemoryModel(t, Ride, [], { status: "active", luggage_left: 2 }),
+    wallets: useMemoryModel(t, Wallet, [], walletDefaults),
+    bookings: useMemoryModel(t, Booking),
+    transactions: useMemoryModel(t, Transaction),
+    users: useMemoryModel(t, User, [{ _id: driverId, first_name: "Ana", last_name: "Silva" }]),
+  };
+});
+
+const addRide = (seats_left, price_per_seat = 20) => {
+  const ride = { _id: new mongoose.Types.ObjectId(), driver_id: driverId, seats_left, price_per_seat };
+  db.rides.push({ status: "active", luggage_left: 2, ...ride });
+  return ride._id;
+};
+
+const addPassenger = (balance) => {
+  const _id = new mongoose.Types.ObjectId();
+  db.users.push({ _id, first_name: "Passenger", last_name: String(db.users.length) });
+  db.wallets.push({ _id: new mongoose.Types.ObjectId(), ...walletDefaults, user_id: _id, balance });
+  return _id;
+};
+
+const walletOf = (userId) => db.wallets.find((w) => String(w.user_id) === String(userId));
+const seatsLeft = (rideId) => db.rides.find((r) => String(r._id) === String(rideId)).seats_left;
+
+/**
+ * Call a controller and resolve with the status and body it responded
+ * with, or the status of the error it passed to next()
+ */
+function call(handler, req) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      },
+    };
+    handler(req, res, (error) =>
+      resolve({ status: error.statusCode || 500, body: { message: error.message, code: error.code } }),
+    );
+  });
+}
+
+const payWithWallet = (userId, rideId, seats = 1) =>
+  call(paymentController.payWithWallet, {
+    user: { id: userId.toString() },
+    body: { rideId: rideId.toString(), seats },
+  });
+
+test("two passengers racing for the last seat: one booking, no overselling", async () => {
+  const rideId = addRide(1);
+  const first = addPassenger(5000);
+  const second = addPassenger(5000);
+
+  const results = await Promise.all([payWithWallet(first, rideId), payWithWallet(second, rideId)]);
+
+  assert.deepStrictEqual(results.map((r) => r.status).sort(), [201, 409]);
+  assert.strictEqual(seatsLeft(rideId), 0);
+  assert.strictEqual(db.bookings.length, 1);
+  // Only the passenger who got the seat paid
+  const paid = results.find((r) => r.status === 201).body.booking.passenger_id;
+  for (const passenger of [first, second]) {
+    const expected = String(passenger) === String(paid) ? 3000 : 5000;
+    assert.strictEqual(walletOf(passenger).balance, expected);
+  }
+  assert.strictEqual(walletOf(driverId).pending_balance, 1800);
+});
+
+test("concurrent payments can't overdraw the wallet, the losing one gives its seat back", async () => {
+  const rides = [addRide(3), addRide(3)];
+  const passenger = addPassenger(3000); // Enough for one 20€ seat, not two
+
+  const results = await Promise.all(rides.map((rideId) => payWithWallet(passenger, rideId)));
+
+  assert.deepStrictEqual(results.map((r) => r.status).sort(), [201, 400]);
+  assert.strictEqual(results.find((r) => r.status === 400).body.code, "INSUFFICIENT_BALANCE");
+  assert.strictEqual(walletOf(passenger).balance, 1000);
+  assert.deepStrictEqual(rides.map(seatsLeft).sort(), [2, 3]);
+  assert.strictEqual(db.bookings.length, 1);
+  assert.strictEqual(db.transactions.filter((tx) => tx.type === "ride_payment").length, 1);
+});
+
+test("a failed write undoes the whole payment without a transaction", async (t) => {
+  const rideId = addRide(2);
+  const passenger = addPassenger(5000);
+  const create = Transaction.create;
+  t.mock.method(Transaction, "create", async (docs, options) => {
+    if (docs[0].type === "ride_earning") throw new Error("connection reset");
+    return create(docs, options);
+  });
+
+  const { status } = await payWithWallet(passenger, rideId);
+
+  assert.strictEqual(status, 500);
+  assert.strictEqual(seatsLeft(rideId), 2);
+  assert.strictEqual(walletOf(passenger).balance, 5000);
+  assert.strictEqual(walletOf(driverId).pending_balance, 0);
+  assert.strictEqual(db.bookings.length, 0);
+  assert.strictEqual(db.transactions.length, 0);
+});
+
+test("accepting the same offer twice charges the wallet once", async (t) => {
+  const rideId = addRide(3);
+  const passenger = addPassenger(5000);
+  const offerId = new mongoose.Types.ObjectId();
+  const requests = useMemoryModel(t, RideRequest, [
+    {
+      passenger,
+      status: "pending",
+      seats_needed: 1,
+      luggage_count: 0,
+      offers: [{ _id: offerId, driver: driverId, ride: rideId, price_per_seat: 20, status: "pending" }],
+    },
+  ]);
+  // The controller works on the request document (offers.id(), save)
+  t.mock.method(RideRequest, "findOne", () => ({
+    populate: async () => RideRequest.hydrate({ ...requests[0] }),
+  }));
+  t.mock.method(RideRequest.prototype, "save", async function () {
+    return this;
+  });
+  t.mock.method(RideRequest.prototype, "populate", async function () {
+    return this;
+  });
+  for (const notify of ["notifyRequestAccepted", "notifyOfferAccepted", "notifyRequestBooked"]) {
+    t.mock.method(NotificationService, notify, async () => {});
+  }
+
+  const accept = () =>
+    call(rideRequestController.acceptOfferWithPayment, {
+      user: { id: passenger.toString() },
+      params: { id: requests[0]._id.toString() },
+      body: { offer_id: offerId.toString(), payment_method: "wallet" },
+    });
+  const results = await Promise.all([accept(), accept()]);
+
+  assert.deepStrictEqual(results.map((r) => r.status).sort(), [200, 409]);
+  assert.strictEqual(results.find((r) => r.status === 409).body.code, "REQUEST_NOT_PENDING");
+  assert.strictEqual(requests[0].status, "accepted");
+  assert.strictEqual(walletOf(passenger).balance, 3000);
+  assert.strictEqual(walletOf(driverId).pending_balance, 1800);
+  assert.strictEqual(seatsLeft(rideId), 2);
+});